@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 const GitHubCoverageReporter = require('../index');
 const ConfigManager = require('../src/ConfigManager');
+const CoverageReporter = require('../src/CoverageReporter');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -41,6 +42,10 @@ Options:
   --no-s3             Disable S3 storage
   --file=<path>       Custom coverage file path
   --config=<path>     Custom path to .gcr.json configuration file
+  --dry-run           Log the statuses, comments and S3 uploads instead of making them
+  --dry-run=<path>    Write them to a JSON file instead of making them
+  --fail-on=<checks>  Exit with code 1 when these checks fail: threshold, delta
+                      and/or patch (comma-separated), any, or none (default)
   --init              Run the initialization wizard to create .gcr.json
   --help, -h          Show this help message
 
@@ -48,6 +53,8 @@ Examples:
   github-coverage-reporter --name=backend
   github-coverage-reporter --name frontend --no-comments
   github-coverage-reporter --name=lambda --file=./lambda/coverage/coverage-summary.json
+  github-coverage-reporter --name=backend --dry-run
+  github-coverage-reporter --name=backend --fail-on=threshold,patch
   github-coverage-reporter --init
   
 Configuration:
@@ -80,6 +87,23 @@ if (fileIndex !== -1) {
   options.filePath = args[fileIndex].split('=')[1];
 }
 
+// Parse dry run, with an optional output file
+const dryRunIndex = args.findIndex(arg => arg === '--dry-run' || arg.startsWith('--dry-run='));
+if (dryRunIndex !== -1) {
+  options.dryRun = true;
+  options.dryRunOutput = args[dryRunIndex].split('=')[1];
+}
+
+// Parse the checks that fail the build
+const failOnIndex = args.findIndex(arg => arg.startsWith('--fail-on='));
+options.failOn = failOnIndex !== -1 ? args[failOnIndex].split('=')[1] : 'none';
+try {
+  CoverageReporter.parseFailOn(options.failOn);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 // Parse config path
 const configIndex = args.findIndex(arg => arg.startsWith('--config='));
 if (configIndex !== -1) {
@@ -105,6 +129,26 @@ try {
   config = null; // Ensure it's explicitly assigned
 }
 
+// Format a coverage value (a percentage or a { statements, branches, functions, lines } object)
+function formatCoverage(coverage) {
+  if (coverage && typeof coverage === 'object') {
+    return Object.entries(coverage).map(([metric, pct]) => `${metric} ${pct.toFixed(2)}%`).join(', ');
+  }
+  return `${coverage.toFixed(2)}%`;
+}
+
+function formatChange(current, previous) {
+  const formatDiff = (diff) => diff >= 0 ? `+${diff.toFixed(2)}%` : `${diff.toFixed(2)}%`;
+  if (current && typeof current === 'object') {
+    const previousMetrics = typeof previous === 'object' ? previous : {};
+    return Object.keys(current)
+      .filter(metric => previousMetrics[metric] !== undefined)
+      .map(metric => `${metric} ${formatDiff(current[metric] - previousMetrics[metric])}`)
+      .join(', ') || 'n/a';
+  }
+  return formatDiff(current - previous);
+}
+
 // Initialize and run the reporter
 async function run() {
   try {
@@ -114,6 +158,8 @@ async function run() {
       setStatusChecks: options.setStatusChecks,
       storeInS3: options.storeInS3,
       configPath: options.configPath,
+      dryRun: options.dryRun,
+      dryRunOutput: options.dryRunOutput,
       config, // Pass the loaded config to the reporter
       github: {
         token: process.env.GITHUB_ACCESS_TOKEN,
@@ -140,20 +186,29 @@ async function run() {
 
     console.log('Coverage reporting completed successfully!');
     console.log(`Coverage Type: ${result.coverageType}`);
-    console.log(`Current Coverage: ${result.currentCoverage.toFixed(2)}%`);
+    console.log(`Current Coverage: ${formatCoverage(result.currentCoverage)}`);
     
     if (result.previousCoverage) {
-      const diff = result.currentCoverage - result.previousCoverage;
-      const diffStr = diff >= 0 ? `+${diff.toFixed(2)}%` : `${diff.toFixed(2)}%`;
-      console.log(`Previous Coverage: ${result.previousCoverage.toFixed(2)}%`);
-      console.log(`Change: ${diffStr}`);
+      console.log(`Previous Coverage: ${formatCoverage(result.previousCoverage)}`);
+      console.log(`Change: ${formatChange(result.currentCoverage, result.previousCoverage)}`);
     }
     
     if (result.pr) {
       console.log(`PR Number: ${result.pr}`);
     }
-    
-    process.exit(0);
+
+    if (options.dryRun) {
+      console.log(options.dryRunOutput
+        ? `Dry run: no statuses, comments or uploads were made; they were written to ${options.dryRunOutput}`
+        : 'Dry run: no statuses, comments or uploads were made');
+    }
+
+    const failures = GitHubCoverageReporter.getGateFailures(result, options.failOn);
+    failures.forEach(({ coverageType, check, description }) => {
+      console.error(`❌ ${coverageType} ${check} check failed: ${description}`);
+    });
+
+    process.exit(failures.length > 0 ? 1 : 0);
   } catch (error) {
     console.error('Error running coverage reporter:', error.message);
     process.exit(1);
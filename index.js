@@ -3,6 +3,16 @@ const S3Helper = require('./src/S3Helper');
 const CoverageReporter = require('./src/CoverageReporter');
 const CoverageParser = require('./src/CoverageParser');
 const ConfigManager = require('./src/ConfigManager');
+const PatchCoverage = require('./src/PatchCoverage');
+const FileCoverage = require('./src/FileCoverage');
+const DryRun = require('./src/DryRun');
+
+// Coverage is kept for this many recent commits, the baselines of builds without a PR
+const MAX_RECORDED_COMMITS = 100;
+
+// Per-file coverage is kept for this many recently built branches; it is stored for every file, so
+// keeping every branch that ever ran would grow the object each run downloads and uploads
+const MAX_FILE_COVERAGE_BRANCHES = 20;
 
 // Helper function to merge objects with priority to first object for undefined/null values
 const mergeWithPriority = (first, second) => {
@@ -35,15 +45,26 @@ class GitHubCoverageReporter {
     // Get GitHub config from config if available
     const githubConfig = this.config ? ConfigManager.getGitHubConfig(this.config) : {};
 
+    // Get PR comment config (sticky comment mode) from config if available
+    const commentConfig = ConfigManager.getCommentConfig(this.config);
+
+    // Get status check config (statuses or check runs) from config if available
+    const statusCheckConfig = ConfigManager.getStatusCheckConfig(this.config);
+
+    // In a dry run the helpers record their writes in one place instead of making them
+    this.dryRun = options.dryRun ? new DryRun(options.dryRunOutput) : null;
+
     // Initialize GitHub helper with options or environment variables
-    this.githubHelper = new GitHubHelper(
-      mergeWithPriority(options.github || {}, githubConfig)
-    );
+    this.githubHelper = new GitHubHelper({
+      ...mergeWithPriority(options.github || {}, githubConfig),
+      dryRun: this.dryRun
+    });
 
     // Initialize S3 helper with config values (including folderName)
-    this.s3Helper = (options.s3 || s3Config) ? new S3Helper(
-      mergeWithPriority(options.s3 || {}, s3Config)
-    ) : null;
+    this.s3Helper = (options.s3 || s3Config) ? new S3Helper({
+      ...mergeWithPriority(options.s3 || {}, s3Config),
+      dryRun: this.dryRun
+    }) : null;
 
     // Initialize coverage reporter with options or config
     const coverageOptions = options.coverage || {};
@@ -51,14 +72,29 @@ class GitHubCoverageReporter {
       // Add thresholds from config if available
       const types = this.config.coverage?.types || [];
       const thresholds = {};
+      const metrics = {};
+      const patchThresholds = {};
       types.forEach(type => {
         thresholds[type.name] = type.threshold;
+        if (type.patchThreshold !== undefined) {
+          patchThresholds[type.name] = type.patchThreshold;
+        }
+        // Composite types are weighted by line counts unless they name another metric
+        metrics[type.name] = CoverageParser.getGateMetric(type) || (type.composite ? 'lines' : undefined);
       });
       coverageOptions.customThresholds = thresholds;
+      coverageOptions.metrics = metrics;
+      coverageOptions.patchThresholds = patchThresholds;
       coverageOptions.maxDiff = ![null, undefined].includes(coverageOptions.maxDiff) ? coverageOptions.maxDiff : ConfigManager.getMaxCoverageDiff(this.config);
     }
 
     this.coverageReporter = new CoverageReporter(coverageOptions);
+    // Normalized reports parsed for each coverage type during this run
+    this.coverageReports = {};
+    // Coverage of the lines changed in the PR, per coverage type
+    this.patchCoverage = {};
+    // Coverage of the files the PR touches compared with the base branch, per coverage type
+    this.fileChanges = {};
 
     // Set up options combining explicit options with config
     this.options = {
@@ -68,12 +104,22 @@ class GitHubCoverageReporter {
       fileName: options.fileName || s3Config.fileName,
       coverageType: options.coverageType, // Default coverage type for this run
       coverageTypes: options.coverageTypes || (this.config?.coverage?.types?.map(t => t.name)),
+      commentMode: options.commentMode || commentConfig.mode,
+      minimizeOutdatedComments: commentConfig.minimizeOutdated,
+      commitComment: commentConfig.commitComment,
+      useChecksApi: statusCheckConfig.useChecksApi,
       ...options
     };
   }
 
   async run(coverageData, options = {}) {
     try {
+      this.coverageReports = {};
+      this.patchCoverage = {};
+      this.fileChanges = {};
+      this.changedLines = undefined;
+      this.previousFileCoverage = undefined;
+      this.pushBaseline = undefined;
       // Support merged comment for all types
       if (options.coverageTypes && Array.isArray(options.coverageTypes) && options.coverageTypes.length > 1) {
         let pr = null;
@@ -83,9 +129,14 @@ class GitHubCoverageReporter {
             console.log('No PR found, skipping comment creation');
           }
         }
-        const prevCoverageJson = this.s3Helper && pr ? await this.s3Helper.getCoverageJsonFile(this.options.fileName) : {};
-        const baseBranch = pr ? this.githubHelper.getBaseBranch(pr) : null;
-        const branchData = baseBranch ? prevCoverageJson[baseBranch] || {} : {};
+        let branchData = {};
+        if (pr) {
+          const prevCoverageJson = this.s3Helper ? await this.s3Helper.getCoverageJsonFile(this.options.fileName) : {};
+          branchData = prevCoverageJson[this.githubHelper.getBaseBranch(pr)] || {};
+        } else {
+          // Push builds compare with the parent commit or the previous run on the branch
+          branchData = (await this.getPushBaseline()).coverage;
+        }
 
         const currentCoverage = {};
         const previousCoverage = {};
@@ -93,25 +144,59 @@ class GitHubCoverageReporter {
           currentCoverage[coverageType] = this.parseCoverageFromFile({ coverageType });
           previousCoverage[coverageType] = branchData[coverageType] || 0;
           // Set status checks for each type
-          if (this.options.setStatusChecks) {
+          if (this.options.setStatusChecks && !this.options.useChecksApi) {
             await this.setStatusChecks(currentCoverage[coverageType], previousCoverage[coverageType], coverageType);
           }
+          await this.reportPatchCoverage(coverageType, pr);
+          if (this.options.addComments && pr && options.addComment !== false) {
+            await this.compareChangedFiles(coverageType, pr);
+          }
+          if (this.options.setStatusChecks && this.options.useChecksApi) {
+            await this.createCheckRun(coverageType, currentCoverage[coverageType], previousCoverage[coverageType], pr);
+          }
           // Store coverage in S3 for each type
           if (this.options.storeInS3 && this.s3Helper) {
             const prevCoverageJsonType = await this.s3Helper.getCoverageJsonFile(this.options.fileName);
             await this.updateS3Coverage(prevCoverageJsonType, coverageType, currentCoverage[coverageType]);
+            await this.updateS3FileCoverage(coverageType);
+            await this.updateS3CommitCoverage(coverageType, currentCoverage[coverageType]);
           }
         }
         // Add merged PR comment
         if (this.options.addComments && pr && options.addComment !== false) {
-          const commentBody = this.coverageReporter.generateCoverageComment(previousCoverage, currentCoverage, options.coverageTypes);
-          await this.githubHelper.addPRComment(commentBody, pr.number);
+          const commentBody = this.coverageReporter.generateCoverageComment(
+            previousCoverage,
+            currentCoverage,
+            options.coverageTypes,
+            this.getCommentDetails(options.coverageTypes)
+          );
+          await this.postComment(commentBody, pr.number, options.coverageTypes);
+        } else if (this.options.addComments && !pr && this.options.commitComment && options.addComment !== false) {
+          const commentBody = this.coverageReporter.generateCoverageComment(
+            previousCoverage,
+            currentCoverage,
+            options.coverageTypes,
+            this.getCommentDetails(options.coverageTypes)
+          );
+          await this.postCommitComment(commentBody);
         }
+        const gates = {};
+        options.coverageTypes.forEach(coverageType => {
+          gates[coverageType] = this.coverageReporter.evaluateGates(
+            currentCoverage[coverageType],
+            previousCoverage[coverageType],
+            coverageType,
+            this.patchCoverage[coverageType]
+          );
+        });
         return {
           success: true,
           coverageTypes: options.coverageTypes,
           currentCoverage,
           previousCoverage,
+          patchCoverage: this.patchCoverage,
+          gates,
+          pass: Object.values(gates).every(verdict => verdict.pass),
           pr: pr?.number || null
         };
       } else {
@@ -132,22 +217,42 @@ class GitHubCoverageReporter {
           const baseBranch = this.githubHelper.getBaseBranch(pr);
           const branchData = prevCoverageJson[baseBranch] || {};
           previousCoverage = branchData[coverageType] || 0;
+        } else if (!pr) {
+          // Push builds compare with the parent commit or the previous run on the branch
+          previousCoverage = (await this.getPushBaseline()).coverage[coverageType] || 0;
         }
-        if (this.options.setStatusChecks) {
+        if (this.options.setStatusChecks && !this.options.useChecksApi) {
           await this.setStatusChecks(currentCoverage, previousCoverage, coverageType);
         }
+        const patchCoverage = await this.reportPatchCoverage(coverageType, pr);
+        if (this.options.addComments && pr && options.addComment !== false) {
+          await this.compareChangedFiles(coverageType, pr);
+        }
+        if (this.options.setStatusChecks && this.options.useChecksApi) {
+          await this.createCheckRun(coverageType, currentCoverage, previousCoverage, pr);
+        }
         if (this.options.addComments && pr && options.addComment !== false) {
           await this.addCoverageComment(currentCoverage, previousCoverage, coverageType, pr.number);
+        } else if (this.options.addComments && !pr && this.options.commitComment && options.addComment !== false) {
+          await this.addCoverageComment(currentCoverage, previousCoverage, coverageType, null);
         }
         if (this.options.storeInS3 && this.s3Helper) {
           const prevCoverageJson = await this.s3Helper.getCoverageJsonFile(this.options.fileName);
           await this.updateS3Coverage(prevCoverageJson, coverageType, currentCoverage);
+          await this.updateS3FileCoverage(coverageType);
+          await this.updateS3CommitCoverage(coverageType, currentCoverage);
         }
+        const gates = {
+          [coverageType]: this.coverageReporter.evaluateGates(currentCoverage, previousCoverage, coverageType, patchCoverage)
+        };
         return {
           success: true,
           coverageType,
           currentCoverage,
           previousCoverage,
+          patchCoverage,
+          gates,
+          pass: gates[coverageType].pass,
           pr: pr?.number || null
         };
       }
@@ -164,36 +269,100 @@ class GitHubCoverageReporter {
     if (options.filePath) {
       const filePath = options.filePath;
       console.log(`Parsing ${coverageType} coverage from (explicit path): ${filePath}`);
-      return CoverageParser.parseSingleFile(filePath);
+      return this.parseCoverageReport(coverageType, filePath);
     }
     
+    if (this.config && ConfigManager.isCompositeType(coverageType, this.config)) {
+      return this.parseCompositeCoverage(coverageType, ConfigManager.getCompositeTypes(coverageType, this.config));
+    }
+
     // Try to get path from .gcr.json config
-    if (this.config) {
-      try {
-        const filePath = ConfigManager.getCoveragePath(coverageType, this.config);
-        let keyPath = ConfigManager.getCoverageKeyPath(coverageType, this.config);
-        
-        if (!keyPath) {
-          keyPath = 'total.statements.pct';
-        }
-        
-        console.log(`Parsing ${coverageType} coverage from file path: ${filePath}, key path: ${keyPath}`);
-        
-        return CoverageParser.parseSingleFile(filePath, keyPath);
-      } catch (configError) {
-        console.log(`No path found in config for ${coverageType}, trying environment variables...`, configError.message);
-      }
+    const configPath = this.config ? this.getConfigCoveragePath(coverageType) : undefined;
+    if (configPath) {
+      const format = ConfigManager.getCoverageFormat(coverageType, this.config);
+      const parser = ConfigManager.getCoverageParser(coverageType, this.config);
+      const counter = ConfigManager.getCoverageCounter(coverageType, this.config);
+      // Without a keyPath the parser picks the default for the (detected) format
+      const keyPath = ConfigManager.getCoverageKeyPath(coverageType, this.config);
+      const { include, exclude } = ConfigManager.getCoverageFilters(coverageType, this.config);
+
+      console.log(`Parsing ${coverageType} coverage from file path: ${configPath}, key path: ${keyPath || 'format default'}, format: ${parser || format || 'auto-detect'}`);
+
+      // Parse and validation errors of a configured file are reported as they are
+      return this.parseCoverageReport(coverageType, configPath, { format, parser, counter, keyPath, include, exclude });
     }
     
     // Otherwise get the path from environment variables
+    let filePath;
     try {
-      const filePath = this.getDefaultFilePath(coverageType);
-      console.log(`Parsing ${coverageType} coverage from (env path): ${filePath}`);
-      return CoverageParser.parseSingleFile(filePath);
+      filePath = this.getDefaultFilePath(coverageType);
     } catch (error) {
       console.error(`Error finding coverage file path: ${error.message}`);
       throw error;
     }
+    console.log(`Parsing ${coverageType} coverage from (env path): ${filePath}`);
+    return this.parseCoverageReport(coverageType, filePath);
+  }
+
+  /**
+   * Get the configured coverage path of a type
+   * @param {string} coverageType - Coverage type
+   * @returns {string|Array<string>|undefined} - undefined when the type or its path isn't configured
+   */
+  getConfigCoveragePath(coverageType) {
+    try {
+      const filePath = ConfigManager.getCoveragePath(coverageType, this.config);
+      if (!filePath) {
+        console.log(`No path found in config for ${coverageType}, trying environment variables...`);
+      }
+      return filePath;
+    } catch (configError) {
+      console.log(`No path found in config for ${coverageType}, trying environment variables...`, configError.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Parse a coverage file and keep its report for patch coverage, changed files and the comment details
+   * @param {string} coverageType - Coverage type
+   * @param {string|Array<string>} filePath - Coverage file, glob or list of shard files
+   * @param {Object} parseOptions - { format, parser, counter, keyPath, include, exclude } (all optional)
+   * @returns {number|Object} - Coverage value
+   */
+  parseCoverageReport(coverageType, filePath, parseOptions = {}) {
+    const { coverage, report } = CoverageParser.parseCoverage(filePath, parseOptions);
+    this.coverageReports[coverageType] = report;
+    return coverage;
+  }
+
+  /**
+   * Parse a composite coverage type by summing the covered/total counts of its component types
+   * @param {string} coverageType - Composite coverage type
+   * @param {Array<string>} componentTypes - Coverage types it combines
+   * @returns {Object} - Metrics object
+   */
+  parseCompositeCoverage(coverageType, componentTypes) {
+    const reports = {};
+    componentTypes.forEach(componentType => {
+      // Reuse the reports already parsed for the component types during this run
+      if (!(componentType in this.coverageReports)) {
+        this.parseCoverageFromFile({ coverageType: componentType });
+      }
+      if (this.coverageReports[componentType]) {
+        reports[componentType] = this.coverageReports[componentType];
+      } else {
+        console.warn(`Leaving ${componentType} out of ${coverageType}: no coverage counts available`);
+      }
+    });
+
+    if (Object.keys(reports).length === 0) {
+      throw new Error(`No coverage data to combine for ${coverageType} (${componentTypes.join(', ')})`);
+    }
+
+    console.log(`Combining ${Object.keys(reports).join(', ')} coverage into ${coverageType}`);
+    const report = CoverageParser.combineReports(reports);
+    this.coverageReports[coverageType] = report;
+    return CoverageParser.getMetrics(report);
   }
 
   getDefaultFilePath(coverageType) {
@@ -228,6 +397,197 @@ class GitHubCoverageReporter {
     }
   }
 
+  /**
+   * Work out the coverage of the lines changed in the PR and set its status check
+   * Only runs for coverage types with a `patchThreshold` and a report with per-line hits
+   * @param {string} coverageType - Coverage type
+   * @param {Object} pr - Pull request (optional; without one the local git diff is used)
+   * @returns {Promise<Object|null>} - { total, covered, pct, files }, null when not reported
+   */
+  async reportPatchCoverage(coverageType, pr) {
+    if (ConfigManager.getPatchThreshold(coverageType, this.config) === undefined) {
+      return null;
+    }
+
+    const patchCoverage = await this.calculatePatchCoverage(coverageType, pr);
+    if (!patchCoverage) {
+      return null;
+    }
+    this.patchCoverage[coverageType] = patchCoverage;
+    console.log(`${coverageType} patch coverage: ${patchCoverage.covered}/${patchCoverage.total} changed lines covered`);
+
+    // With the Checks API the patch check is part of the coverage type's check run
+    if (this.options.setStatusChecks && !this.options.useChecksApi) {
+      await this.githubHelper.setGitStatus(this.coverageReporter.generatePatchStatusCheck(patchCoverage, coverageType));
+    }
+    return patchCoverage;
+  }
+
+  /**
+   * Cross-reference the lines changed in the PR with the line hits of a coverage type
+   * @param {string} coverageType - Coverage type
+   * @param {Object} pr - Pull request (optional; without one the local git diff is used)
+   * @returns {Promise<Object|null>} - { total, covered, pct, files }, null without per-line data or changed lines
+   */
+  async calculatePatchCoverage(coverageType, pr) {
+    const report = this.coverageReports[coverageType];
+    if (!PatchCoverage.hasLineHits(report)) {
+      console.log(`Skipping ${coverageType} patch coverage: the coverage report has no per-line data`);
+      return null;
+    }
+
+    const changedLines = await this.getChangedLines(pr);
+    if (!changedLines) {
+      console.log(`Skipping ${coverageType} patch coverage: could not determine the changed lines`);
+      return null;
+    }
+
+    return PatchCoverage.calculate(report, changedLines, { root: this.getRepoRoot() });
+  }
+
+  /**
+   * Report a coverage type as a check run: threshold, delta and patch checks in one conclusion,
+   * the coverage table as summary and annotations on the uncovered changed lines
+   * @param {string} coverageType - Coverage type
+   * @param {number|Object} currentCoverage - Current coverage value
+   * @param {number|Object} previousCoverage - Previous coverage value
+   * @param {Object} pr - Pull request (optional)
+   */
+  async createCheckRun(coverageType, currentCoverage, previousCoverage, pr) {
+    // Annotate uncovered changed lines even when the type has no patch threshold
+    const patch = this.patchCoverage[coverageType] || await this.calculatePatchCoverage(coverageType, pr);
+    const table = this.coverageReporter.generateCoverageComment(
+      { [coverageType]: previousCoverage },
+      { [coverageType]: currentCoverage },
+      [coverageType],
+      this.getCommentDetails([coverageType])
+    );
+
+    const checkRun = this.coverageReporter.generateCheckRun(currentCoverage, previousCoverage, coverageType, { patch, table });
+    await this.githubHelper.createCheckRun(checkRun);
+  }
+
+  /**
+   * Get the lines the PR adds or changes, from the PR files API or else the local git diff (cached per run)
+   * @param {Object} pr - Pull request (optional)
+   * @returns {Promise<Object|null>} - Map of file path to changed line numbers
+   */
+  async getChangedLines(pr) {
+    if (this.changedLines === undefined) {
+      let changedLines = null;
+      if (pr) {
+        const files = await this.githubHelper.fetchPRFiles(pr.number);
+        changedLines = files ? PatchCoverage.fromPullRequestFiles(files) : null;
+      }
+      this.changedLines = changedLines || PatchCoverage.getLocalChangedLines(this.githubHelper.getBaseBranch(pr));
+    }
+    return this.changedLines;
+  }
+
+  /**
+   * Get the repository root the changed file paths are relative to (cached per run)
+   * @returns {string}
+   */
+  getRepoRoot() {
+    if (this.repoRoot === undefined) {
+      this.repoRoot = PatchCoverage.getRepoRoot();
+    }
+    return this.repoRoot;
+  }
+
+  /**
+   * Compare the coverage of the files the PR touches with the per-file baseline of the base branch
+   * @param {string} coverageType - Coverage type
+   * @param {Object} pr - Pull request
+   * @returns {Promise<Array<Object>|null>} - [{ file, previous, current, change }], null without per-file data
+   */
+  async compareChangedFiles(coverageType, pr) {
+    const currentFiles = this.getFileCoverage(coverageType);
+    if (Object.keys(currentFiles).length === 0) {
+      return null;
+    }
+
+    const changedLines = await this.getChangedLines(pr);
+    if (!changedLines) {
+      return null;
+    }
+
+    const previousFiles = (await this.getPreviousFileCoverage(pr))[coverageType] || {};
+    const files = FileCoverage.compare(currentFiles, previousFiles, Object.keys(changedLines), { root: this.getRepoRoot() });
+    this.fileChanges[coverageType] = files;
+    return files;
+  }
+
+  /**
+   * Get the coverage of every file of a coverage type, for the metric its threshold applies to
+   * @param {string} coverageType - Coverage type
+   * @returns {Object} - Map of file path to percentage (empty without per-file data)
+   */
+  getFileCoverage(coverageType) {
+    const report = this.coverageReports[coverageType];
+    if (!report) {
+      return {};
+    }
+    const metric = this.coverageReporter.getPrimaryMetric(coverageType, CoverageParser.getMetrics(report));
+    return FileCoverage.fromReport(report, metric);
+  }
+
+  /**
+   * Get the per-file baselines of the PR's base branch from S3 (cached per run)
+   * @param {Object} pr - Pull request
+   * @returns {Promise<Object>} - Map of coverage type to { path: percentage }
+   */
+  async getPreviousFileCoverage(pr) {
+    if (this.previousFileCoverage === undefined) {
+      let filesJson = {};
+      if (this.s3Helper && pr && this.options.fileName) {
+        filesJson = await this.s3Helper.getCoverageJsonFile(S3Helper.getFilesFileName(this.options.fileName));
+      }
+      this.previousFileCoverage = filesJson[this.githubHelper.getBaseBranch(pr)] || {};
+    }
+    return this.previousFileCoverage;
+  }
+
+  /**
+   * Get the baseline of a build without a PR: the coverage recorded for the parent commit, else the
+   * coverage last recorded for the current branch (cached per run)
+   * @returns {Promise<Object>} - { coverage: { type: value }, source } where source names the baseline, or is
+   *   null when nothing was recorded
+   */
+  async getPushBaseline() {
+    if (this.pushBaseline === undefined) {
+      this.pushBaseline = { coverage: {}, source: null };
+      // Runs that don't use S3 (--no-s3 and no bucket) make no S3 calls
+      const usesS3 = this.s3Helper && (this.options.storeInS3 || this.s3Helper.bucketName);
+      if (usesS3 && this.options.fileName) {
+        const parentSha = this.githubHelper.getParentSha();
+        const commitsJson = parentSha
+          ? await this.s3Helper.getCoverageJsonFile(S3Helper.getCommitsFileName(this.options.fileName))
+          : {};
+        const branchName = this.githubHelper.currentBranch;
+        if (commitsJson[parentSha]) {
+          this.pushBaseline = { coverage: commitsJson[parentSha].coverage || {}, source: `parent commit ${parentSha.slice(0, 7)}` };
+        } else {
+          const prevCoverageJson = await this.s3Helper.getCoverageJsonFile(this.options.fileName);
+          if (branchName && prevCoverageJson[branchName]) {
+            this.pushBaseline = { coverage: prevCoverageJson[branchName], source: `previous run on ${branchName}` };
+          }
+        }
+      }
+      console.log(this.pushBaseline.source
+        ? `No PR found, comparing with the ${this.pushBaseline.source}`
+        : 'No PR found and no earlier coverage recorded for this branch');
+    }
+    return this.pushBaseline;
+  }
+
+  /**
+   * Post the coverage comment of one type on the PR, or on the commit when there is no PR
+   * @param {number|Object} currentCoverage - Current coverage value
+   * @param {number|Object} previousCoverage - Previous coverage value
+   * @param {string} coverageType - Coverage type
+   * @param {number|null} prNumber - Pull request number, null to comment on the commit
+   */
   async addCoverageComment(currentCoverage, previousCoverage, coverageType, prNumber) {
     // Create a coverage object with single type for comment generation
     const currentCoverageObj = { [coverageType]: currentCoverage };
@@ -236,13 +596,73 @@ class GitHubCoverageReporter {
     const commentBody = this.coverageReporter.generateCoverageComment(
       previousCoverageObj, 
       currentCoverageObj, 
-      [coverageType]
+      [coverageType],
+      this.getCommentDetails([coverageType])
     );
-    await this.githubHelper.addPRComment(commentBody, prNumber);
+    if (prNumber) {
+      await this.postComment(commentBody, prNumber, [coverageType]);
+    } else {
+      await this.postCommitComment(commentBody);
+    }
+  }
+
+  /**
+   * Post the coverage comment, updating, replacing or minimizing the earlier comment for the same
+   * coverage types according to the comment mode
+   * @param {string} body - Comment markdown
+   * @param {number} prNumber - Pull request number
+   * @param {Array<string>} coverageTypes - Coverage types in the comment, so separate runs keep separate comments
+   */
+  async postComment(body, prNumber, coverageTypes) {
+    if (this.dryRun) {
+      this.dryRun.record({ type: 'comment', target: `PR #${prNumber}`, markdown: body });
+    }
+    await this.githubHelper.upsertPRComment(body, prNumber, {
+      mode: this.options.commentMode,
+      key: coverageTypes.join(','),
+      minimizeOutdated: this.options.minimizeOutdatedComments
+    });
+  }
+
+  /**
+   * Post the coverage comment on the current commit, for builds without a PR
+   * @param {string} body - Comment markdown
+   */
+  async postCommitComment(body) {
+    if (this.dryRun) {
+      this.dryRun.record({ type: 'comment', target: `commit ${this.githubHelper.commitSha}`, markdown: body });
+    }
+    await this.githubHelper.addCommitComment(body);
+  }
+
+  /**
+   * Collect the per-type details shown below the coverage table
+   * @param {Array<string>} coverageTypes - Coverage types in the comment
+   * @returns {Object} - Map of coverage type to { excludedFiles, patch, files }
+   */
+  getCommentDetails(coverageTypes) {
+    const details = {};
+    coverageTypes.forEach(coverageType => {
+      const report = this.coverageReports[coverageType];
+      const detail = {};
+      if (report && report.excludedFiles !== undefined) {
+        detail.excludedFiles = report.excludedFiles;
+      }
+      if (this.patchCoverage[coverageType]) {
+        detail.patch = this.patchCoverage[coverageType];
+      }
+      if (this.fileChanges[coverageType] && this.fileChanges[coverageType].length > 0) {
+        detail.files = this.fileChanges[coverageType];
+      }
+      if (Object.keys(detail).length > 0) {
+        details[coverageType] = detail;
+      }
+    });
+    return details;
   }
 
   async updateS3Coverage(prevCoverageJson, coverageType, currentCoverage) {
-    const branchName = process.env.GITHUB_CURR_BRANCH;
+    const branchName = this.githubHelper.currentBranch;
     const branchData = prevCoverageJson[branchName] || {};
     branchData[coverageType] = currentCoverage;
 
@@ -259,6 +679,80 @@ class GitHubCoverageReporter {
       throw err;
     }
   }
+
+  /**
+   * Store the per-file coverage of a coverage type for the current branch, next to the branch totals;
+   * only the most recently built branches are kept
+   * @param {string} coverageType - Coverage type
+   */
+  async updateS3FileCoverage(coverageType) {
+    const files = this.getFileCoverage(coverageType);
+    if (Object.keys(files).length === 0) {
+      return;
+    }
+
+    const filesFileName = S3Helper.getFilesFileName(this.options.fileName);
+    const prevFilesJson = await this.s3Helper.getCoverageJsonFile(filesFileName);
+    const branchName = this.githubHelper.currentBranch;
+    const { [branchName]: previousBranchFiles, ...otherBranches } = prevFilesJson;
+    // Re-inserting the branch keeps the keys in build order, least recently built first
+    const branches = Object.keys(otherBranches).slice(-(MAX_FILE_COVERAGE_BRANCHES - 1));
+    const updatedData = Object.fromEntries([
+      ...branches.map(branch => [branch, otherBranches[branch]]),
+      [branchName, { ...previousBranchFiles, [coverageType]: files }]
+    ]);
+
+    try {
+      await this.s3Helper.upload(filesFileName, JSON.stringify(updatedData));
+      console.log(`${coverageType} file coverage uploaded to S3 successfully`);
+    } catch (err) {
+      console.log(`Error uploading ${coverageType} file coverage:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the coverage of a coverage type for the current commit, so builds of later commits can
+   * compare with it; only the most recent commits are kept
+   * @param {string} coverageType - Coverage type
+   * @param {number|Object} currentCoverage - Current coverage value
+   */
+  async updateS3CommitCoverage(coverageType, currentCoverage) {
+    const commitSha = this.githubHelper.commitSha;
+    if (!commitSha) {
+      return;
+    }
+
+    const commitsFileName = S3Helper.getCommitsFileName(this.options.fileName);
+    const prevCommitsJson = await this.s3Helper.getCoverageJsonFile(commitsFileName);
+    const { [commitSha]: previousRecord, ...otherCommits } = prevCommitsJson;
+    // Re-inserting the commit keeps the keys in recording order, oldest first
+    const record = {
+      branch: this.githubHelper.currentBranch,
+      coverage: { ...(previousRecord && previousRecord.coverage), [coverageType]: currentCoverage }
+    };
+    const shas = Object.keys(otherCommits).slice(-(MAX_RECORDED_COMMITS - 1));
+    const updatedData = Object.fromEntries([...shas.map(sha => [sha, otherCommits[sha]]), [commitSha, record]]);
+
+    try {
+      await this.s3Helper.upload(commitsFileName, JSON.stringify(updatedData));
+      console.log(`${coverageType} commit coverage uploaded to S3 successfully`);
+    } catch (err) {
+      console.log(`Error uploading ${coverageType} commit coverage:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * List the failed gates of a run that a fail-on policy fails the build for
+   * @param {Object} result - Result of run()
+   * @param {string|Array<string>} failOn - Comma-separated threshold, delta and patch, or 'any' or 'none'
+   * @returns {Array<Object>} - [{ coverageType, check, description }]; empty when the build should pass
+   * @throws {Error} - If the policy names an unknown check
+   */
+  static getGateFailures(result, failOn) {
+    return CoverageReporter.getGateFailures(result && result.gates, failOn);
+  }
 }
 
 module.exports = GitHubCoverageReporter;
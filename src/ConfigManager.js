@@ -5,6 +5,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const FileMatcher = require('./FileMatcher');
+
+// How an existing coverage comment is handled when a new report is posted
+const COMMENT_MODES = ['update', 'recreate', 'append'];
 
 class ConfigManager {
   /**
@@ -24,18 +28,81 @@ class ConfigManager {
       const configData = fs.readFileSync(configFilePath, 'utf8');
       const config = JSON.parse(configData);
       
-      return config;
+      return ConfigManager.expandCoverageTypes(config);
     } catch (error) {
       console.error(`Error loading configuration: ${error.message}`);
       throw new Error(`Failed to load configuration: ${error.message}`);
     }
   }
   
+  /**
+   * Expand coverage types marked `perPackage` into one coverage type per package matched by their `filePath` glob
+   * Expanded types inherit every setting of the original type, merged with `overrides[<package>]`
+   * @param {Object} config - Parsed configuration
+   * @param {string} cwd - Directory globs are resolved from (optional)
+   * @returns {Object} - Configuration with the expanded coverage types
+   */
+  static expandCoverageTypes(config, cwd = process.cwd()) {
+    if (!config || !config.coverage || !Array.isArray(config.coverage.types)) {
+      return config;
+    }
+    if (!config.coverage.types.some(typeConfig => typeConfig.perPackage)) {
+      return config;
+    }
+
+    const types = config.coverage.types.flatMap(typeConfig => {
+      if (!typeConfig.perPackage) {
+        return [typeConfig];
+      }
+
+      const pattern = typeConfig.filePath || typeConfig.path;
+      const overrides = typeConfig.overrides || {};
+      const base = { ...typeConfig };
+      delete base.perPackage;
+      delete base.overrides;
+      delete base.path;
+      if (!FileMatcher.isGlob(pattern)) {
+        throw new Error(`Coverage type ${typeConfig.name} uses perPackage but its filePath is not a glob: ${pattern}`);
+      }
+
+      const filePaths = FileMatcher.expand(pattern, cwd);
+      if (filePaths.length === 0) {
+        console.warn(`No packages matched for coverage type ${typeConfig.name}: ${pattern}`);
+      }
+
+      return filePaths.map(filePath => {
+        const packageName = FileMatcher.capture(pattern, filePath);
+        return {
+          ...base,
+          ...overrides[packageName],
+          name: ConfigManager.getPackageTypeName(typeConfig.name, packageName),
+          filePath,
+          package: packageName
+        };
+      });
+    });
+
+    return { ...config, coverage: { ...config.coverage, types } };
+  }
+
+  /**
+   * Name of the coverage type expanded for a package
+   * @param {string} name - Name of the `perPackage` type; may contain a `{package}` placeholder
+   * @param {string} packageName - Package directory matched by the glob
+   * @returns {string} - Coverage type name (`<name>-<package>` without a placeholder)
+   */
+  static getPackageTypeName(name, packageName) {
+    if (name.includes('{package}')) {
+      return name.replace(/\{package\}/g, packageName);
+    }
+    return `${name}-${packageName}`;
+  }
+
   /**
    * Get coverage path for a specific type
    * @param {string} type - Coverage type
    * @param {Object} config - Loaded configuration
-   * @returns {string} - File path for the coverage type
+   * @returns {string|Array<string>} - File path, glob or list of shard files for the coverage type (`filePath`, or the `path` alias)
    */
   static getCoveragePath(type, config) {
     if (!config || !config.coverage || !config.coverage.types) {
@@ -47,7 +114,7 @@ class ConfigManager {
       throw new Error(`Coverage type not found in configuration: ${type}`);
     }
     
-    return typeConfig.filePath;
+    return typeConfig.filePath || typeConfig.path;
   }
 
   /**
@@ -69,6 +136,117 @@ class ConfigManager {
     return typeConfig.keyPath;
   }
   
+  /**
+   * Get coverage format for a specific type
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {string|undefined} - Format of the coverage file (e.g. 'lcov', 'jacoco', 'go'), undefined for Istanbul JSON
+   */
+  static getCoverageFormat(type, config) {
+    return ConfigManager.getCoverageTypeConfig(type, config).format;
+  }
+
+  /**
+   * Get the custom parser module for a specific type
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {string|undefined} - Path of the parser module, undefined to use the built-in parsers
+   */
+  static getCoverageParser(type, config) {
+    return ConfigManager.getCoverageTypeConfig(type, config).parser;
+  }
+
+  /**
+   * Get the counter gated for a specific type (e.g. JaCoCo 'INSTRUCTION', 'LINE', 'BRANCH')
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {string|undefined} - Counter name, undefined to use the format's default
+   */
+  static getCoverageCounter(type, config) {
+    return ConfigManager.getCoverageTypeConfig(type, config).counter;
+  }
+
+  /**
+   * Get the patch coverage threshold for a specific type; patch coverage is only reported when it is set
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {number|undefined} - Minimum coverage of the changed lines, undefined when not configured
+   */
+  static getPatchThreshold(type, config) {
+    const types = (config && config.coverage && config.coverage.types) || [];
+    const typeConfig = types.find(t => t.name === type);
+    return typeConfig ? typeConfig.patchThreshold : undefined;
+  }
+
+  /**
+   * Whether a coverage type combines other types (`composite` in .gcr.json)
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {boolean}
+   */
+  static isCompositeType(type, config) {
+    const types = (config && config.coverage && config.coverage.types) || [];
+    const typeConfig = types.find(t => t.name === type);
+    return Boolean(typeConfig && typeConfig.composite);
+  }
+
+  /**
+   * Get the coverage types a composite type combines
+   * @param {string} type - Composite coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {Array<string>} - Component coverage types
+   */
+  static getCompositeTypes(type, config) {
+    const typeConfig = ConfigManager.getCoverageTypeConfig(type, config);
+    const components = typeConfig.composite === true
+      ? config.coverage.types.filter(t => !t.composite).map(t => t.name)
+      : [].concat(typeConfig.composite || []);
+
+    components.forEach(component => {
+      const componentConfig = config.coverage.types.find(t => t.name === component);
+      if (!componentConfig) {
+        throw new Error(`Composite coverage type ${type} refers to an unknown coverage type: ${component}`);
+      }
+      if (componentConfig.composite) {
+        throw new Error(`Composite coverage type ${type} cannot include another composite type: ${component}`);
+      }
+    });
+    return components;
+  }
+
+  /**
+   * Get the include/exclude path globs for a specific type
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {Object} - { include, exclude } lists of globs (empty when not configured)
+   */
+  static getCoverageFilters(type, config) {
+    const typeConfig = ConfigManager.getCoverageTypeConfig(type, config);
+    return {
+      include: [].concat(typeConfig.include || []),
+      exclude: [].concat(typeConfig.exclude || [])
+    };
+  }
+
+  /**
+   * Get the full configuration entry for a specific type
+   * @param {string} type - Coverage type
+   * @param {Object} config - Loaded configuration
+   * @returns {Object} - Coverage type configuration
+   */
+  static getCoverageTypeConfig(type, config) {
+    if (!config || !config.coverage || !config.coverage.types) {
+      throw new Error('Invalid configuration format: coverage types not found');
+    }
+    
+    const typeConfig = config.coverage.types.find(t => t.name === type);
+    if (!typeConfig) {
+      throw new Error(`Coverage type not found in configuration: ${type}`);
+    }
+
+    return typeConfig;
+  }
+  
   /**
    * Get threshold for a specific coverage type
    * @param {string} type - Coverage type
@@ -150,6 +328,53 @@ class ConfigManager {
     return s3Config;
   }
 
+  /**
+   * Get status check configuration (supports top-level and nested config.statusCheck)
+   * @param {Object} config - Loaded configuration
+   * @returns {Object} - Status check configuration, `useChecksApi` defaulting to false
+   */
+  static getStatusCheckConfig(config) {
+    let statusCheckConfig = {};
+    if (config && config.statusCheck) {
+      statusCheckConfig = { ...config.statusCheck };
+    } else if (config && config.config && config.config.statusCheck) {
+      statusCheckConfig = { ...config.config.statusCheck };
+    }
+
+    statusCheckConfig.useChecksApi = statusCheckConfig.useChecksApi === true;
+    return statusCheckConfig;
+  }
+
+  /**
+   * Get PR comment configuration (supports top-level and nested config.comment)
+   * @param {Object} config - Loaded configuration
+   * @returns {Object} - Comment configuration, `mode` defaulting to 'update', `minimizeOutdated` to true and
+   *   `commitComment` to false
+   * @throws {Error} - If the mode is not update, recreate or append
+   */
+  static getCommentConfig(config) {
+    let commentConfig = {};
+    if (config && config.comment) {
+      commentConfig = { ...config.comment };
+    } else if (config && config.config && config.config.comment) {
+      commentConfig = { ...config.config.comment };
+    }
+
+    // Earlier comments are collapsed as outdated in append mode unless turned off
+    if (commentConfig.minimizeOutdated === undefined) {
+      commentConfig.minimizeOutdated = true;
+    }
+    // Builds without a PR only comment on their commit when asked to
+    commentConfig.commitComment = commentConfig.commitComment === true;
+    if (!commentConfig.mode) {
+      commentConfig.mode = 'update';
+    } else if (!COMMENT_MODES.includes(commentConfig.mode)) {
+      throw new Error(`Invalid comment mode "${commentConfig.mode}": expected ${COMMENT_MODES.join(', ')}`);
+    }
+
+    return commentConfig;
+  }
+
   /**
    * Get GitHub configuration (supports owner/repoName from .gcr.json)
    * @param {Object} config - Loaded configuration
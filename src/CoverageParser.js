@@ -1,16 +1,54 @@
 const fs = require('fs');
+const path = require('path');
+const FileMatcher = require('./FileMatcher');
+const CoverageSummary = require('./parsers/CoverageSummary');
+const FormatDetector = require('./parsers/FormatDetector');
+const IstanbulSummaryParser = require('./parsers/IstanbulSummaryParser');
+const IstanbulFinalParser = require('./parsers/IstanbulFinalParser');
+const LcovParser = require('./parsers/LcovParser');
+const CoberturaParser = require('./parsers/CoberturaParser');
+const JacocoParser = require('./parsers/JacocoParser');
+const CloverParser = require('./parsers/CloverParser');
+const GoCoverParser = require('./parsers/GoCoverParser');
+const CoveragePyParser = require('./parsers/CoveragePyParser');
+const SimpleCovParser = require('./parsers/SimpleCovParser');
+const CustomParser = require('./parsers/CustomParser');
+
+// Parsers keyed by the `format` value used in .gcr.json
+const PARSERS = {
+  istanbul: IstanbulSummaryParser,
+  'istanbul-final': IstanbulFinalParser,
+  lcov: LcovParser,
+  cobertura: CoberturaParser,
+  jacoco: JacocoParser,
+  clover: CloverParser,
+  go: GoCoverParser,
+  coveragepy: CoveragePyParser,
+  simplecov: SimpleCovParser
+};
+
+// Parser modules named by a type's `parser` setting, loaded once per path
+const customParsers = {};
 
 class CoverageParser {
-  static parseSingleFile(filePath, keyPath = 'total.statements.pct') {
+  static parseSingleFile(filePath, keyPath, options = {}) {
     try {
       if (fs.existsSync(filePath)) {
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        const coverage = CoverageParser.getNestedValue(data, keyPath);
+        const content = fs.readFileSync(filePath, 'utf8');
+        // An explicit format wins over detection
+        const format = options.format || CoverageParser.detectFormat(content);
+        const resolvedKeyPath = keyPath || CoverageParser.getDefaultKeyPath(format, options.counter);
+
+        // Istanbul summaries are read as-is so custom key paths keep working on arbitrary JSON
+        const data = CoverageParser.isIstanbulSummary(format)
+          ? JSON.parse(content)
+          : CoverageParser.getParser(format).parse(content);
+        const coverage = CoverageParser.getNestedValue(data, resolvedKeyPath);
         if (coverage !== undefined) {
           return coverage;
         }
 
-        throw new Error(`Key path not found in coverage file: ${keyPath}`);
+        throw new Error(CoverageParser.describeMissingKeyPath(data, resolvedKeyPath, format));
       }
     } catch (err) {
       console.log('Error parsing coverage file:', err);
@@ -19,6 +57,282 @@ class CoverageParser {
     return 0;
   }
 
+  /**
+   * Parse a coverage file into a metrics object ({ statements, branches, functions, lines } percentages)
+   * A custom keyPath that does not point at a `total.<metric>.pct` value yields that single number instead
+   * @param {string|Array<string>} filePath - Path to the coverage file, or a glob/list of shard files to merge
+   * @param {Object} options - { format, parser, counter, keyPath, include, exclude } (all optional)
+   * @returns {Object|number} - Metrics object, a single value for custom key paths, or 0 when the file is missing
+   */
+  static parseMetrics(filePath, options = {}) {
+    return CoverageParser.parseCoverage(filePath, options).coverage;
+  }
+
+  /**
+   * Parse a coverage file into its coverage value and the normalized report it was read from
+   * @param {string|Array<string>} filePath - Path to the coverage file, or a glob/list of shard files to merge
+   * @param {Object} parseOptions - { format, parser, counter, keyPath, include, exclude } (all optional)
+   * @returns {Object} - { coverage, report }; report is null for missing files and raw JSON key paths
+   */
+  static parseCoverage(filePath, parseOptions = {}) {
+    // A custom parser module takes the place of the format
+    const options = { ...parseOptions, format: parseOptions.parser || parseOptions.format };
+    const customKeyPath = options.keyPath && !CoverageParser.getKeyPathMetric(options.keyPath);
+    if (customKeyPath && !CoverageParser.isMultiFile(filePath) && !CoverageParser.hasFilters(options)) {
+      return { coverage: CoverageParser.parseSingleFile(filePath, options.keyPath, options), report: null };
+    }
+
+    try {
+      const report = CoverageParser.loadReport(filePath, options.format, options);
+      if (!report) {
+        return { coverage: 0, report: null };
+      }
+      if (!customKeyPath) {
+        return { coverage: CoverageParser.getMetrics(report), report };
+      }
+
+      const coverage = CoverageParser.getNestedValue(report, options.keyPath);
+      if (coverage === undefined) {
+        throw new Error(CoverageParser.describeMissingKeyPath(report, options.keyPath, report.format));
+      }
+      return { coverage, report };
+    } catch (err) {
+      console.log('Error parsing coverage file:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Load the normalized report for a coverage file, merging shards when given a glob or a list
+   * @param {string|Array<string>} filePath - Path, glob or list of paths/globs
+   * @param {string} format - Coverage format (optional, detected per file when omitted)
+   * @param {Object} filters - { include, exclude } globs applied to the per-file data (optional)
+   * @returns {Object|null} - Normalized coverage report, null when no file exists
+   */
+  static loadReport(filePath, format, filters = {}) {
+    const filePaths = CoverageParser.resolveFiles(filePath);
+    if (filePaths.length === 0) {
+      if (CoverageParser.isMultiFile(filePath)) {
+        console.log(`No coverage files matched: ${[].concat(filePath).join(', ')}`);
+      }
+      return null;
+    }
+
+    if (filePaths.length > 1) {
+      console.log(`Merging ${filePaths.length} coverage files: ${filePaths.join(', ')}`);
+    }
+    const report = CoverageSummary.mergeReports(filePaths.map(shard => CoverageParser.parseReport(shard, format)));
+    return CoverageParser.filterReport(report, filters);
+  }
+
+  /**
+   * Drop the files outside the `include` globs or matching the `exclude` globs, and recompute the totals
+   * Globs are matched against the path in the report and the path relative to the working directory
+   * @param {Object} report - Normalized coverage report
+   * @param {Object} filters - { include, exclude } glob lists (optional)
+   * @returns {Object} - Filtered report with `excludedFiles` set, or the report itself without filters
+   */
+  static filterReport(report, filters = {}) {
+    if (!CoverageParser.hasFilters(filters)) {
+      return report;
+    }
+
+    const include = [].concat(filters.include || []);
+    const exclude = [].concat(filters.exclude || []);
+    const filePaths = Object.keys(report.files || {});
+    if (filePaths.length === 0) {
+      console.warn(`The ${report.format} report has no per-file data, include/exclude filters are ignored`);
+      return { ...report, excludedFiles: 0 };
+    }
+
+    const files = {};
+    filePaths.forEach(filePath => {
+      const candidates = CoverageParser.getMatchPaths(filePath, report);
+      const included = include.length === 0 || candidates.some(candidate => FileMatcher.matches(candidate, include));
+      const excluded = candidates.some(candidate => FileMatcher.matches(candidate, exclude));
+      if (included && !excluded) {
+        files[filePath] = report.files[filePath];
+      }
+    });
+
+    const excludedFiles = filePaths.length - Object.keys(files).length;
+    if (excludedFiles === 0) {
+      return { ...report, excludedFiles };
+    }
+    return { ...report, total: CoverageSummary.computeTotals(files), files, excludedFiles };
+  }
+
+  static getMatchPaths(filePath, report) {
+    const cwd = process.cwd();
+    const absolutePaths = path.isAbsolute(filePath)
+      ? [filePath]
+      : (report.sources || []).map(source => path.join(source, filePath));
+
+    const relativePaths = absolutePaths
+      .map(absolutePath => path.relative(cwd, absolutePath))
+      .filter(relativePath => relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+    return [filePath, ...relativePaths];
+  }
+
+  static hasFilters(filters = {}) {
+    return [].concat(filters.include || [], filters.exclude || []).length > 0;
+  }
+
+  /**
+   * Combine the reports of several coverage types, weighting each type by its covered/total counts
+   * Only metrics that every report counts are combined
+   * @param {Object} reports - Map of coverage type to normalized report
+   * @returns {Object} - Normalized report ({ format: 'composite', total, files: {}, components })
+   */
+  static combineReports(reports) {
+    const summaries = Object.values(reports).map(report => report.total || {});
+    const total = {};
+    CoverageSummary.getMetricNames(summaries).forEach(metric => {
+      const counted = summaries.every(summary => summary[metric]
+        && typeof summary[metric].total === 'number'
+        && typeof summary[metric].covered === 'number');
+      if (counted) {
+        total[metric] = CoverageSummary.sumMetric(summaries, metric);
+      }
+    });
+
+    const components = Object.keys(reports);
+    if (Object.keys(total).length === 0) {
+      throw new Error(`Cannot combine coverage types ${components.join(', ')}: they have no counted metric in common`);
+    }
+    return { format: 'composite', total, files: {}, components };
+  }
+
+  /**
+   * Resolve a coverage file setting to the existing files it refers to
+   * @param {string|Array<string>} filePath - Path, glob or list of paths/globs
+   * @returns {Array<string>} - Existing file paths, without duplicates
+   */
+  static resolveFiles(filePath) {
+    if (!CoverageParser.isMultiFile(filePath)) {
+      return fs.existsSync(filePath) ? [filePath] : [];
+    }
+    const filePaths = [].concat(filePath).flatMap(pattern => {
+      if (FileMatcher.isGlob(pattern)) {
+        return FileMatcher.expand(pattern);
+      }
+      if (!fs.existsSync(pattern)) {
+        console.log(`Coverage file not found, skipping: ${pattern}`);
+        return [];
+      }
+      return [pattern];
+    });
+    return [...new Set(filePaths)];
+  }
+
+  static isMultiFile(filePath) {
+    return Array.isArray(filePath) || FileMatcher.isGlob(filePath);
+  }
+
+  /**
+   * Get the percentage of every metric in a normalized report
+   * @param {Object} report - Normalized coverage report
+   * @returns {Object} - Map of metric name to percentage
+   */
+  static getMetrics(report) {
+    const metrics = {};
+    Object.entries(report.total || {}).forEach(([metric, summary]) => {
+      if (summary && summary.pct !== undefined) {
+        metrics[metric] = summary.pct;
+      }
+    });
+    return metrics;
+  }
+
+  /**
+   * Get the metric a coverage type is gated on from its keyPath or counter
+   * @param {Object} typeConfig - Coverage type configuration ({ keyPath, counter })
+   * @returns {string|undefined} - Metric name, undefined to use the default for the format
+   */
+  static getGateMetric(typeConfig = {}) {
+    if (typeConfig.keyPath) {
+      return CoverageParser.getKeyPathMetric(typeConfig.keyPath);
+    }
+    if (typeConfig.counter) {
+      return JacocoParser.metricForCounter(typeConfig.counter);
+    }
+    return undefined;
+  }
+
+  static getKeyPathMetric(keyPath) {
+    const match = /^total\.([A-Za-z]+)\.pct$/.exec(keyPath || '');
+    return match ? match[1] : undefined;
+  }
+
+  /**
+   * Parse a coverage file into a normalized report
+   * @param {string} filePath - Path to the coverage file
+   * @param {string} format - Coverage format (optional, detected from the content when omitted)
+   * @returns {Object} - Normalized coverage report ({ format, total, files })
+   */
+  static parseReport(filePath, format) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parser = CoverageParser.getParser(format || CoverageParser.detectFormat(content));
+    return parser.parse(content, { filePath });
+  }
+
+  /**
+   * Detect the format of coverage file content
+   * @param {string} content - Raw file content
+   * @returns {string} - Format name
+   */
+  static detectFormat(content) {
+    return FormatDetector.detect(content);
+  }
+
+  /**
+   * Get the parser registered for a format, loading parser modules on first use
+   * @param {string} format - Coverage format, or the path of a custom parser module
+   * @returns {Object} - Parser class
+   */
+  static getParser(format) {
+    if (CustomParser.isModulePath(format)) {
+      if (!customParsers[format]) {
+        customParsers[format] = CustomParser.load(format);
+      }
+      return customParsers[format];
+    }
+
+    const parser = PARSERS[format];
+    if (!parser) {
+      throw new Error(
+        `Unsupported coverage format: ${format}. ` +
+        `Supported formats: ${Object.keys(PARSERS).join(', ')}, or the path of a parser module (e.g. ./tools/my-parser.js)`
+      );
+    }
+    return parser;
+  }
+
+  /**
+   * Get the key path used when a coverage type does not define one
+   * @param {string} format - Coverage format (optional, defaults to Istanbul)
+   * @param {string} counter - Counter to gate on, e.g. 'LINE' or 'BRANCH' (optional)
+   * @returns {string} - Default key path for the format
+   */
+  static getDefaultKeyPath(format, counter) {
+    if (counter) {
+      return `total.${JacocoParser.metricForCounter(counter)}.pct`;
+    }
+    return `total.${CoverageParser.getParser(format || 'istanbul').defaultMetric}.pct`;
+  }
+
+  static isIstanbulSummary(format) {
+    return !format || format === 'istanbul';
+  }
+
+  static describeMissingKeyPath(data, keyPath, format) {
+    const metrics = data && data.total && typeof data.total === 'object'
+      ? Object.keys(data.total).map(metric => `total.${metric}.pct`)
+      : [];
+    const available = metrics.length > 0 ? ` Available key paths: ${metrics.join(', ')}.` : '';
+    return `Key path not found in coverage file: ${keyPath} (format: ${format || 'istanbul'}).${available}`;
+  }
+
   static getNestedValue(obj, path) {
     // Split the path string into an array of keys
     const keys = path.split('.');
@@ -1,3 +1,21 @@
+// Metrics shown in the PR comment for every coverage type
+const METRICS = ['statements', 'branches', 'functions', 'lines'];
+
+// Metric a numeric threshold applies to when the coverage type does not name one
+const PRIMARY_METRIC_ORDER = ['statements', 'instructions', 'lines', 'branches', 'functions'];
+
+// GitHub rejects commit status descriptions longer than this
+const MAX_STATUS_DESCRIPTION = 140;
+
+// GitHub truncates check run titles longer than this
+const MAX_CHECK_TITLE = 255;
+
+// Rows listed in the "Changed files" section; GitHub comments are limited to 65536 characters
+const MAX_CHANGED_FILES = 100;
+
+// Checks a coverage type is gated on, in the order they are reported
+const GATE_CHECKS = ['threshold', 'delta', 'patch'];
+
 class CoverageReporter {
   constructor(options = {}) {
     // Default thresholds for different coverage types
@@ -9,9 +27,37 @@ class CoverageReporter {
     };
     this.maxDiff = [null, undefined].includes(options.maxDiff) ? 0 : options.maxDiff;
     this.coverageTypes = options.coverageTypes || ['backend', 'frontend'];
+    // Metric gated by a numeric threshold, per coverage type (e.g. from keyPath 'total.lines.pct')
+    this.metrics = options.metrics || {};
+    // Minimum coverage of the lines changed in the PR, per coverage type
+    this.patchThresholds = options.patchThresholds || {};
+  }
+
+  /**
+   * Whether a coverage value is a metrics object ({ statements, branches, functions, lines })
+   * rather than a single percentage
+   * @param {number|Object} coverage - Coverage value
+   * @returns {boolean}
+   */
+  static isMetrics(coverage) {
+    return coverage !== null && typeof coverage === 'object';
   }
 
-  generateCoverageComment(previousCoverage, currentCoverage, coverageTypes = this.coverageTypes) {
+  /**
+   * Generate the PR comment
+   * @param {Object} previousCoverage - Map of coverage type to previous coverage
+   * @param {Object} currentCoverage - Map of coverage type to current coverage
+   * @param {Array<string>} coverageTypes - Coverage types to show
+   * @param {Object} details - Map of coverage type to extra details ({ excludedFiles, patch, files }) (optional)
+   * @returns {string} - Comment markdown
+   */
+  generateCoverageComment(previousCoverage, currentCoverage, coverageTypes = this.coverageTypes, details = {}) {
+    if (coverageTypes.some(type => CoverageReporter.isMetrics(currentCoverage[type]))) {
+      return this.generateMetricsComment(previousCoverage, currentCoverage, coverageTypes)
+        + this.generateDetailNotes(details, coverageTypes)
+        + this.generateChangedFilesSection(details, coverageTypes);
+    }
+
     const getChangeEmoji = (curr, prev) => {
       if (curr > prev) return '📈';
       if (curr < prev) return '📉';
@@ -24,9 +70,9 @@ class CoverageReporter {
       return curr > prev ? `+${diff}%` : `${diff}%`;
     };
 
-    const isCoverageDropWithinLimit = (curr, prev) => {
+    const isCoverageDropWithinLimit = (curr, prev, type) => {
       const diffCoverage = prev - curr;
-      if (diffCoverage <= this.maxDiff) {
+      if (diffCoverage <= this.getMaxDiff(this.getPrimaryMetric(type))) {
         return true;
       }
       return false;
@@ -38,8 +84,8 @@ class CoverageReporter {
     const tableRows = coverageTypes.map(type => {
       const current = currentCoverage[type] || 0;
       const previous = previousCoverage[type] || 0;
-      const threshold = this.thresholds[type] || 80;
-      const changeStatus = isCoverageDropWithinLimit(current, previous);
+      const threshold = this.getThreshold(type);
+      const changeStatus = isCoverageDropWithinLimit(current, previous, type);
       const overallStatus = current >= threshold && changeStatus;
 
       return `| ${type.charAt(0).toUpperCase() + type.slice(1)} | ${current}% | ${previous}% | ${getChangeEmoji(current, previous)} ${getChangeText(current, previous)} | ${threshold}% | ${getStatusEmoji(overallStatus)} |`;
@@ -48,12 +94,12 @@ class CoverageReporter {
     // Generate warnings for coverage types below threshold
     const warnings = coverageTypes
       .filter(type => {
-        if (!isCoverageDropWithinLimit(currentCoverage[type], previousCoverage[type])) {
+        if (!isCoverageDropWithinLimit(currentCoverage[type], previousCoverage[type], type)) {
           return true;
         }
         return (currentCoverage[type] || 0) < this.thresholds[type];
       })
-      .map(type => `⚠️ ${type.charAt(0).toUpperCase() + type.slice(1)} coverage is below the required threshold / max allowed change of ${this.maxDiff}%.`);
+      .map(type => `⚠️ ${type.charAt(0).toUpperCase() + type.slice(1)} coverage is below the required threshold / max allowed change of ${this.getMaxDiff(this.getPrimaryMetric(type))}%.`);
 
     const warningText = warnings.length > 0 ? '\n\n' + warnings.join('\n') : '';
 
@@ -61,12 +107,159 @@ class CoverageReporter {
 
 | Coverage Type | Current | Previous | Change | Threshold | Status |
 |--------------|---------|-----------|---------|-----------|---------|
+${tableRows}${warningText}${this.generateDetailNotes(details, coverageTypes)}${this.generateChangedFilesSection(details, coverageTypes)}`;
+  }
+
+  /**
+   * Notes shown below the coverage table: patch coverage and how many files the include/exclude filters removed
+   * @param {Object} details - Map of coverage type to { excludedFiles, patch }
+   * @param {Array<string>} coverageTypes - Coverage types in the comment
+   * @returns {string} - Markdown, empty when there is nothing to note
+   */
+  generateDetailNotes(details = {}, coverageTypes = this.coverageTypes) {
+    const notes = [];
+    coverageTypes.filter(type => details[type]).forEach(type => {
+      const label = type.charAt(0).toUpperCase() + type.slice(1);
+      const { excludedFiles, patch } = details[type];
+      if (patch) {
+        const status = patch.total === 0 || patch.pct >= (this.patchThresholds[type] || 0) ? '✅' : '❌';
+        notes.push(patch.total === 0
+          ? `🩹 ${label} patch coverage: no coverable lines changed.`
+          : `🩹 ${label} patch coverage: ${patch.pct}% (${patch.covered} of ${patch.total} changed lines covered) ${status}`);
+      }
+      if (excludedFiles > 0) {
+        notes.push(`ℹ️ ${label}: ${excludedFiles} ${excludedFiles === 1 ? 'file' : 'files'} excluded by path filters.`);
+      }
+    });
+
+    return notes.length > 0 ? '\n\n' + notes.join('\n') : '';
+  }
+
+  /**
+   * Collapsible table of the files the PR touches with their coverage before and after, largest drop first
+   * @param {Object} details - Map of coverage type to { files: [{ file, previous, current, change }] }
+   * @param {Array<string>} coverageTypes - Coverage types in the comment
+   * @returns {string} - Markdown, empty when no changed file has coverage
+   */
+  generateChangedFilesSection(details = {}, coverageTypes = this.coverageTypes) {
+    const typesWithFiles = coverageTypes.filter(type => details[type] && details[type].files && details[type].files.length > 0);
+    if (typesWithFiles.length === 0) {
+      return '';
+    }
+
+    const rows = [];
+    typesWithFiles.forEach(type => {
+      details[type].files.forEach(file => rows.push({ ...file, type }));
+    });
+    // Rows of several types are merged, so sort them again by drop
+    rows.sort((a, b) => {
+      if (a.change === null || b.change === null) {
+        return (a.change === null) - (b.change === null);
+      }
+      return a.change - b.change;
+    });
+
+    const formatChange = (change) => {
+      if (change === null) return '🆕 New';
+      if (change === 0) return '🔄 No change';
+      return change > 0 ? `📈 +${change.toFixed(2)}%` : `📉 ${change.toFixed(2)}%`;
+    };
+
+    // The type column is only needed when several types list files
+    const showType = typesWithFiles.length > 1;
+    const tableRows = rows.slice(0, MAX_CHANGED_FILES).map(row => {
+      const label = row.type.charAt(0).toUpperCase() + row.type.slice(1);
+      const previous = row.previous === null ? '—' : `${row.previous}%`;
+      return `| \`${row.file}\` |${showType ? ` ${label} |` : ''} ${previous} | ${row.current}% | ${formatChange(row.change)} |`;
+    });
+    if (rows.length > MAX_CHANGED_FILES) {
+      tableRows.push(`\n…and ${rows.length - MAX_CHANGED_FILES} more files.`);
+    }
+
+    return `
+
+<details>
+<summary>Changed files (${rows.length})</summary>
+
+| File |${showType ? ' Coverage Type |' : ''} Previous | Current | Change |
+|------|${showType ? '--------------|' : ''}----------|---------|--------|
+${tableRows.join('\n')}
+
+</details>`;
+  }
+
+  /**
+   * Comment with one column per metric, used when coverage values are metrics objects
+   */
+  generateMetricsComment(previousCoverage, currentCoverage, coverageTypes) {
+    const evaluations = coverageTypes.map(type => ({
+      type,
+      label: type.charAt(0).toUpperCase() + type.slice(1),
+      current: this.toMetrics(currentCoverage[type], type),
+      previous: this.toBaseline(previousCoverage[type], type),
+      ...this.evaluateMetrics(currentCoverage[type], previousCoverage[type], type)
+    }));
+
+    // Gated metrics outside the standard four (e.g. JaCoCo instructions) get their own column
+    const columns = [...METRICS];
+    evaluations.forEach(evaluation => {
+      evaluation.thresholds.forEach(({ metric }) => {
+        if (!columns.includes(metric)) {
+          columns.push(metric);
+        }
+      });
+    });
+
+    const formatCell = (curr, prev) => {
+      if (curr === undefined) return '—';
+      if (prev === undefined) return `${curr}%`;
+      if (curr === prev) return `${curr}% (🔄 No change)`;
+      const diff = (curr - prev).toFixed(2);
+      return curr > prev ? `${curr}% (📈 +${diff}%)` : `${curr}% (📉 ${diff}%)`;
+    };
+
+    const tableRows = evaluations.map(evaluation => {
+      const cells = columns.map(metric => formatCell(evaluation.current[metric], evaluation.previous[metric]));
+      const threshold = evaluation.thresholds.map(({ metric, threshold }) => `${metric} ${threshold}%`).join(', ');
+      return `| ${evaluation.label} | ${cells.join(' | ')} | ${threshold} | ${evaluation.pass ? '✅' : '❌'} |`;
+    }).join('\n');
+
+    const warnings = [];
+    evaluations.forEach(evaluation => {
+      evaluation.thresholds.filter(check => !check.pass).forEach(check => {
+        warnings.push(`⚠️ ${evaluation.label} ${check.metric} coverage (${check.current}%) is below the required threshold of ${check.threshold}%.`);
+      });
+      evaluation.deltas.filter(check => !check.pass).forEach(check => {
+        warnings.push(`⚠️ ${evaluation.label} ${check.metric} coverage dropped by ${(check.previous - check.current).toFixed(2)}%, more than the max allowed change of ${check.maxDiff}%.`);
+      });
+    });
+
+    const warningText = warnings.length > 0 ? '\n\n' + warnings.join('\n') : '';
+    const header = columns.map(metric => metric.charAt(0).toUpperCase() + metric.slice(1));
+
+    return `## Code Coverage Report
+
+| Coverage Type | ${header.join(' | ')} | Threshold | Status |
+|--------------|${header.map(() => '---------').join('|')}|-----------|---------|
 ${tableRows}${warningText}`;
   }
 
   generateStatusChecks(coverage, coverageType) {
-    const threshold = this.thresholds[coverageType] || 80;
-    
+    if (CoverageReporter.isMetrics(coverage)) {
+      const { thresholds } = this.evaluateMetrics(coverage, null, coverageType);
+      const description = thresholds
+        .map(({ metric, current, threshold }) => `${metric}: ${current === undefined ? 'n/a' : `${current}%`} (min ${threshold}%)`)
+        .join(', ');
+
+      return {
+        pass: thresholds.every(check => check.pass),
+        description: CoverageReporter.truncateDescription(description),
+        context: `code-coverage-${coverageType}`,
+      };
+    }
+
+    const threshold = this.getThreshold(coverageType);
+
     return {
       pass: coverage >= threshold,
       description: `threshold: ${threshold}% - current: ${coverage}%`,
@@ -75,12 +268,32 @@ ${tableRows}${warningText}`;
   }
 
   generateDiffStatusCheck(previousCoverage, currentCoverage, coverageType) {
+    if (CoverageReporter.isMetrics(currentCoverage)) {
+      const { deltas } = this.evaluateMetrics(currentCoverage, previousCoverage, coverageType);
+      if (deltas.length === 0) {
+        return null;
+      }
+
+      const description = deltas.map(({ metric, previous, current }) => {
+        if (current === previous) return `${metric} stays at ${current}%`;
+        return current > previous
+          ? `${metric} went up from ${previous}% to ${current}%`
+          : `${metric} decreased from ${previous}% to ${current}%`;
+      }).join('; ');
+
+      return {
+        pass: deltas.every(check => check.pass),
+        description: CoverageReporter.truncateDescription(description),
+        context: `code-coverage-${coverageType}-delta`,
+      };
+    }
+
     if (previousCoverage === 0) {
       return null;
     }
 
     const diffCoverage = previousCoverage - currentCoverage;
-    const pass = diffCoverage <= this.maxDiff;
+    const pass = diffCoverage <= this.getMaxDiff(this.getPrimaryMetric(coverageType));
 
     let description;
     if (currentCoverage === previousCoverage) {
@@ -97,6 +310,284 @@ ${tableRows}${warningText}`;
       context: `code-coverage-${coverageType}-delta`,
     };
   }
+
+  /**
+   * Status check for the coverage of the lines changed in the PR
+   * @param {Object} patchCoverage - { total, covered, pct } of the changed lines
+   * @param {string} coverageType - Coverage type
+   * @returns {Object} - Status check ({ pass, description, context })
+   */
+  generatePatchStatusCheck(patchCoverage, coverageType) {
+    const threshold = this.patchThresholds[coverageType] || 0;
+    const context = `code-coverage-${coverageType}-patch`;
+
+    if (patchCoverage.total === 0) {
+      return { pass: true, description: 'no coverable lines changed', context };
+    }
+
+    return {
+      pass: patchCoverage.pct >= threshold,
+      description: `${patchCoverage.pct}% of ${patchCoverage.total} changed lines covered (min ${threshold}%)`,
+      context,
+    };
+  }
+
+  /**
+   * Check run for a coverage type: the threshold, delta and patch checks combined into one conclusion,
+   * with the coverage table as summary and an annotation for each range of uncovered changed lines
+   * @param {number|Object} currentCoverage - Current coverage value
+   * @param {number|Object} previousCoverage - Previous coverage value (0 when unknown)
+   * @param {string} coverageType - Coverage type
+   * @param {Object} options - { patch, table }: coverage of the changed lines with their uncovered lines per file
+   *   (optional), and the markdown coverage table (e.g. from generateCoverageComment)
+   * @returns {Object} - { name, conclusion, title, summary, annotations }
+   */
+  generateCheckRun(currentCoverage, previousCoverage, coverageType, { patch, table = '' } = {}) {
+    const checks = [
+      this.generateStatusChecks(currentCoverage, coverageType),
+      this.generateDiffStatusCheck(previousCoverage, currentCoverage, coverageType),
+      patch && this.patchThresholds[coverageType] !== undefined ? this.generatePatchStatusCheck(patch, coverageType) : null
+    ].filter(Boolean);
+
+    const failed = checks.filter(check => !check.pass);
+    const title = (failed.length > 0 ? failed : checks).map(check => check.description).join('; ');
+    const checkList = checks.map(check => `- ${check.pass ? '✅' : '❌'} \`${check.context}\`: ${check.description}`).join('\n');
+
+    return {
+      name: `code-coverage-${coverageType}`,
+      conclusion: failed.length === 0 ? 'success' : 'failure',
+      title: title.length <= MAX_CHECK_TITLE ? title : `${title.slice(0, MAX_CHECK_TITLE - 1)}…`,
+      summary: table ? `${checkList}\n\n${table}` : checkList,
+      annotations: patch ? CoverageReporter.generateAnnotations(patch) : []
+    };
+  }
+
+  /**
+   * Verdict of the gates of a coverage type, independent of how (or whether) they are reported to GitHub
+   * @param {number|Object} currentCoverage - Current coverage value
+   * @param {number|Object} previousCoverage - Previous coverage value (0 when unknown)
+   * @param {string} coverageType - Coverage type
+   * @param {Object} patch - Coverage of the changed lines (optional)
+   * @returns {Object} - { pass, checks: { threshold, delta, patch } }; each check is { pass, description },
+   *   or null when it wasn't evaluated (no baseline, no patch threshold or no changed lines data)
+   */
+  evaluateGates(currentCoverage, previousCoverage, coverageType, patch) {
+    const toVerdict = check => (check ? { pass: check.pass, description: check.description } : null);
+    const checks = {
+      threshold: toVerdict(this.generateStatusChecks(currentCoverage, coverageType)),
+      delta: toVerdict(this.generateDiffStatusCheck(previousCoverage, currentCoverage, coverageType)),
+      patch: toVerdict(patch && this.patchThresholds[coverageType] !== undefined ? this.generatePatchStatusCheck(patch, coverageType) : null)
+    };
+
+    return {
+      pass: Object.values(checks).every(check => !check || check.pass),
+      checks
+    };
+  }
+
+  /**
+   * Parse a fail-on policy: the checks whose failure should fail the build
+   * @param {string|Array<string>} failOn - Comma-separated threshold, delta and patch, or 'any' or 'none'
+   * @returns {Array<string>} - Checks to fail on (empty for 'none')
+   * @throws {Error} - If the policy names an unknown check
+   */
+  static parseFailOn(failOn) {
+    const values = (Array.isArray(failOn) ? failOn : String(failOn || 'none').split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    const invalid = values.filter(value => !GATE_CHECKS.includes(value) && !['any', 'none'].includes(value));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid fail-on value "${invalid[0]}": expected ${GATE_CHECKS.join(', ')}, any or none`);
+    }
+    if (values.includes('any')) {
+      return [...GATE_CHECKS];
+    }
+    return GATE_CHECKS.filter(check => values.includes(check));
+  }
+
+  /**
+   * List the failed gates a fail-on policy fails the build for
+   * @param {Object} gates - Map of coverage type to gate verdict (from evaluateGates)
+   * @param {string|Array<string>} failOn - Fail-on policy (see parseFailOn)
+   * @returns {Array<Object>} - [{ coverageType, check, description }]
+   */
+  static getGateFailures(gates, failOn) {
+    const checks = CoverageReporter.parseFailOn(failOn);
+    const failures = [];
+    Object.entries(gates || {}).forEach(([coverageType, verdict]) => {
+      checks.forEach(check => {
+        const result = verdict.checks[check];
+        if (result && !result.pass) {
+          failures.push({ coverageType, check, description: result.description });
+        }
+      });
+    });
+    return failures;
+  }
+
+  /**
+   * Warning annotations for the uncovered changed lines, one per run of consecutive lines
+   * @param {Object} patch - Patch coverage ({ files: { path: { uncovered } } })
+   * @returns {Array<Object>} - Check run annotations ({ path, start_line, end_line, annotation_level, title, message })
+   */
+  static generateAnnotations(patch) {
+    const annotations = [];
+    Object.entries(patch.files || {}).forEach(([filePath, file]) => {
+      const lines = [...(file.uncovered || [])].sort((a, b) => a - b);
+      lines.forEach((line, index) => {
+        const last = annotations[annotations.length - 1];
+        if (index > 0 && last.path === filePath && last.end_line === line - 1) {
+          last.end_line = line;
+          return;
+        }
+        annotations.push({ path: filePath, start_line: line, end_line: line, annotation_level: 'warning' });
+      });
+    });
+
+    return annotations.map(annotation => {
+      const single = annotation.start_line === annotation.end_line;
+      return {
+        ...annotation,
+        title: 'Uncovered change',
+        message: single
+          ? `Changed line ${annotation.start_line} is not covered by tests.`
+          : `Changed lines ${annotation.start_line}-${annotation.end_line} are not covered by tests.`
+      };
+    });
+  }
+
+  /**
+   * Check each gated metric of a coverage type against its threshold and max allowed drop
+   * @param {number|Object} currentCoverage - Current coverage value
+   * @param {number|Object} previousCoverage - Previous coverage value (0/null when unknown)
+   * @param {string} coverageType - Coverage type
+   * @returns {Object} - { pass, thresholds: [{ metric, current, threshold, pass }], deltas: [{ metric, previous, current, maxDiff, pass }] }
+   */
+  evaluateMetrics(currentCoverage, previousCoverage, coverageType) {
+    const current = this.toMetrics(currentCoverage, coverageType);
+    const previous = this.toBaseline(previousCoverage, coverageType);
+    const metricThresholds = this.getMetricThresholds(coverageType, current);
+
+    const thresholds = Object.entries(metricThresholds).map(([metric, threshold]) => ({
+      metric,
+      current: current[metric],
+      threshold,
+      pass: current[metric] !== undefined && current[metric] >= threshold
+    }));
+
+    const deltas = Object.keys(metricThresholds)
+      .filter(metric => current[metric] !== undefined && previous[metric] !== undefined)
+      .map(metric => {
+        const maxDiff = this.getMaxDiff(metric);
+        return {
+          metric,
+          previous: previous[metric],
+          current: current[metric],
+          maxDiff,
+          pass: previous[metric] - current[metric] <= maxDiff
+        };
+      });
+
+    return {
+      pass: thresholds.every(check => check.pass) && deltas.every(check => check.pass),
+      thresholds,
+      deltas
+    };
+  }
+
+  /**
+   * Convert a coverage value to a metrics object; a single percentage counts for the primary metric
+   * @param {number|Object} coverage - Coverage value
+   * @param {string} coverageType - Coverage type
+   * @returns {Object} - Metrics object (empty when there is no coverage)
+   */
+  toMetrics(coverage, coverageType) {
+    if (CoverageReporter.isMetrics(coverage)) {
+      return coverage;
+    }
+    if (typeof coverage === 'number') {
+      return { [this.getPrimaryMetric(coverageType)]: coverage };
+    }
+    return {};
+  }
+
+  /**
+   * Convert a previous coverage value to a metrics object, leaving out what has no baseline
+   * A value of 0 means no baseline was recorded, so it is neither compared nor shown as a change.
+   * @param {number|Object} coverage - Previous coverage value
+   * @param {string} coverageType - Coverage type
+   * @returns {Object} - Metrics object (empty without a baseline)
+   */
+  toBaseline(coverage, coverageType) {
+    const metrics = this.toMetrics(coverage, coverageType);
+    return Object.fromEntries(Object.entries(metrics).filter(([, value]) => value));
+  }
+
+  /**
+   * Get the metric a numeric threshold applies to
+   * @param {string} coverageType - Coverage type
+   * @param {Object} coverage - Metrics object (optional), used when the type does not name a metric
+   * @returns {string} - Metric name
+   */
+  getPrimaryMetric(coverageType, coverage) {
+    if (this.metrics[coverageType]) {
+      return this.metrics[coverageType];
+    }
+    if (CoverageReporter.isMetrics(coverage)) {
+      const available = PRIMARY_METRIC_ORDER.find(metric => coverage[metric] !== undefined);
+      if (available) {
+        return available;
+      }
+    }
+    return 'statements';
+  }
+
+  /**
+   * Get the thresholds to check per metric for a coverage type
+   * A numeric threshold gates the primary metric; an object ({ statements: 80, branches: 70 }) gates each listed metric
+   * @param {string} coverageType - Coverage type
+   * @param {Object} coverage - Metrics object (optional)
+   * @returns {Object} - Map of metric name to threshold
+   */
+  getMetricThresholds(coverageType, coverage) {
+    const threshold = this.thresholds[coverageType];
+    if (CoverageReporter.isMetrics(threshold)) {
+      return { ...threshold };
+    }
+    return { [this.getPrimaryMetric(coverageType, coverage)]: threshold || 80 };
+  }
+
+  getThreshold(coverageType) {
+    const threshold = this.thresholds[coverageType];
+    if (CoverageReporter.isMetrics(threshold)) {
+      return threshold[this.getPrimaryMetric(coverageType, threshold)] || 80;
+    }
+    return threshold || 80;
+  }
+
+  /**
+   * Get the maximum allowed coverage drop for a metric
+   * @param {string} metric - Metric name
+   * @returns {number} - Maximum allowed drop in percentage points
+   */
+  getMaxDiff(metric) {
+    if (CoverageReporter.isMetrics(this.maxDiff)) {
+      const maxDiff = this.maxDiff[metric];
+      return [null, undefined].includes(maxDiff) ? 0 : maxDiff;
+    }
+    return this.maxDiff;
+  }
+
+  static truncateDescription(description) {
+    if (description.length <= MAX_STATUS_DESCRIPTION) {
+      return description;
+    }
+    return `${description.slice(0, MAX_STATUS_DESCRIPTION - 1)}…`;
+  }
 }
 
+CoverageReporter.METRICS = METRICS;
+CoverageReporter.GATE_CHECKS = GATE_CHECKS;
+
 module.exports = CoverageReporter;
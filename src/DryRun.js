@@ -0,0 +1,57 @@
+/**
+ * Dry run: records the writes the reporter would make to GitHub and S3 instead of making them,
+ * logging each one or collecting them in a JSON file
+ */
+
+const fs = require('fs');
+
+class DryRun {
+  /**
+   * @param {string} outputPath - JSON file to write the recorded writes to (optional; logged when not set)
+   */
+  constructor(outputPath) {
+    this.outputPath = outputPath || null;
+    this.writes = [];
+  }
+
+  /**
+   * Get the recorder for a `dryRun` option
+   * @param {DryRun|boolean} dryRun - Recorder to share, or true for one that logs
+   * @returns {DryRun|null} - null when dry run is off
+   */
+  static from(dryRun) {
+    if (dryRun instanceof DryRun) {
+      return dryRun;
+    }
+    return dryRun ? new DryRun() : null;
+  }
+
+  /**
+   * Record a write that was skipped
+   * @param {Object} write - { type: 'github', method, url, payload }, { type: 's3', bucket, key, body }
+   *   or { type: 'comment', target, markdown }
+   */
+  record(write) {
+    this.writes.push(write);
+
+    if (this.outputPath) {
+      // Rewritten on every write so the file stays valid JSON if the run fails part way
+      fs.writeFileSync(this.outputPath, JSON.stringify(this.writes, null, 2));
+      return;
+    }
+    console.log(`[dry run] ${DryRun.describe(write)}`);
+  }
+
+  static describe(write) {
+    if (write.type === 'github') {
+      const request = `${write.method.toUpperCase()} ${write.url}`;
+      return write.payload === null ? request : `${request}\n${JSON.stringify(write.payload, null, 2)}`;
+    }
+    if (write.type === 's3') {
+      return `S3 upload to s3://${write.bucket}/${write.key}\n${write.body}`;
+    }
+    return `Comment on ${write.target}:\n${write.markdown}`;
+  }
+}
+
+module.exports = DryRun;
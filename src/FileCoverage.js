@@ -0,0 +1,90 @@
+/**
+ * Per-file coverage baselines: the coverage of every file in a report, stored per branch next to the
+ * branch totals, and compared for the files a pull request touches
+ */
+
+const path = require('path');
+const FileMatcher = require('./FileMatcher');
+
+class FileCoverage {
+  /**
+   * Get the coverage of every file in a report for one metric
+   * @param {Object} report - Normalized coverage report
+   * @param {string} metric - Metric to record (files without it fall back to lines)
+   * @param {string} cwd - Directory absolute report paths are made relative to (defaults to process.cwd())
+   * @returns {Object} - Map of file path to percentage
+   */
+  static fromReport(report, metric, cwd = process.cwd()) {
+    const files = {};
+    Object.entries((report && report.files) || {}).forEach(([filePath, summary]) => {
+      const value = summary[metric] || summary.lines;
+      if (value && value.pct !== undefined) {
+        files[FileCoverage.toRelativePath(filePath, cwd)] = value.pct;
+      }
+    });
+    return files;
+  }
+
+  /**
+   * Compare the coverage of the changed files with their baseline
+   * @param {Object} currentFiles - Map of file path to current percentage
+   * @param {Object} previousFiles - Map of file path to baseline percentage (may be empty)
+   * @param {Array<string>} changedFiles - Repository paths of the files the PR touches
+   * @param {Object} options - { cwd, root }: working directory and repository root (see FileMatcher.findPath)
+   * @returns {Array<Object>} - [{ file, previous, current, change }], largest drop first; previous and change
+   *   are null for files without a baseline
+   */
+  static compare(currentFiles, previousFiles, changedFiles, options = {}) {
+    const currentPaths = Object.keys(currentFiles || {});
+    const previousPaths = Object.keys(previousFiles || {});
+
+    const rows = [];
+    (changedFiles || []).forEach(file => {
+      const currentPath = FileMatcher.findPath(currentPaths, file, options);
+      if (currentPath === undefined) {
+        return;
+      }
+      const previousPath = FileMatcher.findPath(previousPaths, file, options);
+      const current = currentFiles[currentPath];
+      const previous = previousPath === undefined ? null : previousFiles[previousPath];
+      rows.push({
+        file,
+        previous,
+        current,
+        change: previous === null ? null : Math.round((current - previous) * 100) / 100
+      });
+    });
+
+    return FileCoverage.sortByDrop(rows);
+  }
+
+  /**
+   * Sort compared files by how much their coverage dropped; files without a baseline come last
+   * @param {Array<Object>} rows - Compared files ({ file, change })
+   * @returns {Array<Object>} - Sorted copy
+   */
+  static sortByDrop(rows) {
+    return [...rows].sort((a, b) => {
+      if (a.change === null || b.change === null) {
+        return (a.change === null) - (b.change === null) || a.file.localeCompare(b.file);
+      }
+      return a.change - b.change || a.file.localeCompare(b.file);
+    });
+  }
+
+  /**
+   * Make an absolute report path relative to the working directory, so baselines recorded on
+   * another machine still match
+   */
+  static toRelativePath(filePath, cwd) {
+    if (!path.isAbsolute(filePath)) {
+      return FileMatcher.normalize(filePath);
+    }
+    const relativePath = path.relative(cwd, filePath);
+    return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+      ? FileMatcher.normalize(relativePath)
+      : FileMatcher.normalize(filePath);
+  }
+}
+
+module.exports = FileCoverage;
@@ -0,0 +1,181 @@
+/**
+ * Glob matching for coverage file paths
+ * Supports `*`, `**`, `?` and `{a,b}` alternatives, which covers the patterns used in .gcr.json
+ * (e.g. `coverage/shard-*.json`, `coverage/{unit,e2e}/lcov.info`)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GLOB_PATTERN = /[*?{]/;
+
+// Directories never searched unless the pattern names them
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+class FileMatcher {
+  /**
+   * Whether a path contains glob syntax
+   * @param {string} pattern - File path or glob
+   * @returns {boolean}
+   */
+  static isGlob(pattern) {
+    return typeof pattern === 'string' && GLOB_PATTERN.test(pattern);
+  }
+
+  /**
+   * Find the files matching a glob
+   * @param {string} pattern - Glob, relative to `cwd` or absolute
+   * @param {string} cwd - Directory relative patterns are resolved from (defaults to process.cwd())
+   * @returns {Array<string>} - Matching file paths in the same form as the pattern, sorted
+   */
+  static expand(pattern, cwd = process.cwd()) {
+    const normalized = FileMatcher.normalize(pattern);
+    if (!FileMatcher.isGlob(normalized)) {
+      return fs.existsSync(path.resolve(cwd, normalized)) ? [normalized] : [];
+    }
+
+    const segments = normalized.split('/');
+    const globIndex = segments.findIndex(segment => FileMatcher.isGlob(segment));
+    const base = segments.slice(0, globIndex).join('/');
+    // Without `**` a match can't be deeper than the pattern itself
+    const maxDepth = normalized.includes('**') ? Infinity : segments.length - globIndex;
+    const regExp = FileMatcher.toRegExp(normalized);
+    const searchIgnored = IGNORED_DIRECTORIES.some(directory => normalized.includes(directory));
+
+    const matches = [];
+    const walk = (relativeDir, depth) => {
+      const directory = path.resolve(cwd, relativeDir || '.');
+      let entries;
+      try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      entries.forEach(entry => {
+        const candidate = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (depth < maxDepth && (searchIgnored || !IGNORED_DIRECTORIES.includes(entry.name))) {
+            walk(candidate, depth + 1);
+          }
+        } else if (regExp.test(candidate)) {
+          matches.push(candidate);
+        }
+      });
+    };
+
+    walk(base, 1);
+    return matches.sort();
+  }
+
+  /**
+   * Whether a path matches any of the given globs
+   * @param {string} filePath - File path
+   * @param {Array<string>|string} patterns - Glob or list of globs
+   * @returns {boolean}
+   */
+  static matches(filePath, patterns) {
+    const normalized = FileMatcher.normalize(filePath);
+    return [].concat(patterns || []).some(pattern => FileMatcher.toRegExp(FileMatcher.normalize(pattern)).test(normalized));
+  }
+
+  /**
+   * Get the part of a matched path covered by the wildcard segments of a glob, e.g. `ui` for
+   * `packages/ui/coverage/lcov.info` when the wildcard is the directory after `packages/`
+   * @param {string} pattern - Glob
+   * @param {string} filePath - Path matched by the glob
+   * @returns {string} - Wildcard part of the path ('/'-separated when it spans several directories)
+   */
+  static capture(pattern, filePath) {
+    const patternSegments = FileMatcher.normalize(pattern).split('/');
+    const pathSegments = FileMatcher.normalize(filePath).split('/');
+    const firstGlob = patternSegments.findIndex(segment => FileMatcher.isGlob(segment));
+    if (firstGlob === -1) {
+      return '';
+    }
+
+    let lastGlob = patternSegments.length - 1;
+    while (!FileMatcher.isGlob(patternSegments[lastGlob])) {
+      lastGlob--;
+    }
+    const fixedTail = patternSegments.length - lastGlob - 1;
+    return pathSegments.slice(firstGlob, pathSegments.length - fixedTail).join('/');
+  }
+
+  /**
+   * Find the entry for a file in a list of paths that may be absolute or relative to another directory
+   * A path matches when it resolves to the file: absolute paths as they are, relative paths from the
+   * working directory or one of the report's source directories
+   * @param {Array<string>} paths - Candidate paths (e.g. the file keys of a coverage report)
+   * @param {string} filePath - Repository-relative path to look up
+   * @param {Object} options - { cwd, root, sources }: directory relative paths are resolved from
+   *   (defaults to process.cwd()), repository root (defaults to `cwd`) and source directories of the report
+   * @returns {string|undefined} - Matching entry of `paths`
+   */
+  static findPath(paths, filePath, { cwd = process.cwd(), root = cwd, sources = [] } = {}) {
+    const target = FileMatcher.normalize(filePath);
+    const bases = [cwd, ...sources.map(source => path.resolve(cwd, source))];
+
+    return paths.find(candidate => {
+      const normalized = FileMatcher.normalize(candidate);
+      const absolutePaths = path.isAbsolute(normalized) ? [normalized] : bases.map(base => path.resolve(base, normalized));
+      return absolutePaths.some(absolutePath => FileMatcher.normalize(path.relative(root, absolutePath)) === target);
+    });
+  }
+
+  /**
+   * Convert a glob to a regular expression matching the whole path
+   * @param {string} pattern - Glob
+   * @returns {RegExp}
+   */
+  static toRegExp(pattern) {
+    return new RegExp(`^${FileMatcher.toSource(pattern)}$`);
+  }
+
+  static toSource(pattern) {
+    let source = '';
+    let index = 0;
+
+    while (index < pattern.length) {
+      const char = pattern[index];
+      if (char === '*' && pattern[index + 1] === '*') {
+        // `**/` matches any number of directories, including none
+        if (pattern[index + 2] === '/') {
+          source += '(?:[^/]*/)*';
+          index += 3;
+        } else {
+          source += '.*';
+          index += 2;
+        }
+        continue;
+      }
+
+      if (char === '{') {
+        const end = pattern.indexOf('}', index);
+        if (end !== -1) {
+          const alternatives = pattern.slice(index + 1, end).split(',').map(FileMatcher.toSource);
+          source += `(?:${alternatives.join('|')})`;
+          index = end + 1;
+          continue;
+        }
+      }
+
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+      }
+      index++;
+    }
+
+    return source;
+  }
+
+  static normalize(filePath) {
+    return String(filePath).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  }
+}
+
+module.exports = FileMatcher;
@@ -0,0 +1,118 @@
+/**
+ * GitHub App authentication: signs a JWT with the app's private key and exchanges it for an
+ * installation access token, which is cached and refreshed shortly before it expires
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+// GitHub rejects JWTs valid for more than 10 minutes; iat is backdated to allow for clock drift
+const JWT_BACKDATE_SECONDS = 60;
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+// Installation tokens live for an hour; get a new one when less than this is left
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+class GitHubAppAuth {
+  /**
+   * @param {Object} config - { appId, installationId, privateKeyPath | privateKey, apiUrl, httpsAgent, send }; `send`
+   *   ((method, url, data, headers) => Promise of an Axios response) sends the token exchange, e.g. with the
+   *   timeout and retries of GitHubHelper; defaults to a single axios request with `httpsAgent`
+   */
+  constructor(config = {}) {
+    this.appId = config.appId;
+    this.installationId = config.installationId;
+    this.privateKeyPath = config.privateKeyPath;
+    this.privateKey = config.privateKey;
+    this.apiUrl = config.apiUrl || 'https://api.github.com';
+    this.httpsAgent = config.httpsAgent;
+    this.userAgent = config.userAgent || 'github-coverage-reporter';
+    this.send = config.send || ((method, url, data, headers) => axios[method](url, data, { headers, httpsAgent: this.httpsAgent }));
+
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingToken = null;
+  }
+
+  /**
+   * Whether a configuration has everything needed to authenticate as a GitHub App
+   * @param {Object} config - { appId, installationId, privateKeyPath | privateKey }
+   * @returns {boolean}
+   */
+  static isConfigured(config = {}) {
+    return Boolean(config.appId && config.installationId && (config.privateKeyPath || config.privateKey));
+  }
+
+  /**
+   * Get an installation access token, reusing the cached one until it is about to expire
+   * @returns {Promise<string>} - Installation access token
+   */
+  async getToken() {
+    if (this.token && this.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return this.token;
+    }
+
+    // Requests made while a token is being fetched share it
+    if (!this.pendingToken) {
+      this.pendingToken = this.fetchInstallationToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  async fetchInstallationToken() {
+    try {
+      const response = await this.send(
+        'post',
+        `${this.apiUrl}/app/installations/${this.installationId}/access_tokens`,
+        {},
+        {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${this.createJwt()}`,
+          'User-Agent': this.userAgent,
+        }
+      );
+
+      this.token = response.data.token;
+      this.expiresAt = new Date(response.data.expires_at).getTime();
+      return this.token;
+    } catch (err) {
+      const status = err.response && err.response.status ? ` (HTTP ${err.response.status})` : '';
+      throw new Error(`Could not get a GitHub App installation token for installation ${this.installationId}${status}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Create the JWT that identifies the app
+   * @param {number} now - Current time in milliseconds (defaults to Date.now())
+   * @returns {string} - RS256-signed JWT
+   */
+  createJwt(now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000) - JWT_BACKDATE_SECONDS;
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const payload = { iat: issuedAt, exp: issuedAt + JWT_BACKDATE_SECONDS + JWT_LIFETIME_SECONDS, iss: String(this.appId) };
+
+    const unsigned = `${GitHubAppAuth.base64Url(JSON.stringify(header))}.${GitHubAppAuth.base64Url(JSON.stringify(payload))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.getPrivateKey());
+    return `${unsigned}.${GitHubAppAuth.base64Url(signature)}`;
+  }
+
+  getPrivateKey() {
+    if (!this.privateKey) {
+      try {
+        this.privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
+      } catch (err) {
+        throw new Error(`Could not read the GitHub App private key at ${this.privateKeyPath}: ${err.message}`);
+      }
+    }
+    return this.privateKey;
+  }
+
+  static base64Url(value) {
+    return Buffer.from(value).toString('base64url');
+  }
+}
+
+module.exports = GitHubAppAuth;
@@ -0,0 +1,98 @@
+/**
+ * GitHub Actions event payload: the PR number, head commit, branches and fork status of the event
+ * that triggered the workflow, read from the file in GITHUB_EVENT_PATH
+ */
+
+const fs = require('fs');
+
+class GitHubEvent {
+  /**
+   * Read the event that triggered the workflow
+   * @param {string} eventPath - Path to the event payload (defaults to GITHUB_EVENT_PATH)
+   * @param {string} eventName - Event name (defaults to GITHUB_EVENT_NAME)
+   * @returns {Object|null} - Event ({ name, prNumber, pullRequest, headSha, beforeSha, headRef, baseRef, isFork }),
+   *   null when there is no readable payload
+   */
+  static read(eventPath = process.env.GITHUB_EVENT_PATH, eventName = process.env.GITHUB_EVENT_NAME) {
+    if (!eventPath) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
+      return GitHubEvent.fromPayload(payload, eventName);
+    } catch (err) {
+      console.log(`Could not read the event payload at ${eventPath}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the PR and refs of an event payload
+   * @param {Object} payload - Event payload
+   * @param {string} eventName - Event name (optional; the payload shape tells the events apart)
+   * @returns {Object} - Event; fields the payload doesn't have are null
+   */
+  static fromPayload(payload, eventName) {
+    const event = {
+      name: eventName || null,
+      prNumber: null,
+      pullRequest: null,
+      headSha: null,
+      beforeSha: null,
+      headRef: null,
+      baseRef: null,
+      isFork: false
+    };
+
+    if (payload.pull_request) {
+      // pull_request and pull_request_target: GITHUB_SHA is the merge commit (or the base), not the PR head
+      const pr = payload.pull_request;
+      return {
+        ...event,
+        prNumber: pr.number,
+        pullRequest: pr,
+        headSha: pr.head && pr.head.sha,
+        headRef: pr.head && pr.head.ref,
+        baseRef: pr.base && pr.base.ref,
+        isFork: GitHubEvent.isForkOf(pr.head && pr.head.repo, pr.base && pr.base.repo)
+      };
+    }
+
+    if (payload.workflow_run) {
+      // GitHub leaves pull_requests empty for runs of PRs from forks
+      const run = payload.workflow_run;
+      const runPR = (run.pull_requests || [])[0];
+      return {
+        ...event,
+        prNumber: runPR ? runPR.number : null,
+        headSha: run.head_sha,
+        headRef: run.head_branch,
+        baseRef: runPR && runPR.base ? runPR.base.ref : null,
+        isFork: GitHubEvent.isForkOf(run.head_repository, run.repository)
+      };
+    }
+
+    if (payload.after && payload.ref) {
+      return {
+        ...event,
+        headSha: payload.after,
+        // The branch tip before the push; all zeros when the push created the branch
+        beforeSha: /^0+$/.test(payload.before || '0') ? null : payload.before,
+        headRef: payload.ref.startsWith('refs/heads/') ? payload.ref.slice('refs/heads/'.length) : null
+      };
+    }
+
+    return event;
+  }
+
+  static isForkOf(headRepo, baseRepo) {
+    if (!baseRepo) {
+      return false;
+    }
+    // The head repository of a PR from a deleted fork is null
+    return !headRepo || headRepo.full_name !== baseRepo.full_name;
+  }
+}
+
+module.exports = GitHubEvent;
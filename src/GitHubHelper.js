@@ -1,14 +1,123 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const tls = require('tls');
+const childProcess = require('child_process');
 const axios = require('axios');
+const GitHubAppAuth = require('./GitHubAppAuth');
+const DryRun = require('./DryRun');
+const GitHubEvent = require('./GitHubEvent');
+const PullRequestResolver = require('./PullRequestResolver');
+
+// Hidden marker that identifies the reporter's comments on a PR
+const COMMENT_MARKER_PREFIX = '<!-- github-coverage-reporter';
+
+// Limits of the Checks API: annotations per request and characters in the output summary
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+const MAX_CHECK_SUMMARY = 65535;
+
+// Local git commands give up after this many milliseconds
+const GIT_TIMEOUT = 10000;
+
+// Request defaults: retries after the first attempt, backoff base and cap (ms), and per-request timeout (ms)
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_MAX_RETRY_DELAY = 60000;
+const DEFAULT_TIMEOUT = 30000;
+
+// Network errors worth another attempt; the ones where the request may already have reached GitHub are
+// only retried for methods that are safe to repeat, so a timed out POST doesn't post a second comment
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['get', 'put', 'patch', 'delete'];
 
 class GitHubHelper {
   constructor(config = {}) {
     this.owner = config.owner || process.env.GITHUB_OWNER || process.env.OWNER;
     this.repo = config.repo || process.env.GITHUB_REPO;
     this.token = config.token || process.env.GITHUB_ACCESS_TOKEN;
-    this.currentBranch = config.currentBranch || process.env.GITHUB_CURR_BRANCH;
-    this.targetBranch = config.targetBranch || process.env.GITHUB_TARGET_BRANCH || config.defaultTargetBranch;
-    this.commitSha = config.commitSha || process.env.GITHUB_SHA || process.env.COMMIT_SHA;
     this.userAgent = config.userAgent || 'github-coverage-reporter';
+
+    // The event payload fills in what isn't set explicitly; its head SHA beats GITHUB_SHA, which is
+    // the merge commit on pull_request events
+    this.event = GitHubEvent.read(config.eventPath || process.env.GITHUB_EVENT_PATH) || {};
+    this.currentBranch = config.currentBranch || process.env.GITHUB_CURR_BRANCH || this.event.headRef;
+    this.targetBranch = config.targetBranch || config.baseBranch || process.env.GITHUB_TARGET_BRANCH
+      || this.event.baseRef || config.defaultTargetBranch;
+    this.commitSha = config.commitSha || this.event.headSha || config.sha || process.env.GITHUB_SHA || process.env.COMMIT_SHA;
+    this.pullRequestNumber = config.pullRequestNumber || process.env.GITHUB_PR_NUMBER;
+    this.isFork = Boolean(this.event.isFork);
+
+    // GitHub Enterprise Server: https://<host>/api/v3 (GitHub Actions sets GITHUB_API_URL and GITHUB_GRAPHQL_URL)
+    this.apiUrl = (config.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.graphqlUrl = config.graphqlUrl || process.env.GITHUB_GRAPHQL_URL || GitHubHelper.getGraphqlUrl(this.apiUrl);
+    this.httpsAgent = GitHubHelper.createHttpsAgent(config.caCertPath || process.env.GITHUB_CA_CERT_PATH);
+
+    // Failed requests (5xx, rate limits, network errors) are retried with exponential backoff
+    const withDefault = (value, defaultValue) => [null, undefined].includes(value) ? defaultValue : value;
+    this.retries = withDefault(config.retries, DEFAULT_RETRIES);
+    this.retryDelay = withDefault(config.retryDelay, DEFAULT_RETRY_DELAY);
+    this.maxRetryDelay = withDefault(config.maxRetryDelay, DEFAULT_MAX_RETRY_DELAY);
+    this.timeout = withDefault(config.timeout, DEFAULT_TIMEOUT);
+
+    // In a dry run, writes (anything but GET) are recorded instead of sent
+    this.dryRun = DryRun.from(config.dryRun);
+
+    // GitHub App credentials take precedence over a personal access token
+    const appConfig = {
+      appId: config.appId || process.env.GITHUB_APP_ID,
+      installationId: config.installationId || process.env.GITHUB_APP_INSTALLATION_ID,
+      privateKeyPath: config.privateKeyPath || process.env.GITHUB_APP_PRIVATE_KEY_PATH,
+      apiUrl: this.apiUrl,
+      httpsAgent: this.httpsAgent,
+      userAgent: this.userAgent,
+      // The token exchange gets the same timeout and retries as every other request; repeating it only
+      // creates another token, so it is retried like a GET
+      send: (method, url, data, headers) => this.sendWithRetries(method, url, data, () => headers, true)
+    };
+    this.appAuth = GitHubAppAuth.isConfigured(appConfig) ? new GitHubAppAuth(appConfig) : null;
+  }
+
+  /**
+   * Derive the GraphQL endpoint from the REST API URL
+   * @param {string} apiUrl - REST API base URL (e.g. https://github.example.com/api/v3)
+   * @returns {string} - GraphQL endpoint (e.g. https://github.example.com/api/graphql)
+   */
+  static getGraphqlUrl(apiUrl) {
+    return /\/api\/v3$/.test(apiUrl) ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+  }
+
+  /**
+   * Create an HTTPS agent that also trusts the given CA certificates (e.g. the private PKI of an on-prem server)
+   * @param {Array<string>|string} caCertPaths - PEM file paths, as a list or separated like PATH entries
+   * @returns {https.Agent|undefined} - Agent, undefined when no certificates are given
+   */
+  static createHttpsAgent(caCertPaths) {
+    const paths = Array.isArray(caCertPaths) ? caCertPaths : (caCertPaths || '').split(path.delimiter).filter(Boolean);
+    if (paths.length === 0) {
+      return undefined;
+    }
+
+    const certificates = paths.map(certPath => {
+      try {
+        return fs.readFileSync(certPath, 'utf8');
+      } catch (err) {
+        throw new Error(`Could not read CA certificate ${certPath}: ${err.message}`);
+      }
+    });
+    // Keep trusting the public CAs next to the custom ones
+    return new https.Agent({ ca: [...tls.rootCertificates, ...certificates] });
+  }
+
+  /**
+   * Get the request headers, first refreshing the installation token when authenticating as a GitHub App
+   * @returns {Promise<Object>} - Request headers
+   */
+  async getHeaders() {
+    if (this.appAuth) {
+      this.token = await this.appAuth.getToken();
+    }
+    return this.prepareHeaders();
   }
 
   prepareHeaders() {
@@ -19,6 +128,152 @@ class GitHubHelper {
     };
   }
 
+  /**
+   * Send a request to GitHub, retrying server errors, rate limits and network errors
+   * In a dry run, writes are recorded and answered with an empty response.
+   * @param {string} method - HTTP method (get, post, patch, delete)
+   * @param {string} url - Request URL
+   * @param {Object} data - Request body (optional)
+   * @returns {Promise<Object>} - Axios response
+   * @throws {Error} - The last error once the request can't be retried
+   */
+  async request(method, url, data) {
+    if (this.dryRun && method !== 'get') {
+      this.dryRun.record({ type: 'github', method, url, payload: data === undefined ? null : data });
+      return { data: {} };
+    }
+    return this.sendWithRetries(method, url, data, () => this.getHeaders());
+  }
+
+  /**
+   * Send a request with the configured timeout and retries
+   * Also used for the GitHub App token exchange, which can't go through `request` as it provides its headers.
+   * @param {string} method - HTTP method (get, post, patch, delete)
+   * @param {string} url - Request URL
+   * @param {Object} data - Request body (ignored for get and delete)
+   * @param {Function} getHeaders - Returns the headers (or a promise of them) for each attempt
+   * @param {boolean} repeatable - Whether sending the request twice does no harm (defaults to true for every
+   *   method but POST)
+   * @returns {Promise<Object>} - Axios response
+   * @throws {Error} - The last error once the request can't be retried
+   */
+  async sendWithRetries(method, url, data, getHeaders, repeatable = IDEMPOTENT_METHODS.includes(method)) {
+    for (let attempt = 0; ; attempt++) {
+      const options = { headers: await getHeaders(), httpsAgent: this.httpsAgent, timeout: this.timeout };
+      try {
+        return ['get', 'delete'].includes(method)
+          ? await axios[method](url, options)
+          : await axios[method](url, data, options);
+      } catch (err) {
+        const delay = this.getRetryDelay(err, attempt, repeatable);
+        if (delay === null) {
+          throw err;
+        }
+        const reason = err.response ? `HTTP ${err.response.status}` : err.code;
+        console.log(`GitHub ${method.toUpperCase()} ${url} failed (${reason}), retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${this.retries})`);
+        await GitHubHelper.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send GET requests for every page of a list, 100 items per page
+   * @param {string} url - List URL without paging parameters
+   * @param {number} maxPages - Number of pages after which to stop (default: 30)
+   * @returns {Promise<Array<Object>>} - Items of all pages
+   */
+  async requestAllPages(url, maxPages = 30) {
+    const perPage = 100;
+    const items = [];
+    const separator = url.includes('?') ? '&' : '?';
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this.request('get', `${url}${separator}per_page=${perPage}&page=${page}`);
+      const pageItems = (response && response.data) || [];
+      items.push(...pageItems);
+      if (pageItems.length < perPage) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * Rate-limited responses wait for `Retry-After` or `x-ratelimit-reset`; other retryable failures back off
+   * exponentially with jitter.
+   * @param {Error} err - Request error
+   * @param {number} attempt - Number of the failed attempt, starting at 0
+   * @param {boolean} repeatable - Whether the request may be sent again after it could have reached GitHub
+   *   (defaults to true)
+   * @returns {number|null} - Delay in ms, null when the request should not be retried
+   */
+  getRetryDelay(err, attempt, repeatable = true) {
+    if (attempt >= this.retries) {
+      return null;
+    }
+
+    const response = err.response;
+    const headers = (response && response.headers) || {};
+    const rateLimited = response && (response.status === 429 || (response.status === 403
+      && (headers['retry-after'] !== undefined || headers['x-ratelimit-remaining'] === '0')));
+    // A POST answered with a server error (e.g. a 502 from a gateway) may still have created the comment or
+    // check run, so only rate-limited ones are sent again
+    const retryable = response
+      ? rateLimited || (response.status >= 500 && repeatable)
+      : GitHubHelper.isRetryableNetworkError(err, repeatable);
+    if (!retryable) {
+      return null;
+    }
+
+    if (rateLimited) {
+      const waitUntilReset = GitHubHelper.getRateLimitDelay(headers);
+      if (waitUntilReset !== null) {
+        // Waiting out a long reset would stall the CI job
+        return waitUntilReset <= this.maxRetryDelay ? waitUntilReset : null;
+      }
+    }
+
+    const backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+    // Equal jitter keeps parallel jobs from retrying in lockstep
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Whether a request that failed without a response can be sent again
+   * @param {Error} err - Request error
+   * @param {boolean} repeatable - Whether the request may be sent again after it could have reached GitHub
+   * @returns {boolean}
+   */
+  static isRetryableNetworkError(err, repeatable) {
+    if (!RETRYABLE_ERROR_CODES.includes(err.code)) {
+      return false;
+    }
+    return repeatable || NOT_SENT_ERROR_CODES.includes(err.code);
+  }
+
+  /**
+   * Get the wait a rate-limited response asks for
+   * @param {Object} headers - Response headers
+   * @returns {number|null} - Delay in ms, null when the headers don't say
+   */
+  static getRateLimitDelay(headers) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      // Retry-After is either a number of seconds or an HTTP date
+      return Number.isNaN(seconds) ? Math.max(new Date(retryAfter).getTime() - Date.now(), 0) : seconds * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset'] !== undefined) {
+      return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+    }
+    return null;
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   async setGitStatus({ pass, description, context }) {
     const params = {
       state: pass ? 'success' : 'failure',
@@ -26,13 +281,11 @@ class GitHubHelper {
       context,
     };
 
-    const headers = this.prepareHeaders();
-
     try {
-      const response = await axios.post(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/statuses/${this.commitSha}`,
-        params,
-        { headers }
+      const response = await this.request(
+        'post',
+        `${this.apiUrl}/repos/${this.owner}/${this.repo}/statuses/${this.commitSha}`,
+        params
       );
       return response.data;
     } catch (err) {
@@ -42,13 +295,11 @@ class GitHubHelper {
   }
 
   async addPRComment(body, prNumber) {
-    const headers = this.prepareHeaders();
-
     try {
-      const response = await axios.post(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/issues/${prNumber}/comments`,
-        { body },
-        { headers }
+      const response = await this.request(
+        'post',
+        `${this.apiUrl}/repos/${this.owner}/${this.repo}/issues/${prNumber}/comments`,
+        { body }
       );
       return response.data;
     } catch (err) {
@@ -57,23 +308,227 @@ class GitHubHelper {
     }
   }
 
-  async fetchPR() {
-    const headers = this.prepareHeaders();
+  /**
+   * Add a comment to a commit, for builds without a pull request
+   * @param {string} body - Comment markdown
+   * @param {string} commitSha - Commit to comment on (defaults to the current commit)
+   * @returns {Promise<Object|null>} - Created comment, null when the request fails
+   */
+  async addCommitComment(body, commitSha = this.commitSha) {
+    try {
+      const response = await this.request(
+        'post',
+        `${this.apiUrl}/repos/${this.owner}/${this.repo}/commits/${commitSha}/comments`,
+        { body }
+      );
+      return response.data;
+    } catch (err) {
+      console.log('Error adding commit comment:', err);
+      return null;
+    }
+  }
 
+  /**
+   * Create a completed check run on the current commit
+   * The API takes at most 50 annotations per request, so the rest are added by updating the check run in batches.
+   * @param {Object} checkRun - { name, conclusion, title, summary, annotations }
+   * @returns {Promise<Object>} - The created check run
+   */
+  async createCheckRun({ name, conclusion, title, summary, annotations = [] }) {
+    const url = `${this.apiUrl}/repos/${this.owner}/${this.repo}/check-runs`;
+    const output = {
+      title,
+      summary: summary.length <= MAX_CHECK_SUMMARY ? summary : `${summary.slice(0, MAX_CHECK_SUMMARY - 1)}…`
+    };
+
+    const checkRun = { name, head_sha: this.commitSha, status: 'completed', conclusion };
+
+    // A dry run has no check run id to add the later batches to, so the run is recorded with every annotation
+    const batchSize = this.dryRun ? Infinity : MAX_ANNOTATIONS_PER_REQUEST;
+    const batches = [];
+    for (let index = 0; index < annotations.length; index += batchSize) {
+      batches.push(annotations.slice(index, index + batchSize));
+    }
+
+    try {
+      const response = await this.request('post', url, { ...checkRun, output: { ...output, annotations: batches[0] || [] } });
+      // Annotations sent with an update are appended to the existing ones
+      for (const batch of batches.slice(1)) {
+        await this.request('patch', `${url}/${response.data.id}`, { output: { ...output, annotations: batch } });
+      }
+      return response.data;
+    } catch (err) {
+      console.log('Error creating check run:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Post the coverage comment on a PR, reusing the reporter's earlier comment according to the mode:
+   * `update` edits the existing comment in place, `recreate` deletes it and posts a new one,
+   * `append` always posts a new comment, optionally minimizing the earlier ones as outdated
+   * @param {string} body - Comment markdown
+   * @param {number} prNumber - Pull request number
+   * @param {Object} options - { mode, key, minimizeOutdated } where `key` tells apart the comments of separate
+   *   runs (e.g. the coverage types)
+   * @returns {Promise<Object|null>} - The created or updated comment, null when the request fails
+   */
+  async upsertPRComment(body, prNumber, { mode = 'update', key, minimizeOutdated = false } = {}) {
+    const marker = GitHubHelper.getCommentMarker(key);
+    const markedBody = `${marker}\n${body}`;
+    if (mode === 'append' && !minimizeOutdated) {
+      return this.addPRComment(markedBody, prNumber);
+    }
+
+    const comments = await this.fetchPRComments(prNumber);
+    const existing = (comments || []).filter(comment => (comment.body || '').startsWith(marker));
+
+    if (mode === 'append') {
+      const created = await this.addPRComment(markedBody, prNumber);
+      // Only hide the comment this one replaces, once the new one is there; the ones before it were hidden
+      // by earlier runs, and minimizing them again would cost a request per comment on every push
+      const replaced = existing[existing.length - 1];
+      if (created && replaced) {
+        await this.minimizeComment(replaced.node_id);
+      }
+      return created;
+    }
+
+    if (mode === 'update' && existing.length > 0) {
+      const updated = await this.updatePRComment(existing[0].id, markedBody);
+      if (updated) {
+        return updated;
+      }
+    } else if (mode === 'recreate') {
+      for (const comment of existing) {
+        await this.deletePRComment(comment.id);
+      }
+    }
+
+    return this.addPRComment(markedBody, prNumber);
+  }
+
+  /**
+   * Fetch the comments of a pull request, following pagination
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array<Object>|null>} - Comments ({ id, body, user }), null when the request fails
+   */
+  async fetchPRComments(prNumber) {
+    try {
+      return await this.requestAllPages(`${this.apiUrl}/repos/${this.owner}/${this.repo}/issues/${prNumber}/comments`);
+    } catch (err) {
+      console.log('Error fetching PR comments:', err);
+      return null;
+    }
+  }
+
+  async updatePRComment(commentId, body) {
     try {
-      const response = await axios.get(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/pulls?head=${this.owner}:${this.currentBranch}`,
-        { headers }
+      const response = await this.request(
+        'patch',
+        `${this.apiUrl}/repos/${this.owner}/${this.repo}/issues/comments/${commentId}`,
+        { body }
       );
-      
-      if (response && response.data && response.data[0]) {
-        return response.data[0];
+      return response.data;
+    } catch (err) {
+      console.log('Error updating PR comment:', err);
+      return null;
+    }
+  }
+
+  async deletePRComment(commentId) {
+    try {
+      await this.request('delete', `${this.apiUrl}/repos/${this.owner}/${this.repo}/issues/comments/${commentId}`);
+      return true;
+    } catch (err) {
+      console.log('Error deleting PR comment:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Collapse a comment in the PR conversation through the GraphQL API
+   * @param {string} nodeId - GraphQL node ID of the comment (`node_id` in the REST API)
+   * @param {string} classifier - Reason shown on the collapsed comment (default: OUTDATED)
+   * @returns {Promise<boolean>} - Whether the comment was minimized
+   */
+  async minimizeComment(nodeId, classifier = 'OUTDATED') {
+    const query = `mutation($subjectId: ID!, $classifier: ReportedContentClassifiers!) {
+  minimizeComment(input: { subjectId: $subjectId, classifier: $classifier }) {
+    minimizedComment { isMinimized }
+  }
+}`;
+
+    try {
+      const response = await this.request('post', this.graphqlUrl, { query, variables: { subjectId: nodeId, classifier } });
+      // GraphQL reports errors in a successful response
+      const errors = response && response.data && response.data.errors;
+      if (errors && errors.length > 0) {
+        console.log('Error minimizing PR comment:', errors.map(error => error.message).join('; '));
+        return false;
       }
+      return true;
+    } catch (err) {
+      console.log('Error minimizing PR comment:', err);
+      return false;
+    }
+  }
 
+  /**
+   * Hidden marker put at the start of the reporter's comments
+   * @param {string} key - Distinguishes the comments of separate runs on the same PR (optional)
+   * @returns {string} - HTML comment
+   */
+  static getCommentMarker(key) {
+    return key ? `${COMMENT_MARKER_PREFIX}: ${key} -->` : `${COMMENT_MARKER_PREFIX} -->`;
+  }
+
+  /**
+   * Find the pull request of the current run; see PullRequestResolver for the order of the lookups
+   * @returns {Promise<Object|null>} - Pull request, null when none is found
+   */
+  async fetchPR() {
+    const pr = await new PullRequestResolver(this, { prNumber: this.pullRequestNumber, event: this.event }).resolve();
+    if (!pr) {
       console.log('No PR found for the current branch');
-      return null;
+    }
+    return pr;
+  }
+
+  /**
+   * Fetch the files changed by a pull request, following pagination
+   * @param {number} prNumber - Pull request number
+   * @returns {Promise<Array<Object>|null>} - Files ({ filename, status, patch }), null when the request fails
+   */
+  async fetchPRFiles(prNumber) {
+    try {
+      // The API lists at most 3000 files
+      return await this.requestAllPages(`${this.apiUrl}/repos/${this.owner}/${this.repo}/pulls/${prNumber}/files`);
     } catch (err) {
-      console.log('Error fetching PR:', err);
+      console.log('Error fetching PR files:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Get the commit the current one follows: the branch tip before the push from the event payload,
+   * else the first parent in the local repository
+   * @param {string} cwd - Repository directory (defaults to process.cwd())
+   * @returns {string|null} - Commit SHA, null when it can't be told (e.g. in a shallow clone)
+   */
+  getParentSha(cwd = process.cwd()) {
+    if (this.event.beforeSha) {
+      return this.event.beforeSha;
+    }
+
+    try {
+      return childProcess.execFileSync('git', ['rev-parse', '--verify', `${this.commitSha || 'HEAD'}^`], {
+        cwd,
+        encoding: 'utf8',
+        timeout: GIT_TIMEOUT,
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+    } catch {
       return null;
     }
   }
@@ -0,0 +1,218 @@
+/**
+ * Patch coverage: the share of the lines a pull request adds or changes that the tests execute
+ * Changed lines come from the GitHub PR files API or a local `git diff` against the merge base,
+ * and are looked up in the per-line hit data of the coverage report (LCOV, Istanbul coverage-final.json, ...)
+ */
+
+const childProcess = require('child_process');
+const CoverageSummary = require('./parsers/CoverageSummary');
+const FileMatcher = require('./FileMatcher');
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+// Keep git from hanging a CI job
+const GIT_TIMEOUT = 30000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+class PatchCoverage {
+  /**
+   * Get the lines added or changed by a unified diff hunk list (the `patch` field of the PR files API)
+   * @param {string} patch - Diff hunks of one file
+   * @returns {Array<number>} - Line numbers in the new version of the file
+   */
+  static parsePatch(patch) {
+    const lines = [];
+    let lineNumber = null;
+
+    (patch || '').split('\n').forEach(line => {
+      const header = HUNK_HEADER.exec(line);
+      if (header) {
+        lineNumber = parseInt(header[1], 10);
+        return;
+      }
+      if (lineNumber === null) {
+        return;
+      }
+
+      if (line.startsWith('+')) {
+        lines.push(lineNumber);
+        lineNumber++;
+      } else if (line.startsWith(' ')) {
+        lineNumber++;
+      }
+      // '-' lines don't exist in the new file and '\ No newline at end of file' is not a line
+    });
+
+    return lines;
+  }
+
+  /**
+   * Get the changed lines of every file in a `git diff` output
+   * @param {string} diff - Output of `git diff`
+   * @returns {Object} - Map of file path to added/changed line numbers
+   */
+  static parseDiff(diff) {
+    const changedLines = {};
+    let currentFile = null;
+    let hunks = [];
+
+    const flush = () => {
+      if (currentFile) {
+        const lines = PatchCoverage.parsePatch(hunks.join('\n'));
+        if (lines.length > 0) {
+          changedLines[currentFile] = lines;
+        }
+      }
+      hunks = [];
+    };
+
+    (diff || '').split('\n').forEach(line => {
+      if (line.startsWith('diff --git ')) {
+        flush();
+        currentFile = null;
+      } else if (line.startsWith('+++ ') && hunks.length === 0) {
+        const target = line.slice(4).trim();
+        // Deleted files have no new lines
+        currentFile = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      } else if (currentFile && (line.startsWith('@@') || hunks.length > 0)) {
+        hunks.push(line);
+      }
+    });
+    flush();
+
+    return changedLines;
+  }
+
+  /**
+   * Get the changed lines from the GitHub PR files API response
+   * @param {Array<Object>} files - Entries of GET /pulls/{number}/files ({ filename, status, patch })
+   * @returns {Object} - Map of file path to added/changed line numbers
+   */
+  static fromPullRequestFiles(files) {
+    const changedLines = {};
+    (files || []).forEach(file => {
+      // Removed files have no new lines; binary and very large diffs come without a patch
+      if (file.status === 'removed' || !file.patch) {
+        return;
+      }
+      const lines = PatchCoverage.parsePatch(file.patch);
+      if (lines.length > 0) {
+        changedLines[file.filename] = lines;
+      }
+    });
+    return changedLines;
+  }
+
+  /**
+   * Get the changed lines from a local `git diff` between the merge base with the base branch and HEAD
+   * @param {string} baseBranch - Base branch of the pull request (e.g. 'main')
+   * @param {string} cwd - Repository directory (defaults to process.cwd())
+   * @returns {Object|null} - Map of file path to changed line numbers, null when git can't tell
+   */
+  static getLocalChangedLines(baseBranch, cwd = process.cwd()) {
+    if (!baseBranch) {
+      return null;
+    }
+
+    const git = (args) => childProcess.execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      timeout: GIT_TIMEOUT,
+      maxBuffer: GIT_MAX_BUFFER,
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+
+    // CI checkouts usually only have the remote-tracking branch
+    for (const ref of [`origin/${baseBranch}`, baseBranch]) {
+      try {
+        const mergeBase = git(['merge-base', ref, 'HEAD']).trim();
+        const diff = git(['diff', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', mergeBase, 'HEAD']);
+        return PatchCoverage.parseDiff(diff);
+      } catch {
+        // Try the next ref
+      }
+    }
+
+    console.log(`Could not diff against ${baseBranch}; fetch the base branch (and enough history) to get patch coverage`);
+    return null;
+  }
+
+  /**
+   * Cross-reference changed lines with the line hits of a coverage report
+   * Changed lines that aren't executable (comments, blank lines, ...) are not counted.
+   * @param {Object} report - Normalized coverage report with `hits.lines` per file
+   * @param {Object} changedLines - Map of file path to changed line numbers
+   * @param {Object} options - { cwd, root }: working directory and repository root (see FileMatcher.findPath)
+   * @returns {Object} - { total, covered, pct, files: { path: { total, covered, uncovered } } }
+   */
+  static calculate(report, changedLines, options = {}) {
+    const files = {};
+    let total = 0;
+    let covered = 0;
+
+    Object.entries(changedLines || {}).forEach(([filePath, lines]) => {
+      const reportPath = PatchCoverage.findReportFile(report, filePath, options);
+      const lineHits = reportPath && report.files[reportPath].hits && report.files[reportPath].hits.lines;
+      if (!lineHits) {
+        return;
+      }
+
+      const coverable = lines.filter(line => lineHits[line] !== undefined);
+      if (coverable.length === 0) {
+        return;
+      }
+
+      const uncovered = coverable.filter(line => !(lineHits[line] > 0));
+      files[filePath] = {
+        total: coverable.length,
+        covered: coverable.length - uncovered.length,
+        uncovered
+      };
+      total += coverable.length;
+      covered += coverable.length - uncovered.length;
+    });
+
+    return { total, covered, pct: CoverageSummary.percent(covered, total), files };
+  }
+
+  /**
+   * Whether a report has the per-line hit data patch coverage needs
+   * @param {Object} report - Normalized coverage report
+   * @returns {boolean}
+   */
+  static hasLineHits(report) {
+    return Boolean(report && Object.values(report.files || {}).some(file => file.hits && file.hits.lines));
+  }
+
+  /**
+   * Find the report entry of a repository path
+   * Reports may use absolute paths, paths relative to the working directory or to their source directories
+   * @param {Object} report - Normalized coverage report
+   * @param {string} filePath - Repository-relative path
+   * @param {Object} options - { cwd, root }: working directory and repository root (see FileMatcher.findPath)
+   * @returns {string|undefined} - Key of the file in `report.files`
+   */
+  static findReportFile(report, filePath, options = {}) {
+    return FileMatcher.findPath(Object.keys(report.files || {}), filePath, { ...options, sources: report.sources || [] });
+  }
+
+  /**
+   * Get the root of the git repository, which the changed file paths are relative to
+   * @param {string} cwd - Directory inside the repository (defaults to process.cwd())
+   * @returns {string} - Repository root, `cwd` when git can't tell
+   */
+  static getRepoRoot(cwd = process.cwd()) {
+    try {
+      return childProcess.execFileSync('git', ['rev-parse', '--show-toplevel'], {
+        cwd,
+        encoding: 'utf8',
+        timeout: GIT_TIMEOUT,
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim() || cwd;
+    } catch {
+      return cwd;
+    }
+  }
+}
+
+module.exports = PatchCoverage;
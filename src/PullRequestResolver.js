@@ -0,0 +1,120 @@
+/**
+ * Pull request resolution: finds the PR a run reports on from an explicit PR number, the CI event
+ * payload, the PRs associated with the commit, or a search by head branch, in that order
+ */
+
+// Head branch search stops after this many pages of open PRs
+const MAX_SEARCH_PAGES = 10;
+
+class PullRequestResolver {
+  /**
+   * @param {GitHubHelper} githubHelper - Helper whose repository, branch, commit and requests are used
+   * @param {Object} options - { prNumber, event } (event as read by GitHubEvent)
+   */
+  constructor(githubHelper, options = {}) {
+    this.githubHelper = githubHelper;
+    this.prNumber = options.prNumber;
+    this.event = options.event || {};
+  }
+
+  /**
+   * Find the pull request of the current run
+   * @returns {Promise<Object|null>} - Pull request, null when none of the strategies finds one
+   */
+  async resolve() {
+    const strategies = [
+      ['PR number', () => this.fromPRNumber()],
+      ['event payload', () => this.fromEventPayload()],
+      ['commit', () => this.fromCommit()],
+      ['head branch', () => this.fromHeadBranch()]
+    ];
+
+    for (const [name, strategy] of strategies) {
+      try {
+        const pr = await strategy();
+        if (pr) {
+          console.log(`Found PR #${pr.number} from the ${name}`);
+          return pr;
+        }
+      } catch (err) {
+        console.log(`Could not find the PR from the ${name}:`, err.message);
+      }
+    }
+    return null;
+  }
+
+  async fromPRNumber() {
+    return this.prNumber ? this.fetchPullRequest(this.prNumber) : null;
+  }
+
+  /**
+   * Take the PR from the payload of the event that triggered the workflow
+   * @returns {Promise<Object|null>} - Pull request, null when the event has none
+   */
+  async fromEventPayload() {
+    if (this.event.isFork && this.event.name === 'pull_request') {
+      console.log('The PR comes from a fork: its workflow token is read-only, so statuses and comments may be rejected');
+    }
+    if (this.event.pullRequest) {
+      return this.event.pullRequest;
+    }
+    // workflow_run events only list the number, head and base of their PRs
+    return this.event.prNumber ? this.fetchPullRequest(this.event.prNumber) : null;
+  }
+
+  /**
+   * Find the open PR whose head includes the current commit
+   * On a push to the base branch this lists the PR that was just merged, which must not be reported on.
+   * @returns {Promise<Object|null>} - Open PR, null when none is open
+   */
+  async fromCommit() {
+    const { apiUrl, owner, repo, commitSha } = this.githubHelper;
+    if (!commitSha) {
+      return null;
+    }
+
+    const response = await this.githubHelper.request('get', `${apiUrl}/repos/${owner}/${repo}/commits/${commitSha}/pulls`);
+    return PullRequestResolver.findOpen((response && response.data) || []);
+  }
+
+  /**
+   * Search the open PRs by head branch: first those of the repository owner, then those of any
+   * owner, which covers forks and branches pushed by another organization
+   * A branch name alone doesn't tell a fork's `main` from ours, so a PR of another repository is only
+   * taken when its head is the current commit.
+   * @returns {Promise<Object|null>} - Open PR, null when none is open
+   */
+  async fromHeadBranch() {
+    const { apiUrl, owner, repo, currentBranch, commitSha } = this.githubHelper;
+    if (!currentBranch) {
+      return null;
+    }
+
+    const ownPRs = await this.githubHelper.requestAllPages(`${apiUrl}/repos/${owner}/${repo}/pulls?state=open&head=${owner}:${currentBranch}`);
+    const ownPR = PullRequestResolver.findOpen(ownPRs);
+    if (ownPR) {
+      return ownPR;
+    }
+
+    const openPRs = await this.githubHelper.requestAllPages(`${apiUrl}/repos/${owner}/${repo}/pulls?state=open`, MAX_SEARCH_PAGES);
+    return openPRs.find(pr => pr.head && pr.head.ref === currentBranch
+      && ((commitSha && pr.head.sha === commitSha) || (pr.head.repo && pr.head.repo.full_name === `${owner}/${repo}`))) || null;
+  }
+
+  async fetchPullRequest(prNumber) {
+    const { apiUrl, owner, repo } = this.githubHelper;
+    const response = await this.githubHelper.request('get', `${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`);
+    return (response && response.data) || null;
+  }
+
+  /**
+   * Pick the open PR from a list; closed and merged PRs are never reported on
+   * @param {Array<Object>} prs - Pull requests
+   * @returns {Object|null}
+   */
+  static findOpen(prs) {
+    return prs.find(pr => pr.state === 'open') || null;
+  }
+}
+
+module.exports = PullRequestResolver;
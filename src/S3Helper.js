@@ -1,10 +1,13 @@
 const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const DryRun = require('./DryRun');
 
 class S3Helper {
   constructor(config = {}) {
     this.bucketName = config.bucketName || process.env.AWS_S3_BUCKET || process.env.BUCKET_NAME;
     this.region = config.region || process.env.AWS_REGION;
     this.folderName = config.folderName || process.env.FOLDER_NAME;
+    // In a dry run, uploads are recorded instead of sent
+    this.dryRun = DryRun.from(config.dryRun);
     
     this.s3Client = new S3Client({
       region: this.region,
@@ -38,6 +41,26 @@ class S3Helper {
     }
   }
 
+  /**
+   * Name of the file holding the per-file coverage baselines, stored next to the branch totals
+   * (e.g. `coverage-files.json` for `coverage.json`)
+   * @param {string} fileName - Name of the branch totals file
+   * @returns {string}
+   */
+  static getFilesFileName(fileName) {
+    return `${fileName.replace(/\.json$/, '')}-files.json`;
+  }
+
+  /**
+   * Name of the file holding the coverage recorded for recent commits, the baselines of builds
+   * without a pull request (e.g. `coverage-commits.json` for `coverage.json`)
+   * @param {string} fileName - Name of the branch totals file
+   * @returns {string}
+   */
+  static getCommitsFileName(fileName) {
+    return `${fileName.replace(/\.json$/, '')}-commits.json`;
+  }
+
   async fetch(fileName) {
     // Avoid double .json extension
     const key = fileName.endsWith('.json') ? `${this.folderName}/${fileName}` : `${this.folderName}/${fileName}.json`;
@@ -67,6 +90,10 @@ class S3Helper {
       Key: key,
       Body: data,
     };
+    if (this.dryRun) {
+      this.dryRun.record({ type: 's3', bucket: this.bucketName, key, body: data });
+      return {};
+    }
     return this.s3Client.send(new PutObjectCommand(params));
   }
 }
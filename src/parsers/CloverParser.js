@@ -0,0 +1,103 @@
+/**
+ * Parser for Clover XML reports (clover.xml)
+ * Produced by PHPUnit, Istanbul's clover reporter and OpenClover
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+const XmlReader = require('./XmlReader');
+
+class CloverParser {
+  /**
+   * Parse Clover XML content
+   * @param {string} content - Raw clover.xml content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const root = XmlReader.parse(content);
+    if (root.name !== 'coverage') {
+      throw new Error(`Not a Clover report: root element is <${root.name}>`);
+    }
+
+    const project = XmlReader.child(root, 'project');
+    if (!project) {
+      throw new Error('Not a Clover report: <project> element not found');
+    }
+
+    const files = {};
+    // Files can sit directly under <project> or inside <package> elements
+    const fileElements = [
+      ...XmlReader.children(project, 'file'),
+      ...XmlReader.children(project, 'package').flatMap(pkg => XmlReader.children(pkg, 'file'))
+    ];
+
+    fileElements.forEach(fileElement => {
+      const filePath = fileElement.attributes.path || fileElement.attributes.name;
+      files[filePath] = CloverParser.readFile(fileElement);
+    });
+
+    return CoverageSummary.buildReport('clover', files);
+  }
+
+  static readFile(fileElement) {
+    const hits = { statements: {}, lines: {}, branches: {}, functions: {} };
+
+    XmlReader.children(fileElement, 'line').forEach(lineElement => {
+      const { num, type, name } = lineElement.attributes;
+      const count = parseInt(lineElement.attributes.count, 10) || 0;
+
+      if (type === 'method') {
+        hits.functions[name || num] = count;
+        return;
+      }
+
+      hits.lines[num] = Math.max(hits.lines[num] || 0, count);
+      // One entry per statement line, so sharded reports merge the statement metric exactly
+      if (type === 'stmt' || type === 'cond') {
+        hits.statements[num] = Math.max(hits.statements[num] || 0, count);
+      }
+
+      if (type === 'cond') {
+        const trueCount = parseInt(lineElement.attributes.truecount, 10) || 0;
+        const falseCount = parseInt(lineElement.attributes.falsecount, 10) || 0;
+        hits.branches[`${num}:0`] = trueCount;
+        hits.branches[`${num}:1`] = falseCount;
+      }
+    });
+
+    const metrics = XmlReader.child(fileElement, 'metrics');
+    const summary = {
+      statements: CloverParser.readMetric(metrics, 'statements', 'coveredstatements'),
+      branches: CloverParser.readMetric(metrics, 'conditionals', 'coveredconditionals'),
+      functions: CloverParser.readMetric(metrics, 'methods', 'coveredmethods'),
+      lines: CoverageSummary.metricFromHits(hits.lines)
+    };
+
+    // Fall back to the line elements when the producer omits <metrics>
+    if (!summary.statements) {
+      summary.statements = CoverageSummary.metricFromHits(hits.statements);
+    }
+    if (!summary.branches) {
+      summary.branches = CoverageSummary.metricFromHits(hits.branches);
+    }
+    if (!summary.functions) {
+      summary.functions = CoverageSummary.metricFromHits(hits.functions);
+    }
+
+    return { ...summary, hits };
+  }
+
+  static readMetric(metrics, totalAttribute, coveredAttribute) {
+    if (!metrics || metrics.attributes[totalAttribute] === undefined) {
+      return undefined;
+    }
+    return CoverageSummary.createMetric(
+      parseInt(metrics.attributes[totalAttribute], 10) || 0,
+      parseInt(metrics.attributes[coveredAttribute], 10) || 0
+    );
+  }
+}
+
+CloverParser.format = 'clover';
+CloverParser.defaultMetric = 'statements';
+
+module.exports = CloverParser;
@@ -0,0 +1,150 @@
+/**
+ * Parser for Cobertura XML reports (coverage.xml)
+ * Produced by coverage.py, JaCoCo/Cobertura Maven plugins, simplecov-cobertura and others
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+const XmlReader = require('./XmlReader');
+
+const CONDITION_PATTERN = /\((\d+)\/(\d+)\)/;
+
+class CoberturaParser {
+  /**
+   * Parse Cobertura XML content
+   * @param {string} content - Raw coverage.xml content
+   * @returns {Object} - Normalized coverage report, with package and class numbers under `packages`
+   */
+  static parse(content) {
+    const root = XmlReader.parse(content);
+    if (root.name !== 'coverage') {
+      throw new Error(`Not a Cobertura report: root element is <${root.name}>`);
+    }
+
+    const files = {};
+    const packages = {};
+
+    XmlReader.children(XmlReader.child(root, 'packages'), 'package').forEach(packageElement => {
+      const classes = {};
+
+      XmlReader.children(XmlReader.child(packageElement, 'classes'), 'class').forEach(classElement => {
+        const hits = CoberturaParser.readClassHits(classElement);
+        const summary = CoberturaParser.summarizeHits(hits);
+
+        classes[classElement.attributes.name] = {
+          filename: classElement.attributes.filename,
+          lineRate: CoberturaParser.readRate(classElement, 'line-rate'),
+          branchRate: CoberturaParser.readRate(classElement, 'branch-rate'),
+          ...summary
+        };
+
+        CoberturaParser.addFileHits(files, classElement.attributes.filename, hits);
+      });
+
+      const classSummaries = Object.values(classes);
+      packages[packageElement.attributes.name] = {
+        lineRate: CoberturaParser.readRate(packageElement, 'line-rate'),
+        branchRate: CoberturaParser.readRate(packageElement, 'branch-rate'),
+        lines: CoverageSummary.sumMetric(classSummaries, 'lines'),
+        branches: CoverageSummary.sumMetric(classSummaries, 'branches'),
+        functions: CoverageSummary.sumMetric(classSummaries, 'functions'),
+        classes
+      };
+    });
+
+    Object.keys(files).forEach(filePath => {
+      files[filePath] = { ...CoberturaParser.summarizeHits(files[filePath]), hits: files[filePath] };
+    });
+
+    const report = CoverageSummary.buildReport('cobertura', files);
+    CoberturaParser.applyRootTotals(report, root);
+    report.lineRate = CoberturaParser.readRate(root, 'line-rate');
+    report.branchRate = CoberturaParser.readRate(root, 'branch-rate');
+    report.sources = XmlReader.children(XmlReader.child(root, 'sources'), 'source')
+      .map(source => source.text)
+      .filter(Boolean);
+    report.packages = packages;
+    return report;
+  }
+
+  static readClassHits(classElement) {
+    const hits = { lines: {}, branches: {}, functions: {} };
+
+    XmlReader.children(XmlReader.child(classElement, 'lines'), 'line').forEach(lineElement => {
+      const number = lineElement.attributes.number;
+      hits.lines[number] = parseInt(lineElement.attributes.hits, 10) || 0;
+
+      if (lineElement.attributes.branch === 'true') {
+        // condition-coverage="50% (1/2)"; which conditions were taken is not recorded
+        const match = CONDITION_PATTERN.exec(lineElement.attributes['condition-coverage'] || '');
+        if (match) {
+          const covered = parseInt(match[1], 10);
+          const total = parseInt(match[2], 10);
+          for (let i = 0; i < total; i++) {
+            hits.branches[`${number}:${i}`] = i < covered ? 1 : 0;
+          }
+        }
+      }
+    });
+
+    XmlReader.children(XmlReader.child(classElement, 'methods'), 'method').forEach(methodElement => {
+      const methodLines = XmlReader.children(XmlReader.child(methodElement, 'lines'), 'line');
+      const name = `${methodElement.attributes.name}${methodElement.attributes.signature || ''}`;
+      const covered = methodLines.length > 0
+        ? methodLines.some(line => (parseInt(line.attributes.hits, 10) || 0) > 0)
+        : CoberturaParser.readRate(methodElement, 'line-rate') > 0;
+      hits.functions[name] = covered ? 1 : 0;
+    });
+
+    return hits;
+  }
+
+  static addFileHits(files, filePath, hits) {
+    // Several classes (e.g. inner classes) can share one source file
+    const existing = files[filePath] || { lines: {}, branches: {}, functions: {} };
+    Object.keys(hits).forEach(metric => {
+      Object.entries(hits[metric]).forEach(([key, count]) => {
+        existing[metric][key] = Math.max(existing[metric][key] || 0, count);
+      });
+    });
+    files[filePath] = existing;
+  }
+
+  static summarizeHits(hits) {
+    const summary = {
+      lines: CoverageSummary.metricFromHits(hits.lines),
+      branches: CoverageSummary.metricFromHits(hits.branches)
+    };
+    // Not every producer writes <methods>; leave functions out rather than report 100%
+    if (Object.keys(hits.functions).length > 0) {
+      summary.functions = CoverageSummary.metricFromHits(hits.functions);
+    }
+    return summary;
+  }
+
+  static applyRootTotals(report, root) {
+    // Prefer the report-level counters when the producer wrote them
+    const { attributes } = root;
+    if (attributes['lines-valid'] !== undefined && attributes['lines-covered'] !== undefined) {
+      report.total.lines = CoverageSummary.createMetric(
+        parseInt(attributes['lines-valid'], 10) || 0,
+        parseInt(attributes['lines-covered'], 10) || 0
+      );
+    }
+    if (attributes['branches-valid'] !== undefined && attributes['branches-covered'] !== undefined) {
+      report.total.branches = CoverageSummary.createMetric(
+        parseInt(attributes['branches-valid'], 10) || 0,
+        parseInt(attributes['branches-covered'], 10) || 0
+      );
+    }
+  }
+
+  static readRate(element, attribute) {
+    const value = parseFloat(element.attributes[attribute]);
+    return Number.isNaN(value) ? undefined : Math.round(value * 10000) / 100;
+  }
+}
+
+CoberturaParser.format = 'cobertura';
+CoberturaParser.defaultMetric = 'lines';
+
+module.exports = CoberturaParser;
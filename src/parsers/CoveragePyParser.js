@@ -0,0 +1,64 @@
+/**
+ * Parser for coverage.py JSON reports (`coverage json`)
+ * coverage.py measures executable lines ("statements") and, with --branch, arcs between lines
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+
+class CoveragePyParser {
+  /**
+   * Parse coverage.py JSON content
+   * @param {string} content - Raw coverage.json content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const data = JSON.parse(content);
+    if (!data || !data.meta || !data.files) {
+      throw new Error('Not a coverage.py JSON report: "meta" and "files" entries not found');
+    }
+
+    const files = {};
+    Object.entries(data.files).forEach(([filePath, file]) => {
+      files[filePath] = CoveragePyParser.readFile(file);
+    });
+
+    const report = CoverageSummary.buildReport('coveragepy', files);
+    if (data.totals) {
+      Object.assign(report.total, CoveragePyParser.readSummary(data.totals));
+    }
+    return report;
+  }
+
+  static readFile(file) {
+    const hits = { lines: {}, branches: {} };
+    (file.executed_lines || []).forEach(line => { hits.lines[line] = 1; });
+    (file.missing_lines || []).forEach(line => { hits.lines[line] = 0; });
+    (file.executed_branches || []).forEach(([from, to]) => { hits.branches[`${from}:${to}`] = 1; });
+    (file.missing_branches || []).forEach(([from, to]) => { hits.branches[`${from}:${to}`] = 0; });
+
+    return {
+      ...CoveragePyParser.readSummary(file.summary || {}),
+      hits
+    };
+  }
+
+  static readSummary(summary) {
+    const metrics = {
+      lines: CoverageSummary.createMetric(
+        summary.num_statements || 0,
+        summary.covered_lines || 0,
+        summary.excluded_lines || 0
+      )
+    };
+    // Branch numbers are only written when measured with --branch
+    if (summary.num_branches !== undefined) {
+      metrics.branches = CoverageSummary.createMetric(summary.num_branches, summary.covered_branches || 0);
+    }
+    return metrics;
+  }
+}
+
+CoveragePyParser.format = 'coveragepy';
+CoveragePyParser.defaultMetric = 'lines';
+
+module.exports = CoveragePyParser;
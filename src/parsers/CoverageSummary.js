@@ -0,0 +1,234 @@
+/**
+ * Helpers for building normalized coverage reports
+ *
+ * Every parser returns the same shape, modelled on Istanbul's coverage-summary.json:
+ * {
+ *   format: 'lcov',
+ *   total: { lines: { total, covered, skipped, pct }, branches: {...}, ... },
+ *   files: {
+ *     'src/index.js': {
+ *       lines: { total, covered, skipped, pct },
+ *       hits: { lines: { 12: 3 }, branches: { '12:0:0': 1 }, functions: { main: 1 } }
+ *     }
+ *   }
+ * }
+ * `hits` is optional and only present when the format records per-line/per-branch data.
+ * `weights` is optional and gives the number of items a hit entry counts for when that isn't one
+ * (e.g. `{ statements: { '5.13,7.2': 2 } }` for Go blocks holding several statements).
+ */
+
+const METRICS = ['statements', 'branches', 'functions', 'lines'];
+
+// File summary keys that hold per-item data rather than a metric
+const ITEM_KEYS = ['hits', 'weights'];
+
+class CoverageSummary {
+  /**
+   * Percentage calculation matching istanbul-lib-coverage (truncated to 2 decimals)
+   * @param {number} covered - Covered items
+   * @param {number} total - Total items
+   * @returns {number} - Coverage percentage, 100 when there is nothing to cover
+   */
+  static percent(covered, total) {
+    if (total > 0) {
+      return Math.floor((1000 * 100 * covered) / total / 10) / 100;
+    }
+    return 100;
+  }
+
+  /**
+   * Create a metric entry
+   * @param {number} total - Total items
+   * @param {number} covered - Covered items
+   * @param {number} skipped - Skipped items (optional)
+   * @returns {Object} - Metric in Istanbul summary shape
+   */
+  static createMetric(total, covered, skipped = 0) {
+    return {
+      total,
+      covered,
+      skipped,
+      pct: CoverageSummary.percent(covered, total)
+    };
+  }
+
+  /**
+   * Create a metric entry from a hit map
+   * @param {Object} hits - Map of item id to hit count
+   * @param {Object} weights - Map of item id to the number of items it counts for (optional; 1 each)
+   * @returns {Object} - Metric in Istanbul summary shape
+   */
+  static metricFromHits(hits, weights = {}) {
+    let total = 0;
+    let covered = 0;
+    Object.entries(hits).forEach(([key, count]) => {
+      const weight = weights[key] === undefined ? 1 : weights[key];
+      total += weight;
+      covered += count > 0 ? weight : 0;
+    });
+    return CoverageSummary.createMetric(total, covered);
+  }
+
+  /**
+   * Sum a metric across several summaries
+   * @param {Array<Object>} summaries - File or report summaries
+   * @param {string} metric - Metric name
+   * @returns {Object|undefined} - Summed metric, or undefined if no summary has it
+   */
+  static sumMetric(summaries, metric) {
+    const present = summaries.filter(summary => summary && summary[metric]);
+    if (present.length === 0) {
+      return undefined;
+    }
+
+    const total = present.reduce((sum, summary) => sum + (summary[metric].total || 0), 0);
+    const covered = present.reduce((sum, summary) => sum + (summary[metric].covered || 0), 0);
+    const skipped = present.reduce((sum, summary) => sum + (summary[metric].skipped || 0), 0);
+    return CoverageSummary.createMetric(total, covered, skipped);
+  }
+
+  /**
+   * Build a normalized report, computing totals from the per-file entries
+   * @param {string} format - Name of the source format
+   * @param {Object} files - Map of file path to file summary
+   * @returns {Object} - Normalized coverage report
+   */
+  static buildReport(format, files) {
+    return {
+      format,
+      total: CoverageSummary.computeTotals(files),
+      files
+    };
+  }
+
+  /**
+   * Merge reports from several runs of one suite (e.g. CI shards) file by file
+   * Hit counts are summed, so an item covered by any shard counts as covered. Files without
+   * hit data keep the shard with the most covered items per metric, since summaries can't
+   * be combined exactly.
+   * @param {Array<Object>} reports - Normalized coverage reports
+   * @returns {Object} - Normalized coverage report with totals computed from the merged files
+   */
+  static mergeReports(reports) {
+    if (reports.length === 1) {
+      return reports[0];
+    }
+
+    const formats = [...new Set(reports.map(report => report.format))];
+    if (reports.every(report => Object.keys(report.files || {}).length === 0)) {
+      throw new Error(`Cannot merge ${formats.join(', ')} coverage reports: they have no per-file data`);
+    }
+
+    const files = {};
+    reports.forEach(report => {
+      Object.entries(report.files || {}).forEach(([filePath, summary]) => {
+        files[filePath] = files[filePath] ? CoverageSummary.mergeFile(files[filePath], summary) : summary;
+      });
+    });
+
+    return CoverageSummary.buildReport(formats.join('+'), files);
+  }
+
+  /**
+   * Merge two summaries of the same file
+   * Metrics are recomputed from the summed hits when every hit entry counts for one item (or has a weight),
+   * otherwise the most covered summary is kept
+   * @param {Object} first - File summary
+   * @param {Object} second - File summary
+   * @returns {Object} - Merged file summary
+   */
+  static mergeFile(first, second) {
+    const hits = CoverageSummary.mergeItems(first.hits, second.hits, (a, b) => (a || 0) + b);
+    // The same item has the same weight in every shard
+    const weights = CoverageSummary.mergeItems(first.weights, second.weights, (a, b) => b);
+
+    const summary = {};
+    CoverageSummary.getMetricNames([first, second]).forEach(metric => {
+      const hitsCountItems = [first, second].every(file => CoverageSummary.hitsCountItems(file, metric));
+      if (hits[metric] && Object.keys(hits[metric]).length > 0 && hitsCountItems) {
+        summary[metric] = CoverageSummary.metricFromHits(hits[metric], weights[metric]);
+      } else {
+        summary[metric] = [first[metric], second[metric]]
+          .filter(Boolean)
+          .reduce((best, candidate) => (!best || candidate.covered > best.covered ? candidate : best), undefined);
+      }
+    });
+
+    if (Object.keys(hits).length > 0) {
+      summary.hits = hits;
+    }
+    if (Object.keys(weights).length > 0) {
+      summary.weights = weights;
+    }
+    return summary;
+  }
+
+  static mergeItems(first = {}, second = {}, combine) {
+    const merged = {};
+    new Set([...Object.keys(first), ...Object.keys(second)]).forEach(metric => {
+      const items = { ...first[metric] };
+      Object.entries(second[metric] || {}).forEach(([key, value]) => {
+        items[key] = combine(items[key], value);
+      });
+      merged[metric] = items;
+    });
+    return merged;
+  }
+
+  /**
+   * Whether the hits of a file add up to its metric, so the metric can be recomputed from merged hits
+   * @param {Object} file - File summary
+   * @param {string} metric - Metric name
+   * @returns {boolean} - true when the file doesn't have the metric
+   */
+  static hitsCountItems(file, metric) {
+    if (!file[metric]) {
+      return true;
+    }
+    const metricHits = (file.hits || {})[metric];
+    if (!metricHits) {
+      return false;
+    }
+    return CoverageSummary.metricFromHits(metricHits, (file.weights || {})[metric]).total === file[metric].total;
+  }
+
+  /**
+   * Compute report totals from per-file entries
+   * @param {Object} files - Map of file path to file summary
+   * @returns {Object} - Totals per metric
+   */
+  static computeTotals(files) {
+    const summaries = Object.values(files);
+    const total = {};
+    CoverageSummary.getMetricNames(summaries).forEach(metric => {
+      const summed = CoverageSummary.sumMetric(summaries, metric);
+      if (summed) {
+        total[metric] = summed;
+      }
+    });
+    return total;
+  }
+
+  /**
+   * List the metric names used by a set of summaries, standard metrics first
+   * @param {Array<Object>} summaries - File or report summaries
+   * @returns {Array<string>} - Metric names
+   */
+  static getMetricNames(summaries) {
+    const names = new Set();
+    summaries.forEach(summary => {
+      Object.keys(summary || {}).forEach(key => {
+        if (!ITEM_KEYS.includes(key)) {
+          names.add(key);
+        }
+      });
+    });
+    const extra = [...names].filter(name => !CoverageSummary.METRICS.includes(name));
+    return [...CoverageSummary.METRICS.filter(name => names.has(name)), ...extra];
+  }
+}
+
+CoverageSummary.METRICS = METRICS;
+CoverageSummary.ITEM_KEYS = ITEM_KEYS;
+
+module.exports = CoverageSummary;
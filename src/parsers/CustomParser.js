@@ -0,0 +1,154 @@
+/**
+ * Loader for user-provided parser modules (`"parser": "./tools/my-parser.js"` in .gcr.json)
+ *
+ * A parser module exports `parse(content, { filePath })` (or is that function itself) and returns
+ * a normalized report as described in CoverageSummary. It may also export `format` (the name shown
+ * in messages) and `defaultMetric` (the metric gated when the type sets no keyPath).
+ */
+
+const path = require('path');
+const CoverageSummary = require('./CoverageSummary');
+
+// Number of problems listed when a parser returns an invalid report
+const MAX_PROBLEMS = 5;
+
+class CustomParser {
+  /**
+   * Whether a format value names a parser module rather than a built-in format
+   * @param {string} format - Format value from the configuration
+   * @returns {boolean}
+   */
+  static isModulePath(format) {
+    return typeof format === 'string' && (/^\.{0,2}\//.test(format) || /\.[cm]?js$/.test(format));
+  }
+
+  /**
+   * Load a parser module and wrap it so its output is validated
+   * @param {string} modulePath - Path to the module, relative to the working directory
+   * @param {string} cwd - Directory relative paths are resolved from (defaults to process.cwd())
+   * @returns {Object} - Parser with the same interface as the built-in ones ({ format, defaultMetric, parse })
+   */
+  static load(modulePath, cwd = process.cwd()) {
+    let parserModule;
+    try {
+      parserModule = require(path.resolve(cwd, modulePath));
+    } catch (err) {
+      throw new Error(`Could not load coverage parser ${modulePath}: ${err.message}`);
+    }
+
+    const parse = parserModule && typeof parserModule.parse === 'function' ? parserModule.parse : parserModule;
+    if (typeof parse !== 'function') {
+      throw new Error(`Coverage parser ${modulePath} must export a parse(content) function`);
+    }
+
+    const format = parserModule.format || path.basename(modulePath, path.extname(modulePath));
+    return {
+      format,
+      defaultMetric: parserModule.defaultMetric || 'lines',
+      parse(content, context = {}) {
+        const report = parse.call(parserModule, content, context);
+        CustomParser.validate(report, modulePath);
+        return { format, files: {}, ...report };
+      }
+    };
+  }
+
+  /**
+   * Check that a parser returned a normalized report
+   * @param {Object} report - Parser output
+   * @param {string} modulePath - Parser module, for the error message
+   * @throws {Error} - Listing the first problems found
+   */
+  static validate(report, modulePath) {
+    const problems = CustomParser.findProblems(report);
+    if (problems.length > 0) {
+      const listed = problems.slice(0, MAX_PROBLEMS).join('; ');
+      const more = problems.length > MAX_PROBLEMS ? ` (and ${problems.length - MAX_PROBLEMS} more)` : '';
+      throw new Error(`Invalid report from coverage parser ${modulePath}: ${listed}${more}`);
+    }
+  }
+
+  static findProblems(report) {
+    if (!CustomParser.isObject(report)) {
+      return ['expected an object with `total` and `files`'];
+    }
+    if (typeof report.then === 'function') {
+      return ['parse() must return the report, not a promise'];
+    }
+    if (!CustomParser.isObject(report.total)) {
+      return ['`total` must be an object of metrics'];
+    }
+
+    const problems = CustomParser.findSummaryProblems(report.total, 'total');
+    if (Object.keys(report.total).length === 0) {
+      problems.push('`total` has no metrics');
+    }
+
+    if (report.files !== undefined) {
+      if (!CustomParser.isObject(report.files)) {
+        problems.push('`files` must be an object keyed by file path');
+      } else {
+        Object.entries(report.files).forEach(([filePath, summary]) => {
+          const location = `files["${filePath}"]`;
+          if (!CustomParser.isObject(summary)) {
+            problems.push(`${location} must be an object of metrics`);
+            return;
+          }
+          problems.push(...CustomParser.findSummaryProblems(summary, location));
+          if (summary.hits !== undefined) {
+            problems.push(...CustomParser.findItemMapProblems(summary.hits, `${location}.hits`, 'hit'));
+          }
+          if (summary.weights !== undefined) {
+            problems.push(...CustomParser.findItemMapProblems(summary.weights, `${location}.weights`, 'weight'));
+          }
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  static findSummaryProblems(summary, location) {
+    const problems = [];
+    Object.entries(summary).forEach(([metric, value]) => {
+      if (CoverageSummary.ITEM_KEYS.includes(metric)) {
+        return;
+      }
+      if (!CustomParser.isObject(value)) {
+        problems.push(`${location}.${metric} must be an object ({ total, covered, skipped, pct })`);
+        return;
+      }
+      if (typeof value.pct !== 'number' || Number.isNaN(value.pct) || value.pct < 0 || value.pct > 100) {
+        problems.push(`${location}.${metric}.pct must be a number between 0 and 100`);
+      }
+      ['total', 'covered', 'skipped'].forEach(field => {
+        if (value[field] !== undefined && !(typeof value[field] === 'number' && value[field] >= 0)) {
+          problems.push(`${location}.${metric}.${field} must be a non-negative number`);
+        }
+      });
+      if (typeof value.total === 'number' && typeof value.covered === 'number' && value.covered > value.total) {
+        problems.push(`${location}.${metric}.covered must not be greater than total`);
+      }
+    });
+    return problems;
+  }
+
+  static findItemMapProblems(maps, location, kind) {
+    if (!CustomParser.isObject(maps)) {
+      return [`${location} must be an object of ${kind} maps`];
+    }
+    const problems = [];
+    Object.entries(maps).forEach(([metric, counts]) => {
+      if (!CustomParser.isObject(counts) || Object.values(counts).some(count => typeof count !== 'number')) {
+        problems.push(`${location}.${metric} must map items to ${kind} counts`);
+      }
+    });
+    return problems;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = CustomParser;
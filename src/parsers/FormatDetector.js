@@ -0,0 +1,85 @@
+/**
+ * Detects the format of a coverage file from its content
+ */
+
+// Skip the XML prolog, comments and doctype to reach the root element
+const XML_ROOT_PATTERN = /^(?:\s*<\?[\s\S]*?\?>|\s*<!--[\s\S]*?-->|\s*<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>)*\s*<([^\s/>?!]+)/;
+
+class FormatDetector {
+  /**
+   * Detect the coverage format of some file content
+   * @param {string} content - Raw file content
+   * @returns {string} - Format name ('istanbul', 'istanbul-final', 'lcov', 'cobertura', 'jacoco',
+   *                     'clover', 'coveragepy', 'simplecov' or 'go')
+   */
+  static detect(content) {
+    const trimmed = content.replace(/^\uFEFF/, '').trimStart();
+
+    if (trimmed.startsWith('<')) {
+      return FormatDetector.detectXml(trimmed);
+    }
+
+    if (trimmed.startsWith('{')) {
+      return FormatDetector.detectJson(trimmed);
+    }
+
+    if (/^mode: (set|count|atomic)\s*$/m.test(trimmed.split('\n')[0])) {
+      return 'go';
+    }
+
+    if (/^(TN|SF):/m.test(trimmed)) {
+      return 'lcov';
+    }
+
+    throw new Error(
+      'Could not detect the coverage format. Supported formats: Istanbul coverage-summary.json and ' +
+      'coverage-final.json, LCOV, Cobertura, JaCoCo, Clover, coverage.py JSON, SimpleCov .last_run.json ' +
+      'and Go coverprofile. Set "format" on the coverage type to skip detection.'
+    );
+  }
+
+  static detectXml(content) {
+    const match = XML_ROOT_PATTERN.exec(content);
+    const root = match ? match[1] : null;
+
+    if (root === 'report') {
+      return 'jacoco';
+    }
+    if (root === 'coverage') {
+      // Clover nests everything in <project>; Cobertura uses <sources>/<packages>
+      return /<project[\s>]/.test(content) ? 'clover' : 'cobertura';
+    }
+
+    throw new Error(`Could not detect the coverage format: unknown XML root element <${root}>`);
+  }
+
+  static detectJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      // Leave it to the Istanbul parser to report the syntax error
+      return 'istanbul';
+    }
+
+    if (data.meta && data.files && data.totals) {
+      return 'coveragepy';
+    }
+    if (data.result && (data.result.line !== undefined || data.result.covered_percent !== undefined)) {
+      return 'simplecov';
+    }
+    if (data.total && typeof data.total === 'object') {
+      return 'istanbul';
+    }
+
+    const firstEntry = Object.values(data)[0];
+    if (firstEntry && firstEntry.statementMap && firstEntry.s) {
+      return 'istanbul-final';
+    }
+
+    // Unknown JSON: keep the historical behaviour of reading it with a custom keyPath
+    return 'istanbul';
+  }
+}
+
+module.exports = FormatDetector;
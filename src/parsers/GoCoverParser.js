@@ -0,0 +1,79 @@
+/**
+ * Parser for Go coverage profiles (go test -coverprofile=coverage.out)
+ * Each block line reads: <file>:<startLine>.<startCol>,<endLine>.<endCol> <numStatements> <count>
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+
+const BLOCK_PATTERN = /^(.+):(\d+)\.(\d+),(\d+)\.(\d+) (\d+) (\d+)$/;
+
+class GoCoverParser {
+  /**
+   * Parse a Go coverage profile
+   * @param {string} content - Raw coverprofile content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const modeLine = lines.find(line => line.startsWith('mode:'));
+    if (!modeLine) {
+      throw new Error('Not a Go coverage profile: missing "mode:" line');
+    }
+    // In count/atomic mode repeated blocks (e.g. from -coverpkg) add up; in set mode they are flags
+    const additive = modeLine.slice('mode:'.length).trim() !== 'set';
+
+    const blocks = {};
+    lines.forEach(line => {
+      const match = BLOCK_PATTERN.exec(line);
+      if (!match) {
+        return;
+      }
+      const [, filePath, startLine, startCol, endLine, endCol, statements, count] = match;
+      const key = `${filePath}:${startLine}.${startCol},${endLine}.${endCol}`;
+      const hits = parseInt(count, 10);
+      const existing = blocks[key];
+
+      if (existing) {
+        existing.count = additive ? existing.count + hits : Math.max(existing.count, hits);
+      } else {
+        blocks[key] = {
+          filePath,
+          id: `${startLine}.${startCol},${endLine}.${endCol}`,
+          startLine: parseInt(startLine, 10),
+          endLine: parseInt(endLine, 10),
+          statements: parseInt(statements, 10),
+          count: hits
+        };
+      }
+    });
+
+    const grouped = {};
+    Object.values(blocks).forEach(block => {
+      const file = grouped[block.filePath] || { statements: {}, weights: {}, lines: {} };
+      file.statements[block.id] = block.count;
+      file.weights[block.id] = block.statements;
+      for (let line = block.startLine; line <= block.endLine; line++) {
+        file.lines[line] = Math.max(file.lines[line] || 0, block.count);
+      }
+      grouped[block.filePath] = file;
+    });
+
+    const files = {};
+    Object.entries(grouped).forEach(([filePath, file]) => {
+      files[filePath] = {
+        statements: CoverageSummary.metricFromHits(file.statements, file.weights),
+        lines: CoverageSummary.metricFromHits(file.lines),
+        hits: { statements: file.statements, lines: file.lines },
+        // A block holds several statements, so shards merge by the statement count of their blocks
+        weights: { statements: file.weights }
+      };
+    });
+
+    return CoverageSummary.buildReport('go', files);
+  }
+}
+
+GoCoverParser.format = 'go';
+GoCoverParser.defaultMetric = 'statements';
+
+module.exports = GoCoverParser;
@@ -0,0 +1,77 @@
+/**
+ * Parser for Istanbul's detailed coverage-final.json (the "json" reporter)
+ * Computes statement, branch, function and line totals from the raw hit maps,
+ * the same way istanbul-lib-coverage summarizes a FileCoverage
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+
+class IstanbulFinalParser {
+  /**
+   * Parse coverage-final.json content
+   * @param {string} content - Raw JSON content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const data = JSON.parse(content);
+    const files = {};
+
+    Object.entries(data || {}).forEach(([key, fileCoverage]) => {
+      if (!fileCoverage || !fileCoverage.statementMap || !fileCoverage.s) {
+        throw new Error(`Not an Istanbul coverage-final.json: entry "${key}" has no statement map`);
+      }
+      files[fileCoverage.path || key] = IstanbulFinalParser.summarizeFile(fileCoverage);
+    });
+
+    return CoverageSummary.buildReport('istanbul-final', files);
+  }
+
+  /**
+   * Summarize the hit maps of one file
+   * @param {Object} fileCoverage - Istanbul FileCoverage data ({ statementMap, s, fnMap, f, branchMap, b })
+   * @returns {Object} - File summary with hit maps
+   */
+  static summarizeFile(fileCoverage) {
+    const hits = {
+      statements: { ...fileCoverage.s },
+      functions: { ...(fileCoverage.f || {}) },
+      branches: {},
+      lines: IstanbulFinalParser.getLineHits(fileCoverage)
+    };
+
+    Object.entries(fileCoverage.b || {}).forEach(([id, counts]) => {
+      counts.forEach((count, index) => {
+        hits.branches[`${id}:${index}`] = count;
+      });
+    });
+
+    return {
+      lines: CoverageSummary.metricFromHits(hits.lines),
+      statements: CoverageSummary.metricFromHits(hits.statements),
+      functions: CoverageSummary.metricFromHits(hits.functions),
+      branches: CoverageSummary.metricFromHits(hits.branches),
+      hits
+    };
+  }
+
+  static getLineHits(fileCoverage) {
+    // A line's count is the highest count of the statements starting on it
+    const lines = {};
+    Object.entries(fileCoverage.s).forEach(([id, count]) => {
+      const statement = fileCoverage.statementMap[id];
+      if (!statement || !statement.start) {
+        return;
+      }
+      const line = statement.start.line;
+      if (lines[line] === undefined || lines[line] < count) {
+        lines[line] = count;
+      }
+    });
+    return lines;
+  }
+}
+
+IstanbulFinalParser.format = 'istanbul-final';
+IstanbulFinalParser.defaultMetric = 'statements';
+
+module.exports = IstanbulFinalParser;
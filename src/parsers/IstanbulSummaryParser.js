@@ -0,0 +1,36 @@
+/**
+ * Parser for Istanbul json-summary reports (coverage-summary.json)
+ * The summary is already in the normalized shape; per-file entries sit next to `total`
+ */
+
+class IstanbulSummaryParser {
+  /**
+   * Parse coverage-summary.json content
+   * @param {string} content - Raw JSON content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const data = JSON.parse(content);
+    if (!data || typeof data.total !== 'object') {
+      throw new Error('Not an Istanbul coverage summary: "total" entry not found');
+    }
+
+    const files = {};
+    Object.keys(data).forEach(key => {
+      if (key !== 'total') {
+        files[key] = data[key];
+      }
+    });
+
+    return {
+      format: 'istanbul',
+      total: data.total,
+      files
+    };
+  }
+}
+
+IstanbulSummaryParser.format = 'istanbul';
+IstanbulSummaryParser.defaultMetric = 'statements';
+
+module.exports = IstanbulSummaryParser;
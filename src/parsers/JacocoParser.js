@@ -0,0 +1,121 @@
+/**
+ * Parser for JaCoCo XML reports (jacoco.xml)
+ * Reads INSTRUCTION, LINE, BRANCH, METHOD and COMPLEXITY counters at report,
+ * package and sourcefile level
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+const XmlReader = require('./XmlReader');
+
+// JaCoCo counter type -> normalized metric name
+const COUNTERS = {
+  INSTRUCTION: 'instructions',
+  LINE: 'lines',
+  BRANCH: 'branches',
+  METHOD: 'functions',
+  COMPLEXITY: 'complexity',
+  CLASS: 'classes'
+};
+
+class JacocoParser {
+  /**
+   * Parse JaCoCo XML content
+   * @param {string} content - Raw jacoco.xml content
+   * @returns {Object} - Normalized coverage report, with package numbers under `packages`
+   */
+  static parse(content) {
+    const root = XmlReader.parse(content);
+    if (root.name !== 'report') {
+      throw new Error(`Not a JaCoCo report: root element is <${root.name}>`);
+    }
+
+    const files = {};
+    const packages = {};
+    JacocoParser.collectPackages(root, files, packages);
+
+    const report = CoverageSummary.buildReport('jacoco', files);
+    // The report-level counters are authoritative (they include classes without source files)
+    const totals = JacocoParser.readCounters(root);
+    if (Object.keys(totals).length > 0) {
+      report.total = totals;
+    }
+    report.packages = packages;
+    return report;
+  }
+
+  /**
+   * Map a JaCoCo counter type to the normalized metric name
+   * @param {string} counter - Counter type (e.g. 'INSTRUCTION'), case-insensitive
+   * @returns {string} - Metric name (e.g. 'instructions')
+   */
+  static metricForCounter(counter) {
+    const metric = COUNTERS[String(counter).toUpperCase()];
+    if (!metric) {
+      throw new Error(
+        `Unknown coverage counter: ${counter}. Supported counters: ${Object.keys(COUNTERS).join(', ')}`
+      );
+    }
+    return metric;
+  }
+
+  static collectPackages(element, files, packages) {
+    // Multi-module reports nest packages inside <group> elements
+    XmlReader.children(element, 'group').forEach(group => {
+      JacocoParser.collectPackages(group, files, packages);
+    });
+
+    XmlReader.children(element, 'package').forEach(packageElement => {
+      const packageName = packageElement.attributes.name;
+      packages[packageName] = JacocoParser.readCounters(packageElement);
+
+      XmlReader.children(packageElement, 'sourcefile').forEach(sourceElement => {
+        const filePath = packageName
+          ? `${packageName}/${sourceElement.attributes.name}`
+          : sourceElement.attributes.name;
+
+        files[filePath] = {
+          ...JacocoParser.readCounters(sourceElement),
+          hits: JacocoParser.readLineHits(sourceElement)
+        };
+      });
+    });
+  }
+
+  static readCounters(element) {
+    const metrics = {};
+    XmlReader.children(element, 'counter').forEach(counter => {
+      const metric = COUNTERS[counter.attributes.type];
+      if (!metric) {
+        return;
+      }
+      const missed = parseInt(counter.attributes.missed, 10) || 0;
+      const covered = parseInt(counter.attributes.covered, 10) || 0;
+      metrics[metric] = CoverageSummary.createMetric(missed + covered, covered);
+    });
+    return metrics;
+  }
+
+  static readLineHits(sourceElement) {
+    const hits = { lines: {}, branches: {} };
+
+    XmlReader.children(sourceElement, 'line').forEach(lineElement => {
+      const { nr, ci, mb, cb } = lineElement.attributes;
+      // JaCoCo records covered instructions rather than execution counts
+      hits.lines[nr] = parseInt(ci, 10) || 0;
+
+      const missedBranches = parseInt(mb, 10) || 0;
+      const coveredBranches = parseInt(cb, 10) || 0;
+      for (let i = 0; i < missedBranches + coveredBranches; i++) {
+        hits.branches[`${nr}:${i}`] = i < coveredBranches ? 1 : 0;
+      }
+    });
+
+    return hits;
+  }
+}
+
+JacocoParser.format = 'jacoco';
+JacocoParser.defaultMetric = 'instructions';
+JacocoParser.COUNTERS = COUNTERS;
+
+module.exports = JacocoParser;
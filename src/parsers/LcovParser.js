@@ -0,0 +1,148 @@
+/**
+ * Parser for LCOV tracefiles (lcov.info)
+ * Reads SF/DA/LF/LH/BRDA/BRF/BRH/FN/FNDA/FNF/FNH records into a normalized report
+ */
+
+const CoverageSummary = require('./CoverageSummary');
+
+class LcovParser {
+  /**
+   * Parse LCOV content
+   * @param {string} content - Raw lcov.info content
+   * @returns {Object} - Normalized coverage report
+   */
+  static parse(content) {
+    const files = {};
+    let record = null;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) {
+        return;
+      }
+
+      if (line === 'end_of_record') {
+        if (record) {
+          LcovParser.addRecord(files, record);
+        }
+        record = null;
+        return;
+      }
+
+      const separator = line.indexOf(':');
+      const tag = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1);
+
+      if (tag === 'SF') {
+        record = LcovParser.createRecord(value);
+        return;
+      }
+
+      if (!record) {
+        return;
+      }
+
+      LcovParser.readTag(record, tag, value);
+    });
+
+    // Tolerate a missing trailing end_of_record
+    if (record) {
+      LcovParser.addRecord(files, record);
+    }
+
+    return CoverageSummary.buildReport('lcov', files);
+  }
+
+  static createRecord(filePath) {
+    return {
+      filePath,
+      counts: {},
+      hits: { lines: {}, branches: {}, functions: {} }
+    };
+  }
+
+  static readTag(record, tag, value) {
+    const parts = value.split(',');
+
+    switch (tag) {
+      case 'DA': {
+        const hits = parseInt(parts[1], 10);
+        record.hits.lines[parts[0]] = Number.isNaN(hits) ? 0 : hits;
+        break;
+      }
+      case 'BRDA': {
+        // BRDA:<line>,<block>,<branch>,<taken> where taken is '-' when the block never ran
+        const taken = parts[3] === '-' ? 0 : parseInt(parts[3], 10);
+        record.hits.branches[`${parts[0]}:${parts[1]}:${parts[2]}`] = Number.isNaN(taken) ? 0 : taken;
+        break;
+      }
+      case 'FN': {
+        // FN:<line>,<name> (or FN:<start>,<end>,<name> in LCOV 2.x)
+        const name = parts.slice(parts.length === 3 ? 2 : 1).join(',');
+        if (!(name in record.hits.functions)) {
+          record.hits.functions[name] = 0;
+        }
+        break;
+      }
+      case 'FNDA': {
+        const name = parts.slice(1).join(',');
+        const hits = parseInt(parts[0], 10);
+        record.hits.functions[name] = Number.isNaN(hits) ? 0 : hits;
+        break;
+      }
+      case 'LF':
+      case 'LH':
+      case 'BRF':
+      case 'BRH':
+      case 'FNF':
+      case 'FNH':
+        record.counts[tag] = parseInt(value, 10) || 0;
+        break;
+      default:
+        // TN, VER and checksum-only records carry no coverage data
+        break;
+    }
+  }
+
+  static addRecord(files, record) {
+    const existing = files[record.filePath];
+    if (existing) {
+      // Several records for the same source file: sum the hits and recount
+      ['lines', 'branches', 'functions'].forEach(metric => {
+        Object.entries(record.hits[metric]).forEach(([key, hits]) => {
+          existing.hits[metric][key] = (existing.hits[metric][key] || 0) + hits;
+        });
+        if (existing[metric] || Object.keys(existing.hits[metric]).length > 0) {
+          existing[metric] = CoverageSummary.metricFromHits(existing.hits[metric]);
+        }
+      });
+      return;
+    }
+
+    const file = {};
+    [['lines', 'LF', 'LH'], ['branches', 'BRF', 'BRH'], ['functions', 'FNF', 'FNH']].forEach(([metric, foundTag, hitTag]) => {
+      const value = LcovParser.buildMetric(record, metric, foundTag, hitTag);
+      if (value) {
+        file[metric] = value;
+      }
+    });
+    files[record.filePath] = { ...file, hits: record.hits };
+  }
+
+  static buildMetric(record, metric, foundTag, hitTag) {
+    // Prefer the summary records; fall back to counting the detail records
+    if (record.counts[foundTag] !== undefined) {
+      return CoverageSummary.createMetric(record.counts[foundTag], record.counts[hitTag] || 0);
+    }
+    // Many tools skip branch or function data; leave the metric out rather than report 100%
+    if (Object.keys(record.hits[metric]).length === 0) {
+      return undefined;
+    }
+    return CoverageSummary.metricFromHits(record.hits[metric]);
+  }
+}
+
+LcovParser.format = 'lcov';
+LcovParser.defaultMetric = 'lines';
+
+module.exports = LcovParser;
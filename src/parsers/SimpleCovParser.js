@@ -0,0 +1,40 @@
+/**
+ * Parser for SimpleCov's coverage/.last_run.json
+ * The file only records overall percentages, so the report has totals but no per-file data
+ */
+
+class SimpleCovParser {
+  /**
+   * Parse .last_run.json content
+   * @param {string} content - Raw JSON content
+   * @returns {Object} - Normalized coverage report (metrics carry `pct` only)
+   */
+  static parse(content) {
+    const data = JSON.parse(content);
+    const result = data && data.result;
+    if (!result) {
+      throw new Error('Not a SimpleCov .last_run.json: "result" entry not found');
+    }
+
+    const total = {};
+    // SimpleCov >= 0.18 writes { line, branch }; older versions write { covered_percent }
+    const linePct = result.line !== undefined ? result.line : result.covered_percent;
+    if (linePct !== undefined) {
+      total.lines = { pct: linePct };
+    }
+    if (result.branch !== undefined) {
+      total.branches = { pct: result.branch };
+    }
+
+    return {
+      format: 'simplecov',
+      total,
+      files: {}
+    };
+  }
+}
+
+SimpleCovParser.format = 'simplecov';
+SimpleCovParser.defaultMetric = 'lines';
+
+module.exports = SimpleCovParser;
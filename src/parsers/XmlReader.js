@@ -0,0 +1,180 @@
+/**
+ * Minimal XML reader for coverage reports
+ * Builds an element tree ({ name, attributes, children, text }), which is all the
+ * XML coverage formats need. Not a general purpose XML parser: mixed content is
+ * flattened into `text` and namespaces are kept as part of the name.
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+class XmlReader {
+  /**
+   * Parse XML content into an element tree
+   * @param {string} content - Raw XML
+   * @returns {Object} - Root element
+   */
+  static parse(content) {
+    const root = XmlReader.createElement('#document', {});
+    const stack = [root];
+    let index = 0;
+
+    while (index < content.length) {
+      const start = content.indexOf('<', index);
+      if (start === -1) {
+        break;
+      }
+
+      XmlReader.appendText(stack[stack.length - 1], XmlReader.decodeEntities(content.slice(index, start)));
+
+      if (content.startsWith('<!--', start)) {
+        index = XmlReader.skipPast(content, start, '-->');
+      } else if (content.startsWith('<![CDATA[', start)) {
+        index = XmlReader.skipPast(content, start, ']]>');
+        XmlReader.appendText(stack[stack.length - 1], content.slice(start + 9, index - 3));
+      } else if (content.startsWith('<?', start)) {
+        index = XmlReader.skipPast(content, start, '?>');
+      } else if (content.startsWith('<!', start)) {
+        index = XmlReader.skipDeclaration(content, start);
+      } else if (content[start + 1] === '/') {
+        const end = XmlReader.skipPast(content, start, '>');
+        const name = content.slice(start + 2, end - 1).trim();
+        const current = stack.pop();
+        if (!current || current.name !== name) {
+          throw new Error(`Malformed XML: unexpected closing tag </${name}>`);
+        }
+        index = end;
+      } else {
+        const end = XmlReader.findTagEnd(content, start);
+        const selfClosing = content[end - 1] === '/';
+        const body = content.slice(start + 1, selfClosing ? end - 1 : end);
+        const nameMatch = body.match(/^[^\s/>]+/);
+        if (!nameMatch) {
+          throw new Error(`Malformed XML at position ${start}`);
+        }
+
+        const element = XmlReader.createElement(
+          nameMatch[0],
+          XmlReader.parseAttributes(body.slice(nameMatch[0].length))
+        );
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) {
+          stack.push(element);
+        }
+        index = end + 1;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Malformed XML: unclosed tag <${stack[stack.length - 1].name}>`);
+    }
+
+    const documentElement = root.children[0];
+    if (!documentElement) {
+      throw new Error('Malformed XML: no root element');
+    }
+    return documentElement;
+  }
+
+  /**
+   * Get the direct children of an element with a given name
+   * @param {Object} element - Parent element
+   * @param {string} name - Child element name
+   * @returns {Array<Object>} - Matching children
+   */
+  static children(element, name) {
+    return element ? element.children.filter(child => child.name === name) : [];
+  }
+
+  /**
+   * Get the first direct child of an element with a given name
+   * @param {Object} element - Parent element
+   * @param {string} name - Child element name
+   * @returns {Object|undefined} - Matching child
+   */
+  static child(element, name) {
+    return XmlReader.children(element, name)[0];
+  }
+
+  static createElement(name, attributes) {
+    return { name, attributes, children: [], text: '' };
+  }
+
+  static appendText(element, text) {
+    const trimmed = text.trim();
+    if (trimmed) {
+      element.text = element.text ? `${element.text} ${trimmed}` : trimmed;
+    }
+  }
+
+  static parseAttributes(source) {
+    const attributes = {};
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+      const value = match[3] !== undefined ? match[3] : match[4];
+      attributes[match[1]] = XmlReader.decodeEntities(value);
+    }
+    return attributes;
+  }
+
+  static decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, code) => {
+      if (code[0] === '#') {
+        const number = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(number);
+      }
+      return ENTITIES[code] !== undefined ? ENTITIES[code] : entity;
+    });
+  }
+
+  static findTagEnd(content, start) {
+    // Skip over quoted attribute values, which may contain '>'
+    let quote = null;
+    for (let i = start + 1; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+    throw new Error(`Malformed XML: unterminated tag at position ${start}`);
+  }
+
+  static skipPast(content, start, terminator) {
+    const end = content.indexOf(terminator, start);
+    if (end === -1) {
+      throw new Error(`Malformed XML: missing '${terminator}' after position ${start}`);
+    }
+    return end + terminator.length;
+  }
+
+  static skipDeclaration(content, start) {
+    // <!DOCTYPE ...> may carry an internal subset in square brackets
+    let depth = 0;
+    for (let i = start + 2; i < content.length; i++) {
+      if (content[i] === '[') {
+        depth++;
+      } else if (content[i] === ']') {
+        depth--;
+      } else if (content[i] === '>' && depth === 0) {
+        return i + 1;
+      }
+    }
+    throw new Error(`Malformed XML: unterminated declaration at position ${start}`);
+  }
+}
+
+module.exports = XmlReader;
@@ -8,6 +8,8 @@
  * - Set GitHub status checks based on coverage thresholds
  * - Add PR comments with coverage information
  * - Store coverage history in S3 (if configured)
+ *
+ * With --fail-on=threshold,delta,patch (or any) the script exits with code 1 when those checks fail.
  */
  
 /* eslint-disable no-undef */
@@ -16,11 +18,34 @@
 
 const GitHubCoverageReporter = require('{{PACKAGE_NAME}}');
 
+// Coverage values are { statements, branches, functions, lines } objects, or a single percentage
+function formatCoverage(coverage) {
+  if (coverage && typeof coverage === 'object') {
+    return Object.entries(coverage).map(([metric, pct]) => `${metric} ${pct}%`).join(', ');
+  }
+  return `${coverage}%`;
+}
+
+function logChange(current, previous) {
+  const currentMetrics = typeof current === 'object' ? current : { coverage: current };
+  const previousMetrics = typeof previous === 'object' ? previous : { coverage: previous };
+  Object.keys(currentMetrics).forEach(metric => {
+    if (!previousMetrics[metric]) {
+      return;
+    }
+    const diff = (currentMetrics[metric] - previousMetrics[metric]).toFixed(2);
+    const change = diff >= 0 ? `increased by ${diff}%` : `decreased by ${Math.abs(diff)}%`;
+    const label = metric === 'coverage' ? '' : `${metric} `;
+    console.log(`   Changed: ${label}${change} from previous ${previousMetrics[metric]}%`);
+  });
+}
+
 async function main() {
   try {
     // Validate required environment variables
+    // A GitHub App (GITHUB_APP_ID, GITHUB_APP_INSTALLATION_ID, GITHUB_APP_PRIVATE_KEY_PATH) can replace the token
     const requiredVars = [
-      'GITHUB_ACCESS_TOKEN',
+      ...(process.env.GITHUB_APP_ID ? ['GITHUB_APP_INSTALLATION_ID', 'GITHUB_APP_PRIVATE_KEY_PATH'] : ['GITHUB_ACCESS_TOKEN']),
       'GITHUB_CURR_BRANCH',
       'AWS_ACCESS_KEY_ID',
       'AWS_SECRET_ACCESS_KEY',
@@ -42,7 +67,8 @@ async function main() {
         token: process.env.GITHUB_ACCESS_TOKEN,
         currentBranch: process.env.GITHUB_CURR_BRANCH,
         targetBranch: process.env.GITHUB_TARGET_BRANCH,
-        commitSha: process.env.GITHUB_SHA,
+        // The head commit of the event payload takes precedence over sha (GITHUB_SHA is the merge commit on PRs)
+        sha: process.env.GITHUB_SHA,
       },
       s3: process.env.AWS_S3_BUCKET ? {
         bucketName: process.env.AWS_S3_BUCKET,
@@ -60,11 +86,17 @@ async function main() {
     // Get coverage types to process from command line arguments
     const args = process.argv.slice(2);
     let typesToProcess = [];
+
+    // Checks that fail the build: threshold, delta and/or patch, any, or none
+    const failOnArg = args.find(arg => arg.startsWith('--fail-on='));
+    const failOn = failOnArg ? failOnArg.split('=')[1] : 'none';
+    // Rejects unknown checks before any coverage is reported
+    GitHubCoverageReporter.getGateFailures({}, failOn);
     
-    // Check for --all flag to process all types
+    // Check for --all flag to process all types (including the per-package types expanded from .gcr.json)
     if (args.includes('--all')) {
       /* eslint-disable-next-line no-undef */
-      typesToProcess = config?.coverage?.types?.map(t => t.name) || DEFAULT_TYPES_PLACEHOLDER;
+      typesToProcess = reporter.options.coverageTypes || DEFAULT_TYPES_PLACEHOLDER;
     } else {
       // Look for --name=type arguments
       args.forEach(arg => {
@@ -91,24 +123,24 @@ async function main() {
         result.coverageTypes.forEach(type => {
           const current = result.currentCoverage[type];
           const previous = result.previousCoverage[type] || 0;
-          console.log(`✅ ${type} coverage: ${current}%`);
-          if (previous > 0) {
-            const diff = (current - previous).toFixed(2);
-            const change = diff >= 0 ? `increased by ${diff}%` : `decreased by ${Math.abs(diff)}%`;
-            console.log(`   Changed: ${change} from previous ${previous}%`);
-          }
+          console.log(`✅ ${type} coverage: ${formatCoverage(current)}`);
+          logChange(current, previous);
         });
       } else {
         // Single-type coverage reporting
         const type = result.coverageType || typesToProcess[0];
         const current = result.currentCoverage;
         const previous = result.previousCoverage || 0;
-        console.log(`✅ ${type} coverage: ${current}%`);
-        if (previous > 0) {
-          const diff = (current - previous).toFixed(2);
-          const change = diff >= 0 ? `increased by ${diff}%` : `decreased by ${Math.abs(diff)}%`;
-          console.log(`   Changed: ${change} from previous ${previous}%`);
-        }
+        console.log(`✅ ${type} coverage: ${formatCoverage(current)}`);
+        logChange(current, previous);
+      }
+
+      const failures = GitHubCoverageReporter.getGateFailures(result, failOn);
+      failures.forEach(({ coverageType, check, description }) => {
+        console.error(`❌ ${coverageType} ${check} check failed: ${description}`);
+      });
+      if (failures.length > 0) {
+        process.exitCode = 1;
       }
     } catch (error) {
       // If error is per-type, print type if available
@@ -117,6 +149,10 @@ async function main() {
       } else {
         console.error(`❌ Error processing coverage:`, error.message);
       }
+      // Without gates to check, a build that fails on them can't pass
+      if (failOn !== 'none') {
+        process.exitCode = 1;
+      }
     }
   
     console.log('\nCoverage reporting completed');
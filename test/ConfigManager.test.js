@@ -3,6 +3,7 @@ const sinon = require('sinon');
 const fs = require('fs');
 
 const ConfigManager = require('../src/ConfigManager');
+const FileMatcher = require('../src/FileMatcher');
 
 describe('ConfigManager', () => {
   let sandbox;
@@ -74,6 +75,78 @@ describe('ConfigManager', () => {
     });
   });
 
+  describe('expandCoverageTypes', () => {
+    const packagesConfig = {
+      coverage: {
+        types: [
+          { name: 'api', filePath: './api/coverage.json', threshold: 90 },
+          {
+            name: 'pkg',
+            filePath: 'packages/*/coverage/coverage-summary.json',
+            perPackage: true,
+            threshold: 80,
+            format: 'istanbul',
+            overrides: { ui: { threshold: 60 } }
+          }
+        ]
+      }
+    };
+
+    it('should create one coverage type per matched package', () => {
+      sandbox.stub(FileMatcher, 'expand').returns([
+        'packages/core/coverage/coverage-summary.json',
+        'packages/ui/coverage/coverage-summary.json'
+      ]);
+
+      const result = ConfigManager.expandCoverageTypes(packagesConfig);
+
+      expect(FileMatcher.expand.calledWith('packages/*/coverage/coverage-summary.json', '/test/directory')).to.be.true;
+      expect(result.coverage.types).to.deep.equal([
+        { name: 'api', filePath: './api/coverage.json', threshold: 90 },
+        { name: 'pkg-core', filePath: 'packages/core/coverage/coverage-summary.json', threshold: 80, format: 'istanbul', package: 'core' },
+        { name: 'pkg-ui', filePath: 'packages/ui/coverage/coverage-summary.json', threshold: 60, format: 'istanbul', package: 'ui' }
+      ]);
+      // The loaded configuration is left untouched
+      expect(packagesConfig.coverage.types).to.have.lengthOf(2);
+    });
+
+    it('should replace a {package} placeholder in the name', () => {
+      sandbox.stub(FileMatcher, 'expand').returns(['packages/core/lcov.info']);
+      const config = { coverage: { types: [{ name: '{package}', path: 'packages/*/lcov.info', perPackage: true }] } };
+
+      const result = ConfigManager.expandCoverageTypes(config);
+
+      expect(result.coverage.types).to.deep.equal([{ name: 'core', filePath: 'packages/core/lcov.info', package: 'core' }]);
+    });
+
+    it('should warn when no package matches', () => {
+      sandbox.stub(FileMatcher, 'expand').returns([]);
+      sandbox.stub(console, 'warn');
+
+      const result = ConfigManager.expandCoverageTypes(packagesConfig);
+
+      expect(result.coverage.types.map(t => t.name)).to.deep.equal(['api']);
+      expect(console.warn.calledWith('No packages matched for coverage type pkg: packages/*/coverage/coverage-summary.json')).to.be.true;
+    });
+
+    it('should reject perPackage types without a glob', () => {
+      const config = { coverage: { types: [{ name: 'pkg', filePath: 'coverage.json', perPackage: true }] } };
+
+      expect(() => ConfigManager.expandCoverageTypes(config))
+        .to.throw('Coverage type pkg uses perPackage but its filePath is not a glob: coverage.json');
+    });
+
+    it('should expand types when loading the configuration', () => {
+      sandbox.stub(fs, 'existsSync').returns(true);
+      sandbox.stub(fs, 'readFileSync').returns(JSON.stringify(packagesConfig));
+      sandbox.stub(FileMatcher, 'expand').returns(['packages/core/coverage/coverage-summary.json']);
+
+      const result = ConfigManager.loadConfig();
+
+      expect(result.coverage.types.map(t => t.name)).to.deep.equal(['api', 'pkg-core']);
+    });
+  });
+
   describe('getCoveragePath', () => {
     it('should return file path for existing coverage type', () => {
       const config = {
@@ -89,6 +162,18 @@ describe('ConfigManager', () => {
       expect(result).to.equal('./backend/coverage.json');
     });
 
+    it('should accept the path alias for the file path', () => {
+      const config = {
+        coverage: {
+          types: [
+            { name: 'backend', path: './backend/coverage.xml', format: 'cobertura' }
+          ]
+        }
+      };
+
+      expect(ConfigManager.getCoveragePath('backend', config)).to.equal('./backend/coverage.xml');
+    });
+
     it('should throw error when coverage type not found', () => {
       const config = {
         coverage: {
@@ -118,6 +203,113 @@ describe('ConfigManager', () => {
     });
   });
 
+  describe('getCoverageFormat', () => {
+    it('should return format for existing coverage type', () => {
+      const config = {
+        coverage: {
+          types: [
+            { name: 'backend', filePath: './backend/lcov.info', format: 'lcov' },
+            { name: 'frontend', filePath: './frontend/coverage.json' }
+          ]
+        }
+      };
+
+      expect(ConfigManager.getCoverageFormat('backend', config)).to.equal('lcov');
+      expect(ConfigManager.getCoverageFormat('frontend', config)).to.be.undefined;
+    });
+
+    it('should throw error when coverage type not found', () => {
+      const config = { coverage: { types: [] } };
+
+      expect(() => ConfigManager.getCoverageFormat('backend', config)).to.throw('Coverage type not found in configuration: backend');
+    });
+  });
+
+  describe('getPatchThreshold', () => {
+    it('should return the patch threshold when configured', () => {
+      const config = { coverage: { types: [{ name: 'backend', patchThreshold: 75 }, { name: 'frontend' }] } };
+
+      expect(ConfigManager.getPatchThreshold('backend', config)).to.equal(75);
+      expect(ConfigManager.getPatchThreshold('frontend', config)).to.be.undefined;
+      expect(ConfigManager.getPatchThreshold('backend', null)).to.be.undefined;
+    });
+  });
+
+  describe('getCompositeTypes', () => {
+    const config = {
+      coverage: {
+        types: [
+          { name: 'backend' },
+          { name: 'frontend' },
+          { name: 'overall', composite: ['backend', 'frontend'] },
+          { name: 'everything', composite: true },
+          { name: 'broken', composite: ['backend', 'mobile'] },
+          { name: 'nested', composite: ['overall'] }
+        ]
+      }
+    };
+
+    it('should list the combined types', () => {
+      expect(ConfigManager.isCompositeType('overall', config)).to.be.true;
+      expect(ConfigManager.isCompositeType('backend', config)).to.be.false;
+      expect(ConfigManager.isCompositeType('unknown', config)).to.be.false;
+      expect(ConfigManager.getCompositeTypes('overall', config)).to.deep.equal(['backend', 'frontend']);
+    });
+
+    it('should combine every other type when composite is true', () => {
+      expect(ConfigManager.getCompositeTypes('everything', config)).to.deep.equal(['backend', 'frontend']);
+    });
+
+    it('should reject unknown and composite components', () => {
+      expect(() => ConfigManager.getCompositeTypes('broken', config))
+        .to.throw('Composite coverage type broken refers to an unknown coverage type: mobile');
+      expect(() => ConfigManager.getCompositeTypes('nested', config))
+        .to.throw('Composite coverage type nested cannot include another composite type: overall');
+    });
+  });
+
+  describe('getCoverageParser', () => {
+    it('should return the parser module of the type', () => {
+      const config = { coverage: { types: [{ name: 'rust', parser: './tools/llvm-parser.js' }, { name: 'web' }] } };
+
+      expect(ConfigManager.getCoverageParser('rust', config)).to.equal('./tools/llvm-parser.js');
+      expect(ConfigManager.getCoverageParser('web', config)).to.be.undefined;
+    });
+  });
+
+  describe('getCoverageFilters', () => {
+    it('should return the include/exclude globs as lists', () => {
+      const config = {
+        coverage: {
+          types: [
+            { name: 'backend', include: 'src/**', exclude: ['**/migrations/**'] },
+            { name: 'frontend' }
+          ]
+        }
+      };
+
+      expect(ConfigManager.getCoverageFilters('backend', config)).to.deep.equal({
+        include: ['src/**'],
+        exclude: ['**/migrations/**']
+      });
+      expect(ConfigManager.getCoverageFilters('frontend', config)).to.deep.equal({ include: [], exclude: [] });
+    });
+  });
+
+  describe('getCoverageCounter', () => {
+    it('should return counter for existing coverage type', () => {
+      const config = {
+        coverage: {
+          types: [
+            { name: 'backend', filePath: './build/jacoco.xml', format: 'jacoco', counter: 'LINE' }
+          ]
+        }
+      };
+
+      expect(ConfigManager.getCoverageCounter('backend', config)).to.equal('LINE');
+    });
+  });
+
   describe('getCoverageThreshold', () => {
     it('should return threshold for existing coverage type', () => {
       const config = {
@@ -332,6 +524,41 @@ describe('ConfigManager', () => {
     });
   });
 
+  describe('getStatusCheckConfig', () => {
+    it('should use commit statuses unless the Checks API is turned on', () => {
+      expect(ConfigManager.getStatusCheckConfig(null)).to.deep.equal({ useChecksApi: false });
+      expect(ConfigManager.getStatusCheckConfig({ statusCheck: { useChecksApi: true } }).useChecksApi).to.be.true;
+      expect(ConfigManager.getStatusCheckConfig({ config: { statusCheck: { useChecksApi: true } } }).useChecksApi).to.be.true;
+    });
+  });
+
+  describe('getCommentConfig', () => {
+    it('should default to updating the existing comment', () => {
+      expect(ConfigManager.getCommentConfig(null)).to.deep.equal({ mode: 'update', minimizeOutdated: true, commitComment: false });
+      expect(ConfigManager.getCommentConfig({ comment: { enabled: true } }))
+        .to.deep.equal({ enabled: true, mode: 'update', minimizeOutdated: true, commitComment: false });
+    });
+
+    it('should only comment on commits without a PR when turned on', () => {
+      expect(ConfigManager.getCommentConfig({ comment: { commitComment: true } }).commitComment).to.be.true;
+      expect(ConfigManager.getCommentConfig({ comment: { commitComment: 'yes' } }).commitComment).to.be.false;
+    });
+
+    it('should keep minimizeOutdated when turned off', () => {
+      expect(ConfigManager.getCommentConfig({ comment: { mode: 'append', minimizeOutdated: false } }).minimizeOutdated).to.be.false;
+    });
+
+    it('should read the mode from the top-level or nested comment section', () => {
+      expect(ConfigManager.getCommentConfig({ comment: { mode: 'recreate' } }).mode).to.equal('recreate');
+      expect(ConfigManager.getCommentConfig({ config: { comment: { mode: 'append' } } }).mode).to.equal('append');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => ConfigManager.getCommentConfig({ comment: { mode: 'sticky' } }))
+        .to.throw('Invalid comment mode "sticky": expected update, recreate, append');
+    });
+  });
+
   describe('getGitHubConfig', () => {
     it('should return GitHub config from top-level github section', () => {
       const config = {
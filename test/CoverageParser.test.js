@@ -2,6 +2,8 @@ const fs = require('fs');
 const sinon = require('sinon');
 const { expect } = require('chai');
 const CoverageParser = require('../src/CoverageParser');
+const FileMatcher = require('../src/FileMatcher');
+const CustomParser = require('../src/parsers/CustomParser');
 
 describe('CoverageParser', function() {
   describe('parseSingleFile', function() {
@@ -40,5 +42,314 @@ describe('CoverageParser', function() {
 
       expect(() => CoverageParser.parseSingleFile('invalid.json')).to.throw();
     });
+
+    it('should parse LCOV files when format is lcov', function() {
+      fs.existsSync.withArgs('lcov.info').returns(true);
+      fs.readFileSync.withArgs('lcov.info', 'utf8').returns('SF:src/a.js\nDA:1,1\nDA:2,0\nLF:2\nLH:1\nend_of_record\n');
+
+      expect(CoverageParser.parseSingleFile('lcov.info', undefined, { format: 'lcov' })).to.equal(50);
+      expect(CoverageParser.parseSingleFile('lcov.info', 'total.lines.covered', { format: 'lcov' })).to.equal(1);
+    });
+
+    it('should parse Cobertura files when format is cobertura', function() {
+      fs.existsSync.withArgs('coverage.xml').returns(true);
+      fs.readFileSync.withArgs('coverage.xml', 'utf8').returns(
+        '<coverage line-rate="0.75" lines-valid="4" lines-covered="3"><packages/></coverage>'
+      );
+
+      expect(CoverageParser.parseSingleFile('coverage.xml', undefined, { format: 'cobertura' })).to.equal(75);
+    });
+
+    it('should gate JaCoCo reports on the configured counter', function() {
+      fs.existsSync.withArgs('jacoco.xml').returns(true);
+      fs.readFileSync.withArgs('jacoco.xml', 'utf8').returns(
+        '<report name="r"><counter type="INSTRUCTION" missed="1" covered="3"/><counter type="BRANCH" missed="1" covered="1"/></report>'
+      );
+
+      expect(CoverageParser.parseSingleFile('jacoco.xml', undefined, { format: 'jacoco' })).to.equal(75);
+      expect(CoverageParser.parseSingleFile('jacoco.xml', undefined, { format: 'jacoco', counter: 'BRANCH' })).to.equal(50);
+    });
+
+    it('should detect the format when none is configured', function() {
+      fs.existsSync.withArgs('lcov.info').returns(true);
+      fs.readFileSync.withArgs('lcov.info', 'utf8').returns('SF:src/a.js\nDA:1,1\nDA:2,1\nDA:3,0\nDA:4,0\nend_of_record\n');
+
+      expect(CoverageParser.parseSingleFile('lcov.info')).to.equal(50);
+    });
+
+    it('should prefer the explicit format over detection', function() {
+      fs.existsSync.withArgs('coverage.json').returns(true);
+      fs.readFileSync.withArgs('coverage.json', 'utf8').returns(JSON.stringify({ result: { line: 90 } }));
+
+      expect(CoverageParser.parseSingleFile('coverage.json', 'result.line', { format: 'istanbul' })).to.equal(90);
+    });
+
+    it('should list available key paths when the key path is missing', function() {
+      fs.existsSync.withArgs('lcov.info').returns(true);
+      fs.readFileSync.withArgs('lcov.info', 'utf8').returns('SF:src/a.js\nDA:1,1\nend_of_record\n');
+
+      expect(() => CoverageParser.parseSingleFile('lcov.info', 'total.statements.pct'))
+        .to.throw('Key path not found in coverage file: total.statements.pct (format: lcov). Available key paths: total.lines.pct.');
+    });
+
+    it('should compute coverage from coverage-final.json', function() {
+      fs.existsSync.withArgs('coverage-final.json').returns(true);
+      fs.readFileSync.withArgs('coverage-final.json', 'utf8').returns(JSON.stringify({
+        '/app/a.js': {
+          path: '/app/a.js',
+          statementMap: { 0: { start: { line: 1, column: 0 }, end: { line: 1, column: 9 } } },
+          s: { 0: 0 },
+          fnMap: {}, f: {}, branchMap: {}, b: {}
+        }
+      }));
+
+      expect(CoverageParser.parseSingleFile('coverage-final.json')).to.equal(0);
+    });
+
+    it('should throw for unsupported formats', function() {
+      fs.existsSync.withArgs('coverage.txt').returns(true);
+
+      expect(() => CoverageParser.parseSingleFile('coverage.txt', undefined, { format: 'unknown' }))
+        .to.throw('Unsupported coverage format: unknown');
+    });
+  });
+
+  describe('parseReport', function() {
+    beforeEach(function() {
+      this.sandbox = sinon.createSandbox();
+      this.sandbox.stub(fs, 'readFileSync');
+    });
+
+    afterEach(function() {
+      this.sandbox.restore();
+    });
+
+    it('should normalize Istanbul summaries', function() {
+      fs.readFileSync.withArgs('coverage-summary.json', 'utf8').returns(JSON.stringify({
+        total: { lines: { total: 2, covered: 1, skipped: 0, pct: 50 } },
+        '/app/a.js': { lines: { total: 2, covered: 1, skipped: 0, pct: 50 } }
+      }));
+
+      const report = CoverageParser.parseReport('coverage-summary.json');
+
+      expect(report.format).to.equal('istanbul');
+      expect(report.total.lines.pct).to.equal(50);
+      expect(report.files['/app/a.js'].lines.covered).to.equal(1);
+    });
+  });
+
+  describe('parseMetrics', function() {
+    beforeEach(function() {
+      this.sandbox = sinon.createSandbox();
+      this.sandbox.stub(fs, 'existsSync');
+      this.sandbox.stub(fs, 'readFileSync');
+    });
+
+    afterEach(function() {
+      this.sandbox.restore();
+    });
+
+    it('should return the percentage of every metric', function() {
+      fs.existsSync.withArgs('lcov.info').returns(true);
+      fs.readFileSync.withArgs('lcov.info', 'utf8').returns(
+        'SF:a.js\nFNF:2\nFNH:1\nBRF:4\nBRH:3\nLF:10\nLH:8\nend_of_record\n'
+      );
+
+      expect(CoverageParser.parseMetrics('lcov.info')).to.deep.equal({
+        branches: 75, functions: 50, lines: 80
+      });
+    });
+
+    it('should return a single value for custom key paths', function() {
+      fs.existsSync.withArgs('coverage.json').returns(true);
+      fs.readFileSync.withArgs('coverage.json', 'utf8').returns(JSON.stringify({ summary: { percent: 91 } }));
+
+      expect(CoverageParser.parseMetrics('coverage.json', { keyPath: 'summary.percent' })).to.equal(91);
+    });
+
+    it('should return 0 for missing file', function() {
+      fs.existsSync.withArgs('missing.json').returns(false);
+
+      expect(CoverageParser.parseMetrics('missing.json')).to.equal(0);
+    });
+
+    it('should merge shards matched by a glob before computing totals', function() {
+      this.sandbox.stub(FileMatcher, 'expand').withArgs('shards/*/lcov.info').returns(['shards/1/lcov.info', 'shards/2/lcov.info']);
+      fs.readFileSync.withArgs('shards/1/lcov.info', 'utf8').returns('SF:a.js\nDA:1,1\nDA:2,0\nend_of_record\n');
+      fs.readFileSync.withArgs('shards/2/lcov.info', 'utf8').returns('SF:a.js\nDA:1,0\nDA:2,1\nend_of_record\nSF:b.js\nDA:1,0\nend_of_record\n');
+
+      expect(CoverageParser.parseMetrics('shards/*/lcov.info').lines).to.equal(66.66);
+    });
+
+    it('should merge a list of files', function() {
+      fs.existsSync.withArgs('a.info').returns(true);
+      fs.existsSync.withArgs('b.info').returns(true);
+      fs.readFileSync.withArgs('a.info', 'utf8').returns('SF:a.js\nDA:1,1\nend_of_record\n');
+      fs.readFileSync.withArgs('b.info', 'utf8').returns('SF:b.js\nDA:1,0\nend_of_record\n');
+
+      expect(CoverageParser.parseMetrics(['a.info', 'b.info'], { keyPath: 'total.lines.covered' })).to.equal(1);
+    });
+
+    it('should apply include/exclude filters to custom key paths', function() {
+      fs.existsSync.withArgs('coverage.json').returns(true);
+      fs.readFileSync.withArgs('coverage.json', 'utf8').returns(JSON.stringify({
+        total: { lines: { total: 3, covered: 1, skipped: 0, pct: 33.33 } },
+        'src/a.js': { lines: { total: 1, covered: 1, skipped: 0, pct: 100 } },
+        'src/a.generated.js': { lines: { total: 2, covered: 0, skipped: 0, pct: 0 } }
+      }));
+
+      const { coverage, report } = CoverageParser.parseCoverage('coverage.json', {
+        keyPath: 'total.lines.covered',
+        exclude: ['**/*.generated.js']
+      });
+
+      expect(coverage).to.equal(1);
+      expect(report.total.lines.pct).to.equal(100);
+      expect(report.excludedFiles).to.equal(1);
+    });
+
+    it('should parse with a custom parser module', function() {
+      const parse = this.sandbox.stub().returns({ format: 'llvm', total: { regions: { pct: 64 } }, files: {} });
+      this.sandbox.stub(CustomParser, 'load').returns({ format: 'llvm', defaultMetric: 'regions', parse });
+      fs.existsSync.withArgs('coverage.llvm.json').returns(true);
+      fs.readFileSync.withArgs('coverage.llvm.json', 'utf8').returns('{}');
+
+      const result = CoverageParser.parseMetrics('coverage.llvm.json', { parser: './tools/llvm-parser.js', format: 'lcov' });
+
+      expect(result).to.deep.equal({ regions: 64 });
+      expect(CustomParser.load.calledOnceWith('./tools/llvm-parser.js')).to.be.true;
+      expect(parse.calledWith('{}', { filePath: 'coverage.llvm.json' })).to.be.true;
+    });
+
+    it('should return 0 when a glob matches nothing', function() {
+      this.sandbox.stub(FileMatcher, 'expand').returns([]);
+
+      expect(CoverageParser.parseMetrics('shards/*/lcov.info')).to.equal(0);
+    });
+  });
+
+  describe('filterReport', function() {
+    const CoverageSummary = require('../src/parsers/CoverageSummary');
+    const report = CoverageSummary.buildReport('lcov', {
+      'src/app.js': { lines: CoverageSummary.createMetric(10, 9) },
+      'src/generated/api.js': { lines: CoverageSummary.createMetric(100, 0) },
+      'src/Button.stories.js': { lines: CoverageSummary.createMetric(10, 0) }
+    });
+
+    beforeEach(function() {
+      this.sandbox = sinon.createSandbox();
+      this.sandbox.stub(process, 'cwd').returns('/repo');
+    });
+
+    afterEach(function() {
+      this.sandbox.restore();
+    });
+
+    it('should drop excluded files and recompute the totals', function() {
+      const filtered = CoverageParser.filterReport(report, { exclude: ['src/generated/**', '**/*.stories.js'] });
+
+      expect(Object.keys(filtered.files)).to.deep.equal(['src/app.js']);
+      expect(filtered.total.lines).to.deep.equal({ total: 10, covered: 9, skipped: 0, pct: 90 });
+      expect(filtered.excludedFiles).to.equal(2);
+      expect(report.total.lines.total).to.equal(120);
+    });
+
+    it('should keep only included files', function() {
+      const filtered = CoverageParser.filterReport(report, { include: ['src/generated/**'] });
+
+      expect(Object.keys(filtered.files)).to.deep.equal(['src/generated/api.js']);
+      expect(filtered.excludedFiles).to.equal(2);
+    });
+
+    it('should match absolute paths relative to the working directory', function() {
+      const absolute = CoverageSummary.buildReport('istanbul', {
+        '/repo/src/migrations/001.js': { statements: CoverageSummary.createMetric(5, 0) },
+        '/repo/src/app.js': { statements: CoverageSummary.createMetric(5, 5) }
+      });
+
+      const filtered = CoverageParser.filterReport(absolute, { exclude: ['src/migrations/**'] });
+
+      expect(filtered.total.statements.pct).to.equal(100);
+      expect(filtered.excludedFiles).to.equal(1);
+    });
+
+    it('should resolve Cobertura file names against the report sources', function() {
+      const cobertura = {
+        ...CoverageSummary.buildReport('cobertura', {
+          'app/models.py': { lines: CoverageSummary.createMetric(5, 5) },
+          'app/migrations/0001_initial.py': { lines: CoverageSummary.createMetric(5, 0) }
+        }),
+        sources: ['/repo/backend']
+      };
+
+      const filtered = CoverageParser.filterReport(cobertura, { exclude: ['backend/**/migrations/**'] });
+
+      expect(filtered.excludedFiles).to.equal(1);
+    });
+
+    it('should return the report unchanged without filters', function() {
+      expect(CoverageParser.filterReport(report, { include: [], exclude: [] })).to.equal(report);
+    });
+
+    it('should keep the totals when nothing is excluded', function() {
+      const filtered = CoverageParser.filterReport(report, { exclude: ['lib/**'] });
+
+      expect(filtered.total).to.equal(report.total);
+      expect(filtered.excludedFiles).to.equal(0);
+    });
+  });
+
+  describe('combineReports', function() {
+    const CoverageSummary = require('../src/parsers/CoverageSummary');
+
+    it('should weight each report by its covered/total counts', function() {
+      const report = CoverageParser.combineReports({
+        backend: { total: { lines: CoverageSummary.createMetric(900, 810), branches: CoverageSummary.createMetric(10, 5) } },
+        frontend: { total: { lines: CoverageSummary.createMetric(100, 50) } }
+      });
+
+      // (810 + 50) / (900 + 100), where averaging the percentages would give 70%
+      expect(report.total).to.deep.equal({ lines: { total: 1000, covered: 860, skipped: 0, pct: 86 } });
+      expect(report.format).to.equal('composite');
+      expect(report.components).to.deep.equal(['backend', 'frontend']);
+    });
+
+    it('should fail when no metric is counted by every report', function() {
+      expect(() => CoverageParser.combineReports({
+        ruby: { total: { lines: { pct: 90 } } },
+        web: { total: { lines: CoverageSummary.createMetric(10, 5) } }
+      })).to.throw('Cannot combine coverage types ruby, web: they have no counted metric in common');
+    });
+  });
+
+  describe('getGateMetric', function() {
+    it('should read the metric from a total key path', function() {
+      expect(CoverageParser.getGateMetric({ keyPath: 'total.branches.pct' })).to.equal('branches');
+      expect(CoverageParser.getGateMetric({ keyPath: 'summary.percent' })).to.be.undefined;
+    });
+
+    it('should map the JaCoCo counter', function() {
+      expect(CoverageParser.getGateMetric({ counter: 'LINE' })).to.equal('lines');
+    });
+
+    it('should leave the metric to the format default otherwise', function() {
+      expect(CoverageParser.getGateMetric({})).to.be.undefined;
+    });
+  });
+
+  describe('getDefaultKeyPath', function() {
+    it('should default to statements for Istanbul summaries', function() {
+      expect(CoverageParser.getDefaultKeyPath()).to.equal('total.statements.pct');
+      expect(CoverageParser.getDefaultKeyPath('istanbul')).to.equal('total.statements.pct');
+    });
+
+    it('should default to lines for LCOV', function() {
+      expect(CoverageParser.getDefaultKeyPath('lcov')).to.equal('total.lines.pct');
+    });
+
+    it('should use the configured counter when given', function() {
+      expect(CoverageParser.getDefaultKeyPath('jacoco')).to.equal('total.instructions.pct');
+      expect(CoverageParser.getDefaultKeyPath('jacoco', 'LINE')).to.equal('total.lines.pct');
+    });
   });
 });
@@ -310,4 +310,300 @@ describe('CoverageReporter', function() {
       expect(result).to.include('⚠️ Frontend coverage is below the required threshold');
     });
   });
+
+  describe('generatePatchStatusCheck', function() {
+    const reporter = new CoverageReporter({ patchThresholds: { backend: 80 } });
+
+    it('should gate the changed lines on the patch threshold', function() {
+      expect(reporter.generatePatchStatusCheck({ total: 15, covered: 11, pct: 73.33 }, 'backend')).to.deep.equal({
+        pass: false,
+        description: '73.33% of 15 changed lines covered (min 80%)',
+        context: 'code-coverage-backend-patch'
+      });
+      expect(reporter.generatePatchStatusCheck({ total: 5, covered: 4, pct: 80 }, 'backend').pass).to.be.true;
+    });
+
+    it('should pass when no coverable line changed', function() {
+      expect(reporter.generatePatchStatusCheck({ total: 0, covered: 0, pct: 100 }, 'backend')).to.deep.equal({
+        pass: true,
+        description: 'no coverable lines changed',
+        context: 'code-coverage-backend-patch'
+      });
+    });
+
+    it('should show patch coverage below the table', function() {
+      const comment = reporter.generateCoverageComment({ backend: 90 }, { backend: 91 }, ['backend'], {
+        backend: { patch: { total: 15, covered: 11, pct: 73.33 } }
+      });
+
+      expect(comment).to.include('🩹 Backend patch coverage: 73.33% (11 of 15 changed lines covered) ❌');
+    });
+  });
+
+  describe('generateCheckRun', function() {
+    const reporter = new CoverageReporter({ customThresholds: { backend: 80 }, maxDiff: 1, patchThresholds: { backend: 90 } });
+    const patch = { total: 6, covered: 3, pct: 50, files: { 'src/app.js': { total: 6, covered: 3, uncovered: [7, 4, 5] } } };
+
+    it('should combine the threshold, delta and patch checks into one conclusion', function() {
+      const checkRun = reporter.generateCheckRun(85, 84, 'backend', { patch, table: '## Code Coverage Report' });
+
+      expect(checkRun.name).to.equal('code-coverage-backend');
+      expect(checkRun.conclusion).to.equal('failure');
+      expect(checkRun.title).to.equal('50% of 6 changed lines covered (min 90%)');
+      expect(checkRun.summary).to.equal([
+        '- ✅ `code-coverage-backend`: threshold: 80% - current: 85%',
+        '- ✅ `code-coverage-backend-delta`: went up from 84% to 85%',
+        '- ❌ `code-coverage-backend-patch`: 50% of 6 changed lines covered (min 90%)',
+        '',
+        '## Code Coverage Report'
+      ].join('\n'));
+    });
+
+    it('should succeed when every check passes', function() {
+      const checkRun = reporter.generateCheckRun(85, 0, 'backend');
+
+      expect(checkRun.conclusion).to.equal('success');
+      expect(checkRun.title).to.equal('threshold: 80% - current: 85%');
+      expect(checkRun.annotations).to.deep.equal([]);
+    });
+
+    it('should annotate each run of uncovered changed lines', function() {
+      expect(CoverageReporter.generateAnnotations(patch)).to.deep.equal([
+        {
+          path: 'src/app.js',
+          start_line: 4,
+          end_line: 5,
+          annotation_level: 'warning',
+          title: 'Uncovered change',
+          message: 'Changed lines 4-5 are not covered by tests.'
+        },
+        {
+          path: 'src/app.js',
+          start_line: 7,
+          end_line: 7,
+          annotation_level: 'warning',
+          title: 'Uncovered change',
+          message: 'Changed line 7 is not covered by tests.'
+        }
+      ]);
+    });
+  });
+
+  describe('evaluateGates', function() {
+    const reporter = new CoverageReporter({ customThresholds: { backend: 80 }, maxDiff: 1, patchThresholds: { backend: 90 } });
+
+    it('should give a verdict for every evaluated check', function() {
+      const gates = reporter.evaluateGates(79, 82, 'backend', { total: 4, covered: 4, pct: 100 });
+
+      expect(gates).to.deep.equal({
+        pass: false,
+        checks: {
+          threshold: { pass: false, description: 'threshold: 80% - current: 79%' },
+          delta: { pass: false, description: 'decreased from 82% to 79%' },
+          patch: { pass: true, description: '100% of 4 changed lines covered (min 90%)' }
+        }
+      });
+    });
+
+    it('should leave out checks without a baseline or patch coverage', function() {
+      const gates = reporter.evaluateGates(85, 0, 'backend');
+
+      expect(gates).to.deep.equal({
+        pass: true,
+        checks: {
+          threshold: { pass: true, description: 'threshold: 80% - current: 85%' },
+          delta: null,
+          patch: null
+        }
+      });
+    });
+  });
+
+  describe('parseFailOn', function() {
+    it('should list the checks to fail on', function() {
+      expect(CoverageReporter.parseFailOn('patch, threshold')).to.deep.equal(['threshold', 'patch']);
+      expect(CoverageReporter.parseFailOn(['delta'])).to.deep.equal(['delta']);
+      expect(CoverageReporter.parseFailOn('any')).to.deep.equal(['threshold', 'delta', 'patch']);
+      expect(CoverageReporter.parseFailOn('none')).to.deep.equal([]);
+      expect(CoverageReporter.parseFailOn(undefined)).to.deep.equal([]);
+    });
+
+    it('should reject unknown checks', function() {
+      expect(() => CoverageReporter.parseFailOn('threshold,coverage'))
+        .to.throw('Invalid fail-on value "coverage": expected threshold, delta, patch, any or none');
+    });
+  });
+
+  describe('getGateFailures', function() {
+    const gates = {
+      backend: {
+        pass: false,
+        checks: {
+          threshold: { pass: true, description: 'threshold: 80% - current: 85%' },
+          delta: { pass: false, description: 'decreased from 88% to 85%' },
+          patch: null
+        }
+      },
+      frontend: {
+        pass: false,
+        checks: { threshold: { pass: false, description: 'threshold: 90% - current: 70%' }, delta: null, patch: null }
+      }
+    };
+
+    it('should list the failed checks the policy covers', function() {
+      expect(CoverageReporter.getGateFailures(gates, 'any')).to.deep.equal([
+        { coverageType: 'backend', check: 'delta', description: 'decreased from 88% to 85%' },
+        { coverageType: 'frontend', check: 'threshold', description: 'threshold: 90% - current: 70%' }
+      ]);
+      expect(CoverageReporter.getGateFailures(gates, 'threshold,patch')).to.have.lengthOf(1);
+      expect(CoverageReporter.getGateFailures(gates, 'none')).to.deep.equal([]);
+    });
+  });
+
+  describe('generateChangedFilesSection', function() {
+    const reporter = new CoverageReporter({ coverageTypes: ['backend', 'frontend'] });
+
+    it('should list the changed files in a collapsible table', function() {
+      const comment = reporter.generateCoverageComment({ backend: 90 }, { backend: 88 }, ['backend'], {
+        backend: {
+          files: [
+            { file: 'src/app.js', previous: 90, current: 75.5, change: -14.5 },
+            { file: 'src/util.js', previous: 80, current: 80, change: 0 },
+            { file: 'src/new.js', previous: null, current: 60, change: null }
+          ]
+        }
+      });
+
+      expect(comment).to.include('<details>\n<summary>Changed files (3)</summary>');
+      expect(comment).to.include([
+        '| File | Previous | Current | Change |',
+        '|------|----------|---------|--------|',
+        '| `src/app.js` | 90% | 75.5% | 📉 -14.50% |',
+        '| `src/util.js` | 80% | 80% | 🔄 No change |',
+        '| `src/new.js` | — | 60% | 🆕 New |'
+      ].join('\n'));
+      expect(comment).to.match(/<\/details>$/);
+    });
+
+    it('should merge the files of several coverage types, sorted by drop', function() {
+      const section = reporter.generateChangedFilesSection({
+        backend: { files: [{ file: 'api/app.js', previous: 90, current: 88, change: -2 }] },
+        frontend: { files: [{ file: 'web/app.js', previous: 90, current: 80, change: -10 }] }
+      }, ['backend', 'frontend']);
+
+      expect(section).to.include('| File | Coverage Type | Previous | Current | Change |');
+      expect(section.indexOf('web/app.js')).to.be.below(section.indexOf('api/app.js'));
+      expect(section).to.include('| `web/app.js` | Frontend | 90% | 80% | 📉 -10.00% |');
+    });
+
+    it('should be empty when no changed file has coverage', function() {
+      expect(reporter.generateChangedFilesSection({ backend: { files: [] } }, ['backend'])).to.equal('');
+      expect(reporter.generateChangedFilesSection({}, ['backend'])).to.equal('');
+    });
+  });
+
+  describe('metrics objects', function() {
+    const current = { statements: 85, branches: 72.5, functions: 90, lines: 86 };
+    const previous = { statements: 84, branches: 75, functions: 90, lines: 86 };
+
+    it('should show every metric with its change in the comment', function() {
+      const reporter = new CoverageReporter({ customThresholds: { backend: 80 }, coverageTypes: ['backend'] });
+
+      const result = reporter.generateCoverageComment({ backend: previous }, { backend: current });
+
+      expect(result).to.include('| Coverage Type | Statements | Branches | Functions | Lines | Threshold | Status |');
+      expect(result).to.include('| Backend | 85% (📈 +1.00%) | 72.5% (📉 -2.50%) | 90% (🔄 No change) | 86% (🔄 No change) | statements 80% | ✅ |');
+      // Only gated metrics are checked for drops
+      expect(result).to.not.include('⚠️');
+    });
+
+    it('should gate each metric listed in an object threshold', function() {
+      const reporter = new CoverageReporter({
+        customThresholds: { backend: { statements: 80, branches: 75 } },
+        coverageTypes: ['backend']
+      });
+
+      const result = reporter.generateCoverageComment({ backend: 0 }, { backend: current });
+      const status = reporter.generateStatusChecks(current, 'backend');
+
+      expect(result).to.include('| statements 80%, branches 75% | ❌ |');
+      expect(result).to.include('⚠️ Backend branches coverage (72.5%) is below the required threshold of 75%.');
+      expect(status).to.deep.equal({
+        pass: false,
+        description: 'statements: 85% (min 80%), branches: 72.5% (min 75%)',
+        context: 'code-coverage-backend'
+      });
+    });
+
+    it('should gate the metric named by the coverage type', function() {
+      const reporter = new CoverageReporter({ customThresholds: { backend: 86 }, metrics: { backend: 'lines' } });
+
+      expect(reporter.generateStatusChecks(current, 'backend')).to.deep.equal({
+        pass: true,
+        description: 'lines: 86% (min 86%)',
+        context: 'code-coverage-backend'
+      });
+    });
+
+    it('should apply a per-metric max coverage diff', function() {
+      const reporter = new CoverageReporter({
+        customThresholds: { backend: { statements: 80, branches: 70 } },
+        maxDiff: { branches: 3 }
+      });
+
+      const result = reporter.generateDiffStatusCheck(previous, current, 'backend');
+
+      expect(result).to.deep.equal({
+        pass: true,
+        description: 'statements went up from 84% to 85%; branches decreased from 75% to 72.5%',
+        context: 'code-coverage-backend-delta'
+      });
+    });
+
+    it('should compare against a legacy numeric baseline as the primary metric', function() {
+      const reporter = new CoverageReporter({ customThresholds: { backend: 80 }, maxDiff: 0.5 });
+
+      const result = reporter.generateDiffStatusCheck(86, current, 'backend');
+
+      expect(result.pass).to.be.false;
+      expect(result.description).to.equal('statements decreased from 86% to 85%');
+    });
+
+    it('should not show changes in the comment when there is no baseline', function() {
+      const reporter = new CoverageReporter({ customThresholds: { api: 80, overall: 50 }, metrics: { api: 'lines' } });
+
+      const result = reporter.generateCoverageComment({ api: 0 }, { api: current, overall: { statements: 58.33 } }, ['api', 'overall']);
+
+      expect(result).to.include('| Api | 85% | 72.5% | 90% | 86% | lines 80% | ✅ |');
+      expect(result).to.include('| Overall | 58.33% | — | — | — | statements 50% | ✅ |');
+      expect(result).to.not.include('📈');
+    });
+
+    it('should return null for the diff status when there is no baseline', function() {
+      const reporter = new CoverageReporter({ customThresholds: { backend: 80 } });
+
+      expect(reporter.generateDiffStatusCheck(0, current, 'backend')).to.be.null;
+    });
+
+    it('should note how many files the path filters excluded', function() {
+      const reporter = new CoverageReporter({ customThresholds: { backend: 80, frontend: 80 } });
+
+      const result = reporter.generateCoverageComment(
+        {},
+        { backend: current, frontend: current },
+        ['backend', 'frontend'],
+        { backend: { excludedFiles: 12 }, frontend: { excludedFiles: 0 } }
+      );
+
+      expect(result).to.include('ℹ️ Backend: 12 files excluded by path filters.');
+      expect(result).to.not.include('Frontend: 0 files');
+    });
+
+    it('should truncate long status descriptions', function() {
+      const description = CoverageReporter.truncateDescription('x'.repeat(200));
+
+      expect(description).to.have.lengthOf(140);
+      expect(description.endsWith('…')).to.be.true;
+    });
+  });
 });
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const DryRun = require('../src/DryRun');
+
+describe('DryRun', function() {
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('from', function() {
+    it('should share a recorder, create one for true and none otherwise', function() {
+      const recorder = new DryRun();
+
+      expect(DryRun.from(recorder)).to.equal(recorder);
+      expect(DryRun.from(true)).to.be.an.instanceOf(DryRun);
+      expect(DryRun.from(false)).to.be.null;
+      expect(DryRun.from(undefined)).to.be.null;
+    });
+  });
+
+  describe('record', function() {
+    it('should log the writes', function() {
+      const log = sinon.stub(console, 'log');
+      const dryRun = new DryRun();
+
+      dryRun.record({ type: 'github', method: 'post', url: 'https://api.github.com/repos/o/r/statuses/abc', payload: { state: 'success' } });
+      dryRun.record({ type: 'github', method: 'delete', url: 'https://api.github.com/repos/o/r/issues/comments/1', payload: null });
+      dryRun.record({ type: 's3', bucket: 'bucket', key: 'folder/coverage.json', body: '{"main":{}}' });
+      dryRun.record({ type: 'comment', target: 'PR #12', markdown: '## Code Coverage Report' });
+
+      expect(log.args.map(args => args[0])).to.deep.equal([
+        '[dry run] POST https://api.github.com/repos/o/r/statuses/abc\n{\n  "state": "success"\n}',
+        '[dry run] DELETE https://api.github.com/repos/o/r/issues/comments/1',
+        '[dry run] S3 upload to s3://bucket/folder/coverage.json\n{"main":{}}',
+        '[dry run] Comment on PR #12:\n## Code Coverage Report'
+      ]);
+      expect(dryRun.writes).to.have.lengthOf(4);
+    });
+
+    it('should write the writes to a JSON file instead when given one', function() {
+      const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+      const outputPath = path.join(outputDir, 'writes.json');
+      const log = sinon.stub(console, 'log');
+
+      try {
+        const dryRun = new DryRun(outputPath);
+        dryRun.record({ type: 's3', bucket: 'bucket', key: 'coverage.json', body: '{}' });
+        dryRun.record({ type: 'comment', target: 'commit abc', markdown: 'table' });
+
+        expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))).to.deep.equal([
+          { type: 's3', bucket: 'bucket', key: 'coverage.json', body: '{}' },
+          { type: 'comment', target: 'commit abc', markdown: 'table' }
+        ]);
+        expect(log.called).to.be.false;
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
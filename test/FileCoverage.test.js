@@ -0,0 +1,60 @@
+const path = require('path');
+const { expect } = require('chai');
+const FileCoverage = require('../src/FileCoverage');
+
+describe('FileCoverage', function() {
+  describe('fromReport', function() {
+    it('should record the metric of every file relative to the working directory', function() {
+      const cwd = path.resolve('/ci/work');
+      const report = {
+        format: 'istanbul-final',
+        total: {},
+        files: {
+          [path.join(cwd, 'src/app.js')]: {
+            statements: { total: 10, covered: 8, skipped: 0, pct: 80 },
+            lines: { total: 8, covered: 7, skipped: 0, pct: 87.5 }
+          },
+          'lib/util.js': { lines: { total: 4, covered: 1, skipped: 0, pct: 25 } }
+        }
+      };
+
+      expect(FileCoverage.fromReport(report, 'statements', cwd)).to.deep.equal({
+        'src/app.js': 80,
+        'lib/util.js': 25
+      });
+    });
+
+    it('should return an empty map for reports without files', function() {
+      expect(FileCoverage.fromReport({ total: {} }, 'lines')).to.deep.equal({});
+      expect(FileCoverage.fromReport(null, 'lines')).to.deep.equal({});
+    });
+  });
+
+  describe('compare', function() {
+    it('should list the changed files with coverage, largest drop first', function() {
+      const current = { 'src/a.js': 70, 'src/b.js': 95, 'src/c.js': 50, 'src/new.js': 60 };
+      const previous = { 'src/a.js': 90, 'src/b.js': 90, 'src/c.js': 55 };
+
+      const rows = FileCoverage.compare(current, previous, ['src/b.js', 'src/new.js', 'src/a.js', 'src/c.js', 'README.md']);
+
+      expect(rows).to.deep.equal([
+        { file: 'src/a.js', previous: 90, current: 70, change: -20 },
+        { file: 'src/c.js', previous: 55, current: 50, change: -5 },
+        { file: 'src/b.js', previous: 90, current: 95, change: 5 },
+        { file: 'src/new.js', previous: null, current: 60, change: null }
+      ]);
+    });
+
+    it('should match report paths relative to a sub-directory', function() {
+      const rows = FileCoverage.compare({ 'src/app.js': 80 }, { 'src/app.js': 85.5 }, ['web/src/app.js'], { cwd: '/repo/web', root: '/repo' });
+
+      expect(rows).to.deep.equal([{ file: 'web/src/app.js', previous: 85.5, current: 80, change: -5.5 }]);
+    });
+
+    it('should not compare a changed file with another file of the same name', function() {
+      const rows = FileCoverage.compare({ 'src/utils/index.js': 80 }, { 'src/utils/index.js': 90 }, ['index.js'], { cwd: '/repo' });
+
+      expect(rows).to.deep.equal([]);
+    });
+  });
+});
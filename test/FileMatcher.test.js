@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const FileMatcher = require('../src/FileMatcher');
+
+describe('FileMatcher', function() {
+  describe('isGlob', function() {
+    it('should detect glob syntax', function() {
+      expect(FileMatcher.isGlob('coverage/shard-*.json')).to.be.true;
+      expect(FileMatcher.isGlob('coverage/{unit,e2e}/lcov.info')).to.be.true;
+      expect(FileMatcher.isGlob('coverage/lcov.info')).to.be.false;
+      expect(FileMatcher.isGlob(['a.json'])).to.be.false;
+    });
+  });
+
+  describe('matches', function() {
+    it('should match single segment wildcards', function() {
+      expect(FileMatcher.matches('coverage/shard-1.json', 'coverage/shard-*.json')).to.be.true;
+      expect(FileMatcher.matches('coverage/nested/shard-1.json', 'coverage/shard-*.json')).to.be.false;
+      expect(FileMatcher.matches('coverage/shard-1.json', 'coverage/shard-?.json')).to.be.true;
+    });
+
+    it('should match any number of directories with **', function() {
+      expect(FileMatcher.matches('src/a.js', 'src/**/*.js')).to.be.true;
+      expect(FileMatcher.matches('src/generated/deep/a.js', 'src/**/*.js')).to.be.true;
+      expect(FileMatcher.matches('lib/a.js', 'src/**/*.js')).to.be.false;
+    });
+
+    it('should match alternatives and escape regex characters', function() {
+      expect(FileMatcher.matches('coverage/e2e/lcov.info', 'coverage/{unit,e2e}/lcov.info')).to.be.true;
+      expect(FileMatcher.matches('coverage/e2e/lcovXinfo', 'coverage/{unit,e2e}/lcov.info')).to.be.false;
+    });
+
+    it('should accept a list of patterns and ignore a leading ./', function() {
+      expect(FileMatcher.matches('./src/a.stories.js', ['**/*.test.js', '**/*.stories.js'])).to.be.true;
+      expect(FileMatcher.matches('src/a.js', [])).to.be.false;
+    });
+  });
+
+  describe('capture', function() {
+    it('should return the part of the path matched by the wildcards', function() {
+      expect(FileMatcher.capture('packages/*/coverage/lcov.info', 'packages/ui/coverage/lcov.info')).to.equal('ui');
+      expect(FileMatcher.capture('./packages/**/coverage/lcov.info', 'packages/apps/web/coverage/lcov.info')).to.equal('apps/web');
+      expect(FileMatcher.capture('coverage/lcov.info', 'coverage/lcov.info')).to.equal('');
+    });
+  });
+
+  describe('findPath', function() {
+    it('should match paths that resolve to the file from the working directory', function() {
+      const paths = ['/ci/work/src/app.js', 'app.js', './src/util.js'];
+
+      expect(FileMatcher.findPath(paths, 'src/util.js', { cwd: '/ci/work' })).to.equal('./src/util.js');
+      expect(FileMatcher.findPath(paths, 'src/app.js', { cwd: '/ci/work' })).to.equal('/ci/work/src/app.js');
+      expect(FileMatcher.findPath(paths, 'src/app.js', { cwd: '/elsewhere' })).to.be.undefined;
+      expect(FileMatcher.findPath(paths, 'lib/other.js', { cwd: '/ci/work' })).to.be.undefined;
+    });
+
+    it('should not match a different file with the same name', function() {
+      const paths = ['src/utils/index.js', '/ci/work/lib/index.js'];
+
+      expect(FileMatcher.findPath(paths, 'index.js', { cwd: '/ci/work' })).to.be.undefined;
+      expect(FileMatcher.findPath(paths, 'utils/index.js', { cwd: '/ci/work' })).to.be.undefined;
+      expect(FileMatcher.findPath(paths, 'src/utils/index.js', { cwd: '/ci/work' })).to.equal('src/utils/index.js');
+    });
+
+    it('should resolve relative paths from a sub-directory and the source directories', function() {
+      expect(FileMatcher.findPath(['src/app.js'], 'web/src/app.js', { cwd: '/ci/work/web', root: '/ci/work' })).to.equal('src/app.js');
+      expect(FileMatcher.findPath(['app.js'], 'src/app.js', { cwd: '/ci/work', sources: ['/ci/work/src'] })).to.equal('app.js');
+      expect(FileMatcher.findPath(['app.js'], 'src/app.js', { cwd: '/ci/work', sources: ['src'] })).to.equal('app.js');
+    });
+  });
+
+  describe('expand', function() {
+    let root;
+
+    beforeEach(function() {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-matcher-'));
+      ['shards/1/lcov.info', 'shards/2/lcov.info', 'shards/2/other.txt', 'node_modules/pkg/shards/lcov.info']
+        .forEach(file => {
+          fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+          fs.writeFileSync(path.join(root, file), '');
+        });
+    });
+
+    afterEach(function() {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should list matching files relative to the working directory', function() {
+      expect(FileMatcher.expand('./shards/*/lcov.info', root)).to.deep.equal(['shards/1/lcov.info', 'shards/2/lcov.info']);
+    });
+
+    it('should skip node_modules unless the pattern names it', function() {
+      expect(FileMatcher.expand('**/lcov.info', root)).to.deep.equal(['shards/1/lcov.info', 'shards/2/lcov.info']);
+      expect(FileMatcher.expand('node_modules/**/lcov.info', root)).to.deep.equal(['node_modules/pkg/shards/lcov.info']);
+    });
+
+    it('should return plain paths only when they exist', function() {
+      expect(FileMatcher.expand('shards/1/lcov.info', root)).to.deep.equal(['shards/1/lcov.info']);
+      expect(FileMatcher.expand('shards/3/lcov.info', root)).to.deep.equal([]);
+    });
+
+    it('should keep absolute patterns absolute', function() {
+      expect(FileMatcher.expand(`${root}/shards/*/lcov.info`)).to.deep.equal([
+        `${root}/shards/1/lcov.info`,
+        `${root}/shards/2/lcov.info`
+      ]);
+    });
+  });
+});
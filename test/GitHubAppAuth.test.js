@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GitHubAppAuth = require('../src/GitHubAppAuth');
+
+describe('GitHubAppAuth', function() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  let sandbox;
+  let keyDir;
+  let auth;
+
+  const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-app-'));
+    fs.writeFileSync(path.join(keyDir, 'app.pem'), privateKey);
+    auth = new GitHubAppAuth({ appId: 12345, installationId: 678, privateKeyPath: path.join(keyDir, 'app.pem') });
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  describe('isConfigured', function() {
+    it('should require the app id, installation id and a private key', function() {
+      expect(GitHubAppAuth.isConfigured({ appId: 1, installationId: 2, privateKeyPath: './app.pem' })).to.be.true;
+      expect(GitHubAppAuth.isConfigured({ appId: 1, installationId: 2, privateKey: privateKey })).to.be.true;
+      expect(GitHubAppAuth.isConfigured({ appId: 1, privateKeyPath: './app.pem' })).to.be.false;
+      expect(GitHubAppAuth.isConfigured()).to.be.false;
+    });
+  });
+
+  describe('createJwt', function() {
+    it('should sign a short-lived RS256 JWT issued by the app', function() {
+      const now = Date.UTC(2024, 0, 1);
+      const [header, payload, signature] = auth.createJwt(now).split('.');
+
+      expect(decode(header)).to.deep.equal({ alg: 'RS256', typ: 'JWT' });
+      expect(decode(payload)).to.deep.equal({ iat: now / 1000 - 60, exp: now / 1000 + 540, iss: '12345' });
+      const verified = crypto.createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, Buffer.from(signature, 'base64url'));
+      expect(verified).to.be.true;
+    });
+
+    it('should explain a missing private key file', function() {
+      auth = new GitHubAppAuth({ appId: 1, installationId: 2, privateKeyPath: path.join(keyDir, 'missing.pem') });
+
+      expect(() => auth.createJwt()).to.throw(`Could not read the GitHub App private key at ${path.join(keyDir, 'missing.pem')}`);
+    });
+  });
+
+  describe('getToken', function() {
+    let clock;
+
+    beforeEach(function() {
+      clock = sandbox.useFakeTimers(Date.UTC(2024, 0, 1, 12));
+      sandbox.stub(axios, 'post');
+    });
+
+    it('should exchange the JWT for an installation token', async function() {
+      axios.post.resolves({ data: { token: 'ghs_first', expires_at: '2024-01-01T13:00:00Z' } });
+
+      const token = await auth.getToken();
+
+      expect(token).to.equal('ghs_first');
+      expect(axios.post.firstCall.args[0]).to.equal('https://api.github.com/app/installations/678/access_tokens');
+      expect(axios.post.firstCall.args[2].headers.Authorization).to.match(/^Bearer [\w-]+\.[\w-]+\.[\w-]+$/);
+    });
+
+    it('should reuse the cached token and refresh it before it expires', async function() {
+      axios.post.onFirstCall().resolves({ data: { token: 'ghs_first', expires_at: '2024-01-01T13:00:00Z' } });
+      axios.post.onSecondCall().resolves({ data: { token: 'ghs_second', expires_at: '2024-01-01T14:00:00Z' } });
+
+      expect(await auth.getToken()).to.equal('ghs_first');
+      clock.tick(50 * 60 * 1000);
+      expect(await auth.getToken()).to.equal('ghs_first');
+      clock.tick(6 * 60 * 1000);
+      expect(await auth.getToken()).to.equal('ghs_second');
+      expect(axios.post.calledTwice).to.be.true;
+    });
+
+    it('should share one request between concurrent callers', async function() {
+      axios.post.resolves({ data: { token: 'ghs_first', expires_at: '2024-01-01T13:00:00Z' } });
+
+      const tokens = await Promise.all([auth.getToken(), auth.getToken()]);
+
+      expect(tokens).to.deep.equal(['ghs_first', 'ghs_first']);
+      expect(axios.post.calledOnce).to.be.true;
+    });
+
+    it('should report failed exchanges with the HTTP status', async function() {
+      const error = new Error('Request failed with status code 401');
+      error.response = { status: 401 };
+      axios.post.rejects(error);
+
+      try {
+        await auth.getToken();
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err.message).to.equal('Could not get a GitHub App installation token for installation 678 (HTTP 401): Request failed with status code 401');
+      }
+    });
+  });
+});
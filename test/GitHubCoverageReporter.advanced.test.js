@@ -6,6 +6,9 @@ const ConfigManager = require('../src/ConfigManager');
 const GitHubHelper = require('../src/GitHubHelper');
 const CoverageReporter = require('../src/CoverageReporter');
 const CoverageParser = require('../src/CoverageParser');
+const FileMatcher = require('../src/FileMatcher');
+const PatchCoverage = require('../src/PatchCoverage');
+const DryRun = require('../src/DryRun');
 
 describe('GitHubCoverageReporter - Advanced Features', () => {
   let sandbox;
@@ -101,6 +104,36 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       
       expect(reporter.options.coverageTypes).to.deep.equal(['backend', 'frontend']);
     });
+
+    it('should report every per-package coverage type with its threshold', () => {
+      sandbox.stub(FileMatcher, 'expand').returns([
+        'packages/core/coverage/coverage-summary.json',
+        'packages/ui/coverage/coverage-summary.json'
+      ]);
+      const mockConfig = ConfigManager.expandCoverageTypes({
+        coverage: {
+          types: [{
+            name: 'pkg',
+            filePath: 'packages/*/coverage/coverage-summary.json',
+            perPackage: true,
+            threshold: 80,
+            overrides: { ui: { threshold: 60 } }
+          }]
+        }
+      });
+      sandbox.stub(ConfigManager, 'loadConfig').returns(mockConfig);
+
+      const reporter = new GitHubCoverageReporter();
+      const comment = reporter.coverageReporter.generateCoverageComment(
+        {},
+        { 'pkg-core': 85, 'pkg-ui': 65 },
+        reporter.options.coverageTypes
+      );
+
+      expect(reporter.options.coverageTypes).to.deep.equal(['pkg-core', 'pkg-ui']);
+      expect(comment).to.include('| Pkg-core | 85% | 0% | 📈 +85.00% | 80% | ✅ |');
+      expect(comment).to.include('| Pkg-ui | 65% | 0% | 📈 +65.00% | 60% | ✅ |');
+    });
   });
 
   describe('run method - multi-type coverage', () => {
@@ -113,7 +146,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       mockGitHubHelper = {
         fetchPR: sandbox.stub(),
         setGitStatus: sandbox.stub(),
-        addPRComment: sandbox.stub(),
+        upsertPRComment: sandbox.stub(),
         getBaseBranch: sandbox.stub().returns('main')
       };
       
@@ -125,7 +158,8 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       mockCoverageReporter = {
         generateStatusChecks: sandbox.stub(),
         generateDiffStatusCheck: sandbox.stub(),
-        generateCoverageComment: sandbox.stub()
+        generateCoverageComment: sandbox.stub(),
+        evaluateGates: sandbox.stub().returns({ pass: true, checks: {} })
       };
       
       sandbox.stub(ConfigManager, 'loadConfig').throws(new Error('Config not found'));
@@ -168,7 +202,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       
       // setGitStatus called 4 times: 2 types × 2 calls each (threshold + diff)
       expect(mockGitHubHelper.setGitStatus.callCount).to.equal(4);
-      expect(mockGitHubHelper.addPRComment.calledOnce).to.be.true;
+      expect(mockGitHubHelper.upsertPRComment.calledOnce).to.be.true;
       expect(reporter.updateS3Coverage.calledTwice).to.be.true;
     });
 
@@ -196,7 +230,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
         addComment: false
       });
       
-      expect(mockGitHubHelper.addPRComment.called).to.be.false;
+      expect(mockGitHubHelper.upsertPRComment.called).to.be.false;
     });
   });
 
@@ -210,7 +244,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       mockGitHubHelper = {
         fetchPR: sandbox.stub(),
         setGitStatus: sandbox.stub(),
-        addPRComment: sandbox.stub(),
+        upsertPRComment: sandbox.stub(),
         getBaseBranch: sandbox.stub().returns('main')
       };
       
@@ -222,7 +256,8 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       mockCoverageReporter = {
         generateStatusChecks: sandbox.stub(),
         generateDiffStatusCheck: sandbox.stub(),
-        generateCoverageComment: sandbox.stub()
+        generateCoverageComment: sandbox.stub(),
+        evaluateGates: sandbox.stub().returns({ pass: true, checks: {} })
       };
       
       sandbox.stub(ConfigManager, 'loadConfig').throws(new Error('Config not found'));
@@ -308,7 +343,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       sandbox.stub(ConfigManager, 'getS3Config').returns({});
       sandbox.stub(ConfigManager, 'getGitHubConfig').returns({});
       sandbox.stub(ConfigManager, 'getCoveragePath').returns('./custom/backend.json');
-      sandbox.stub(CoverageParser, 'parseSingleFile').returns(88.0);
+      sandbox.stub(CoverageParser, 'parseCoverage').returns({ coverage: 88.0, report: null });
       
       reporter = new GitHubCoverageReporter();
     });
@@ -317,7 +352,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       const result = reporter.parseCoverageFromFile({ coverageType: 'backend' });
       
       expect(ConfigManager.getCoveragePath.calledWith('backend', reporter.config)).to.be.true;
-      expect(CoverageParser.parseSingleFile.calledWith('./custom/backend.json')).to.be.true;
+      expect(CoverageParser.parseCoverage.calledWith('./custom/backend.json')).to.be.true;
       expect(result).to.equal(88.0);  
       expect(console.log.getCalls()[0].args[0]).to.include('Parsing backend coverage from file path: ./custom/backend.json');
     });
@@ -332,6 +367,390 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       expect(console.log.calledWith('Parsing backend coverage from (env path): ./env/backend.json')).to.be.true;
       expect(result).to.equal(88.0);
     });
+
+    it('should report parse errors of the configured file instead of falling back', () => {
+      CoverageParser.parseCoverage.throws(new Error('Unexpected token < in JSON at position 0'));
+      sandbox.stub(reporter, 'getDefaultFilePath').returns('./env/backend.json');
+
+      expect(() => reporter.parseCoverageFromFile({ coverageType: 'backend' })).to.throw('Unexpected token < in JSON');
+      expect(reporter.getDefaultFilePath.called).to.be.false;
+    });
+
+    it('should fallback to environment variables when the type has no path', () => {
+      ConfigManager.getCoveragePath.returns(undefined);
+      sandbox.stub(reporter, 'getDefaultFilePath').returns('./env/backend.json');
+
+      reporter.parseCoverageFromFile({ coverageType: 'backend' });
+
+      expect(CoverageParser.parseCoverage.calledOnceWith('./env/backend.json')).to.be.true;
+    });
+  });
+
+  describe('composite coverage type', () => {
+    let reporter;
+
+    beforeEach(() => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({
+        coverage: {
+          types: [
+            { name: 'backend', filePath: './backend/lcov.info', threshold: 80 },
+            { name: 'frontend', filePath: './frontend/lcov.info', threshold: 80 },
+            { name: 'overall', composite: ['backend', 'frontend'], threshold: 85 }
+          ]
+        }
+      });
+      const reports = {
+        './backend/lcov.info': { format: 'lcov', total: { lines: { total: 900, covered: 810, skipped: 0, pct: 90 } }, files: {} },
+        './frontend/lcov.info': { format: 'lcov', total: { lines: { total: 100, covered: 50, skipped: 0, pct: 50 } }, files: {} }
+      };
+      sandbox.stub(CoverageParser, 'parseCoverage').callsFake(filePath => ({
+        coverage: CoverageParser.getMetrics(reports[filePath]),
+        report: reports[filePath]
+      }));
+
+      reporter = new GitHubCoverageReporter({ addComments: false, setStatusChecks: false, storeInS3: false });
+    });
+
+    it('should sum the covered/total counts of its types', () => {
+      expect(reporter.parseCoverageFromFile({ coverageType: 'overall' })).to.deep.equal({ lines: 86 });
+      expect(CoverageParser.parseCoverage.calledTwice).to.be.true;
+    });
+
+    it('should reuse the reports parsed earlier in the run', () => {
+      reporter.parseCoverageFromFile({ coverageType: 'backend' });
+      reporter.parseCoverageFromFile({ coverageType: 'frontend' });
+      reporter.parseCoverageFromFile({ coverageType: 'overall' });
+
+      expect(CoverageParser.parseCoverage.calledTwice).to.be.true;
+    });
+
+    it('should gate its line coverage with its own threshold and row', async () => {
+      const result = await reporter.run(null, { coverageTypes: ['backend', 'frontend', 'overall'] });
+      const status = reporter.coverageReporter.generateStatusChecks(result.currentCoverage.overall, 'overall');
+      const comment = reporter.coverageReporter.generateCoverageComment({}, result.currentCoverage, result.coverageTypes);
+
+      expect(result.currentCoverage.overall).to.deep.equal({ lines: 86 });
+      expect(status).to.deep.equal({ pass: true, description: 'lines: 86% (min 85%)', context: 'code-coverage-overall' });
+      expect(comment).to.include('| Overall | — | — | — | 86% | lines 85% | ✅ |');
+    });
+  });
+
+  describe('patch coverage', () => {
+    let reporter;
+    const report = {
+      format: 'lcov',
+      total: { lines: { total: 4, covered: 2, skipped: 0, pct: 50 } },
+      files: { 'src/app.js': { lines: { total: 4, covered: 2, skipped: 0, pct: 50 }, hits: { lines: { 1: 1, 2: 0, 3: 1, 4: 0 } } } }
+    };
+
+    beforeEach(() => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({
+        coverage: {
+          types: [
+            { name: 'backend', filePath: './lcov.info', threshold: 40, patchThreshold: 80 },
+            { name: 'frontend', filePath: './web/lcov.info', threshold: 40 }
+          ]
+        }
+      });
+      sandbox.stub(CoverageParser, 'parseCoverage').returns({ coverage: { lines: 50 }, report });
+
+      reporter = new GitHubCoverageReporter({ addComments: true, setStatusChecks: true, storeInS3: false });
+      reporter.githubHelper = {
+        fetchPR: sandbox.stub().resolves({ number: 12, base: { ref: 'main' } }),
+        fetchPRFiles: sandbox.stub().resolves([
+          { filename: 'src/app.js', status: 'modified', patch: '@@ -1,2 +1,3 @@\n+a\n+b\n+c' }
+        ]),
+        getBaseBranch: sandbox.stub().returns('main'),
+        setGitStatus: sandbox.stub().resolves(),
+        upsertPRComment: sandbox.stub().resolves()
+      };
+    });
+
+    it('should set a patch status check for types with a patch threshold', async () => {
+      const result = await reporter.run(null, { coverageTypes: ['backend', 'frontend'] });
+
+      expect(result.patchCoverage).to.have.keys('backend');
+      expect(result.patchCoverage.backend).to.include({ total: 3, covered: 2, pct: 66.66 });
+      expect(reporter.githubHelper.fetchPRFiles.calledOnceWith(12)).to.be.true;
+      expect(reporter.githubHelper.setGitStatus.calledWith({
+        pass: false,
+        description: '66.66% of 3 changed lines covered (min 80%)',
+        context: 'code-coverage-backend-patch'
+      })).to.be.true;
+      expect(reporter.githubHelper.upsertPRComment.firstCall.args[0])
+        .to.include('🩹 Backend patch coverage: 66.66% (2 of 3 changed lines covered) ❌');
+    });
+
+    it('should fall back to the local git diff when the PR files are unavailable', async () => {
+      reporter.githubHelper.fetchPRFiles.resolves(null);
+      sandbox.stub(PatchCoverage, 'getLocalChangedLines').returns({ 'src/app.js': [1] });
+
+      const result = await reporter.run(null, { coverageType: 'backend' });
+
+      expect(PatchCoverage.getLocalChangedLines.calledOnceWith('main')).to.be.true;
+      expect(result.patchCoverage).to.include({ total: 1, covered: 1, pct: 100 });
+    });
+
+    it('should skip reports without per-line data', async () => {
+      CoverageParser.parseCoverage.returns({ coverage: { lines: 50 }, report: { format: 'istanbul', total: {}, files: {} } });
+
+      const result = await reporter.run(null, { coverageType: 'backend' });
+
+      expect(result.patchCoverage).to.be.null;
+      expect(reporter.githubHelper.fetchPRFiles.called).to.be.false;
+    });
+  });
+
+  describe('check runs', () => {
+    let reporter;
+    const report = {
+      format: 'lcov',
+      total: { lines: { total: 4, covered: 2, skipped: 0, pct: 50 } },
+      files: { 'src/app.js': { lines: { total: 4, covered: 2, skipped: 0, pct: 50 }, hits: { lines: { 1: 1, 2: 0, 3: 0, 4: 1 } } } }
+    };
+
+    beforeEach(() => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({
+        coverage: { types: [{ name: 'backend', filePath: './lcov.info', threshold: 40 }] },
+        statusCheck: { useChecksApi: true }
+      });
+      sandbox.stub(CoverageParser, 'parseCoverage').returns({ coverage: { lines: 50 }, report });
+
+      reporter = new GitHubCoverageReporter({ addComments: false, setStatusChecks: true, storeInS3: false });
+      reporter.githubHelper = {
+        fetchPR: sandbox.stub().resolves({ number: 12, base: { ref: 'main' } }),
+        fetchPRFiles: sandbox.stub().resolves([{ filename: 'src/app.js', status: 'modified', patch: '@@ -1,2 +1,3 @@\n+a\n+b\n+c' }]),
+        getBaseBranch: sandbox.stub().returns('main'),
+        setGitStatus: sandbox.stub().resolves(),
+        createCheckRun: sandbox.stub().resolves({ id: 1 })
+      };
+    });
+
+    it('should create a check run with annotations instead of commit statuses', async () => {
+      await reporter.run(null, { coverageType: 'backend' });
+
+      expect(reporter.githubHelper.setGitStatus.called).to.be.false;
+      const checkRun = reporter.githubHelper.createCheckRun.firstCall.args[0];
+      expect(checkRun).to.include({ name: 'code-coverage-backend', conclusion: 'success' });
+      expect(checkRun.summary).to.include('## Code Coverage Report');
+      expect(checkRun.annotations.map(({ start_line, end_line }) => [start_line, end_line])).to.deep.equal([[2, 3]]);
+    });
+  });
+
+  describe('changed files', () => {
+    let reporter;
+    const report = {
+      format: 'lcov',
+      total: { lines: { total: 10, covered: 7, skipped: 0, pct: 70 } },
+      files: {
+        'src/app.js': { lines: { total: 4, covered: 2, skipped: 0, pct: 50 }, hits: { lines: { 1: 1, 2: 0, 3: 1, 4: 0 } } },
+        'src/util.js': { lines: { total: 6, covered: 5, skipped: 0, pct: 83.33 }, hits: { lines: { 1: 1 } } }
+      }
+    };
+
+    beforeEach(() => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({
+        coverage: { types: [{ name: 'backend', filePath: './lcov.info', threshold: 40 }] },
+        s3: { bucketName: 'bucket', fileName: 'coverage.json' }
+      });
+      sandbox.stub(CoverageParser, 'parseCoverage').returns({ coverage: { lines: 70 }, report });
+
+      reporter = new GitHubCoverageReporter({ addComments: true, setStatusChecks: false, storeInS3: true });
+      reporter.githubHelper = {
+        currentBranch: 'test-branch',
+        fetchPR: sandbox.stub().resolves({ number: 12, base: { ref: 'main' } }),
+        fetchPRFiles: sandbox.stub().resolves([{ filename: 'src/app.js', status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b' }]),
+        getBaseBranch: sandbox.stub().returns('main'),
+        upsertPRComment: sandbox.stub().resolves()
+      };
+      reporter.s3Helper = {
+        getCoverageJsonFile: sandbox.stub().callsFake(async fileName => (fileName === 'coverage-files.json'
+          ? { main: { backend: { 'src/app.js': 75, 'src/util.js': 83.33 } } }
+          : { main: { backend: { lines: 72 } } })),
+        upload: sandbox.stub().resolves()
+      };
+    });
+
+    it('should compare the files the PR touches with the base branch baseline', async () => {
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const comment = reporter.githubHelper.upsertPRComment.firstCall.args[0];
+      expect(comment).to.include('<summary>Changed files (1)</summary>');
+      expect(comment).to.include('| `src/app.js` | 75% | 50% | 📉 -25.00% |');
+      expect(comment).to.not.include('src/util.js');
+    });
+
+    it('should store the per-file coverage of the current branch next to the totals', async () => {
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const upload = reporter.s3Helper.upload.getCalls().find(call => call.args[0] === 'coverage-files.json');
+      expect(JSON.parse(upload.args[1])).to.deep.equal({
+        main: { backend: { 'src/app.js': 75, 'src/util.js': 83.33 } },
+        'test-branch': { backend: { 'src/app.js': 50, 'src/util.js': 83.33 } }
+      });
+    });
+
+    it('should only keep the per-file coverage of the most recently built branches', async () => {
+      const filesJson = Object.fromEntries(Array.from({ length: 25 }, (_, i) => [`branch-${i}`, { backend: { 'src/app.js': i } }]));
+      filesJson['test-branch'] = { frontend: { 'web/app.js': 60 } };
+      reporter.s3Helper.getCoverageJsonFile.withArgs('coverage-files.json').resolves(filesJson);
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const upload = reporter.s3Helper.upload.getCalls().find(call => call.args[0] === 'coverage-files.json');
+      const branches = Object.keys(JSON.parse(upload.args[1]));
+      expect(branches).to.have.lengthOf(20);
+      expect(branches[0]).to.equal('branch-6');
+      expect(branches[19]).to.equal('test-branch');
+      expect(JSON.parse(upload.args[1])['test-branch']).to.have.keys('frontend', 'backend');
+    });
+  });
+
+  describe('push builds', () => {
+    let reporter;
+    let commitsJson;
+
+    beforeEach(() => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({
+        coverage: { types: [{ name: 'backend', filePath: './lcov.info', threshold: 40 }] },
+        s3: { bucketName: 'bucket', fileName: 'coverage.json' },
+        comment: { commitComment: true }
+      });
+      sandbox.stub(CoverageParser, 'parseCoverage').returns({ coverage: { lines: 70 } });
+      commitsJson = { parent1: { branch: 'main', coverage: { backend: { lines: 68 } } } };
+
+      reporter = new GitHubCoverageReporter({ addComments: true, setStatusChecks: true, storeInS3: true });
+      reporter.githubHelper = {
+        commitSha: 'head1',
+        currentBranch: 'main',
+        fetchPR: sandbox.stub().resolves(null),
+        getParentSha: sandbox.stub().returns('parent1'),
+        getBaseBranch: sandbox.stub().returns('main'),
+        setGitStatus: sandbox.stub().resolves(),
+        addCommitComment: sandbox.stub().resolves({ id: 1 }),
+        upsertPRComment: sandbox.stub().resolves()
+      };
+      reporter.s3Helper = {
+        getCoverageJsonFile: sandbox.stub().callsFake(async fileName => (fileName === 'coverage-commits.json'
+          ? commitsJson
+          : { main: { backend: { lines: 60 } } })),
+        upload: sandbox.stub().resolves()
+      };
+    });
+
+    it('should compare with the coverage recorded for the parent commit', async () => {
+      const result = await reporter.run(null, { coverageType: 'backend' });
+
+      expect(result.previousCoverage).to.deep.equal({ lines: 68 });
+      expect(reporter.githubHelper.setGitStatus.called).to.be.true;
+    });
+
+    it('should report the gate verdicts of the run', async () => {
+      const result = await reporter.run(null, { coverageType: 'backend' });
+
+      expect(result.gates.backend.checks.threshold).to.deep.equal({ pass: true, description: 'lines: 70% (min 40%)' });
+      expect(result.gates.backend.checks.delta.pass).to.be.true;
+      expect(result.pass).to.be.true;
+      expect(GitHubCoverageReporter.getGateFailures(result, 'any')).to.deep.equal([]);
+    });
+
+    it('should fall back to the previous run on the branch', async () => {
+      commitsJson = {};
+
+      const result = await reporter.run(null, { coverageType: 'backend' });
+
+      expect(result.previousCoverage).to.deep.equal({ lines: 60 });
+    });
+
+    it('should not read S3 when the run does not use it', async () => {
+      reporter.options.storeInS3 = false;
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      expect(reporter.s3Helper.getCoverageJsonFile.called).to.be.false;
+      expect(console.log.calledWith('No PR found and no earlier coverage recorded for this branch')).to.be.true;
+    });
+
+    it('should store the coverage under the branch the baseline is read from', async () => {
+      delete process.env.GITHUB_CURR_BRANCH;
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const totals = reporter.s3Helper.upload.getCalls().find(call => call.args[0] === 'coverage.json');
+      expect(JSON.parse(totals.args[1])).to.deep.equal({ main: { backend: { lines: 70 } } });
+    });
+
+    it('should comment on the commit with the coverage table', async () => {
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const comment = reporter.githubHelper.addCommitComment.firstCall.args[0];
+      expect(comment).to.include('| Backend |').and.to.include('70% (📈 +2.00%)');
+      expect(reporter.githubHelper.upsertPRComment.called).to.be.false;
+    });
+
+    it('should only comment on the commit when turned on', async () => {
+      reporter.options.commitComment = false;
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      expect(reporter.githubHelper.addCommitComment.called).to.be.false;
+    });
+
+    it('should record the coverage of the commit for later builds', async () => {
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const upload = reporter.s3Helper.upload.getCalls().find(call => call.args[0] === 'coverage-commits.json');
+      expect(JSON.parse(upload.args[1])).to.deep.equal({
+        parent1: { branch: 'main', coverage: { backend: { lines: 68 } } },
+        head1: { branch: 'main', coverage: { backend: { lines: 70 } } }
+      });
+    });
+
+    it('should record the comment and uploads instead of making them in a dry run', async () => {
+      const dryRun = new DryRun();
+      sandbox.stub(dryRun, 'record');
+      reporter.dryRun = dryRun;
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const comment = dryRun.record.args.map(args => args[0]).find(write => write.type === 'comment');
+      expect(comment.target).to.equal('commit head1');
+      expect(comment.markdown).to.equal(reporter.githubHelper.addCommitComment.firstCall.args[0]);
+    });
+
+    it('should keep only the most recent commits', async () => {
+      commitsJson = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`sha${i}`, { branch: 'main', coverage: {} }]));
+
+      await reporter.run(null, { coverageType: 'backend' });
+
+      const upload = reporter.s3Helper.upload.getCalls().find(call => call.args[0] === 'coverage-commits.json');
+      const shas = Object.keys(JSON.parse(upload.args[1]));
+      expect(shas).to.have.lengthOf(100);
+      expect(shas[0]).to.equal('sha1');
+      expect(shas[99]).to.equal('head1');
+    });
+  });
+
+  describe('dry run', () => {
+    it('should share one recorder between the GitHub and S3 helpers', () => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({ s3: { bucketName: 'bucket', fileName: 'coverage.json' } });
+
+      const reporter = new GitHubCoverageReporter({ dryRun: true, dryRunOutput: './writes.json' });
+
+      expect(reporter.dryRun).to.be.an.instanceOf(DryRun);
+      expect(reporter.dryRun.outputPath).to.equal('./writes.json');
+      expect(reporter.githubHelper.dryRun).to.equal(reporter.dryRun);
+      expect(reporter.s3Helper.dryRun).to.equal(reporter.dryRun);
+    });
+
+    it('should be off by default', () => {
+      sandbox.stub(ConfigManager, 'loadConfig').returns({});
+
+      const reporter = new GitHubCoverageReporter({});
+
+      expect(reporter.dryRun).to.be.null;
+      expect(reporter.githubHelper.dryRun).to.be.null;
+    });
   });
 
   describe('updateS3Coverage', () => {
@@ -390,7 +809,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
 
     beforeEach(() => {
       mockGitHubHelper = {
-        addPRComment: sandbox.stub()
+        upsertPRComment: sandbox.stub()
       };
       
       mockCoverageReporter = {
@@ -414,7 +833,27 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
         { backend: 85.5 },
         ['backend']
       )).to.be.true;
-      expect(mockGitHubHelper.addPRComment.calledWith('Coverage report comment', 123)).to.be.true;
+      expect(mockGitHubHelper.upsertPRComment.calledWith('Coverage report comment', 123, { mode: 'update', key: 'backend', minimizeOutdated: true })).to.be.true;
+    });
+
+    it('should use the comment mode from the options', async () => {
+      mockCoverageReporter.generateCoverageComment.returns('Coverage report comment');
+      reporter.options.commentMode = 'recreate';
+
+      await reporter.addCoverageComment(85.5, 80.0, 'backend', 123);
+
+      expect(mockGitHubHelper.upsertPRComment.firstCall.args[2]).to.include({ mode: 'recreate', key: 'backend' });
+    });
+
+    it('should pass the excluded file count of the parsed report', async () => {
+      mockCoverageReporter.generateCoverageComment.returns('Coverage report comment');
+      reporter.coverageReports.backend = { format: 'lcov', total: {}, files: {}, excludedFiles: 4 };
+
+      await reporter.addCoverageComment(85.5, 80.0, 'backend', 123);
+
+      expect(mockCoverageReporter.generateCoverageComment.getCall(0).args[3]).to.deep.equal({
+        backend: { excludedFiles: 4 }
+      });
     });
   });
 
@@ -504,7 +943,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       // Create mocks
       mockGitHubHelper = {
         fetchPR: sandbox.stub(),
-        addPRComment: sandbox.stub(),
+        upsertPRComment: sandbox.stub(),
         setGitStatus: sandbox.stub()
       };
       
@@ -515,7 +954,8 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       mockCoverageReporter = {
         generateStatusChecks: sandbox.stub(),
         generateDiffStatusCheck: sandbox.stub(),
-        generateCoverageComment: sandbox.stub()
+        generateCoverageComment: sandbox.stub(),
+        evaluateGates: sandbox.stub().returns({ pass: true, checks: {} })
       };
       
       reporter = new GitHubCoverageReporter({
@@ -584,7 +1024,7 @@ describe('GitHubCoverageReporter - Advanced Features', () => {
       
       // Stub CoverageParser to throw an error
       const CoverageParser = require('../src/CoverageParser');
-      sandbox.stub(CoverageParser, 'parseSingleFile').throws(new Error('File parsing failed'));
+      sandbox.stub(CoverageParser, 'parseCoverage').throws(new Error('File parsing failed'));
       
       try {
         await reporter.parseCoverageFromFile({ coverageType: 'test' });
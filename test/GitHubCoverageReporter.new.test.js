@@ -22,7 +22,7 @@ describe('GitHubCoverageReporter', () => {
     sandbox = sinon.createSandbox();
     
     // Stub the static method
-    sandbox.stub(CoverageParser, 'parseSingleFile');
+    sandbox.stub(CoverageParser, 'parseCoverage');
   });
 
   afterEach(() => {
@@ -97,13 +97,13 @@ describe('GitHubCoverageReporter', () => {
 
     beforeEach(() => {
       reporter = new GitHubCoverageReporter({ coverageType: 'backend' });
-      CoverageParser.parseSingleFile.returns(85.5);
+      CoverageParser.parseCoverage.returns({ coverage: 85.5, report: { format: 'istanbul', files: {} } });
     });
 
     it('should parse coverage from file with default path', () => {
       const coverage = reporter.parseCoverageFromFile();
       
-      expect(CoverageParser.parseSingleFile.calledOnce).to.be.true;
+      expect(CoverageParser.parseCoverage.calledOnce).to.be.true;
       expect(coverage).to.equal(85.5);
     });
 
@@ -111,16 +111,18 @@ describe('GitHubCoverageReporter', () => {
       const customPath = './custom/coverage.json';
       const coverage = reporter.parseCoverageFromFile({ filePath: customPath });
       
-      expect(CoverageParser.parseSingleFile.calledWith(customPath)).to.be.true;
+      expect(CoverageParser.parseCoverage.calledWith(customPath)).to.be.true;
       expect(coverage).to.equal(85.5);
+      // Kept for patch coverage and the changed files
+      expect(reporter.coverageReports.backend).to.deep.equal({ format: 'istanbul', files: {} });
     });
 
     it('should use specified coverage type', () => {
       reporter.parseCoverageFromFile({ coverageType: 'frontend' });
       
-      expect(CoverageParser.parseSingleFile.calledOnce).to.be.true;
+      expect(CoverageParser.parseCoverage.calledOnce).to.be.true;
       // The path should be for frontend type
-      const callArgs = CoverageParser.parseSingleFile.getCall(0).args[0];
+      const callArgs = CoverageParser.parseCoverage.getCall(0).args[0];
       expect(callArgs).to.include('frontend');
     });
   });
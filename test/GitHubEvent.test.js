@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GitHubEvent = require('../src/GitHubEvent');
+
+describe('GitHubEvent', function() {
+  const repo = { full_name: 'test-owner/test-repo' };
+  const fork = { full_name: 'contributor/test-repo' };
+
+  describe('fromPayload', function() {
+    it('should read the PR, head commit and refs of pull_request events', function() {
+      const pullRequest = {
+        number: 12,
+        head: { sha: 'head123', ref: 'feature', repo: fork },
+        base: { ref: 'main', repo }
+      };
+
+      expect(GitHubEvent.fromPayload({ pull_request: pullRequest }, 'pull_request_target')).to.deep.equal({
+        name: 'pull_request_target',
+        prNumber: 12,
+        pullRequest,
+        headSha: 'head123',
+        beforeSha: null,
+        headRef: 'feature',
+        baseRef: 'main',
+        isFork: true
+      });
+    });
+
+    it('should treat PRs from deleted forks as forks', function() {
+      const event = GitHubEvent.fromPayload({ pull_request: { number: 1, head: { ref: 'x', repo: null }, base: { ref: 'main', repo } } });
+
+      expect(event.isFork).to.be.true;
+    });
+
+    it('should read the first PR of workflow_run events', function() {
+      const event = GitHubEvent.fromPayload({
+        workflow_run: {
+          head_sha: 'run123',
+          head_branch: 'feature',
+          head_repository: repo,
+          repository: repo,
+          pull_requests: [{ number: 34, base: { ref: 'develop' } }]
+        }
+      }, 'workflow_run');
+
+      expect(event).to.include({ prNumber: 34, pullRequest: null, headSha: 'run123', headRef: 'feature', baseRef: 'develop', isFork: false });
+    });
+
+    it('should read the commit and branch of push events', function() {
+      const event = GitHubEvent.fromPayload({ ref: 'refs/heads/release/1.2', before: 'tip123', after: 'push123' }, 'push');
+
+      expect(event).to.include({ prNumber: null, headSha: 'push123', beforeSha: 'tip123', headRef: 'release/1.2', baseRef: null, isFork: false });
+      expect(GitHubEvent.fromPayload({ ref: 'refs/heads/new', before: '0000000000000000000000000000000000000000', after: 'abc' }).beforeSha).to.be.null;
+      expect(GitHubEvent.fromPayload({ ref: 'refs/tags/v1.2.0', after: 'tag123' }).headRef).to.be.null;
+    });
+  });
+
+  describe('read', function() {
+    let eventDir;
+
+    beforeEach(function() {
+      eventDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-event-'));
+    });
+
+    afterEach(function() {
+      sinon.restore();
+      fs.rmSync(eventDir, { recursive: true, force: true });
+    });
+
+    it('should read the payload file', function() {
+      const eventPath = path.join(eventDir, 'event.json');
+      fs.writeFileSync(eventPath, JSON.stringify({ ref: 'refs/heads/main', after: 'abc123' }));
+
+      expect(GitHubEvent.read(eventPath, 'push')).to.include({ name: 'push', headSha: 'abc123', headRef: 'main' });
+    });
+
+    it('should return null without a readable payload', function() {
+      sinon.stub(console, 'log');
+
+      expect(GitHubEvent.read(undefined)).to.be.null;
+      expect(GitHubEvent.read(path.join(eventDir, 'missing.json'))).to.be.null;
+    });
+  });
+});
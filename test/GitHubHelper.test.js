@@ -1,4 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
+const DryRun = require('../src/DryRun');
 const GitHubHelper = require('../src/GitHubHelper');
 
 describe('GitHubHelper', function() {
@@ -17,6 +21,11 @@ describe('GitHubHelper', function() {
     delete process.env.GITHUB_TARGET_BRANCH;
     delete process.env.GITHUB_SHA;
     delete process.env.COMMIT_SHA;
+    delete process.env.GITHUB_API_URL;
+    delete process.env.GITHUB_GRAPHQL_URL;
+    delete process.env.GITHUB_CA_CERT_PATH;
+    delete process.env.GITHUB_PR_NUMBER;
+    delete process.env.GITHUB_EVENT_PATH;
 
     githubHelper = new GitHubHelper({
       owner: 'test-owner',
@@ -31,7 +40,9 @@ describe('GitHubHelper', function() {
     // Stub axios methods
     axiosStub = {
       post: this.sandbox.stub(axios, 'post'),
-      get: this.sandbox.stub(axios, 'get')
+      get: this.sandbox.stub(axios, 'get'),
+      patch: this.sandbox.stub(axios, 'patch'),
+      delete: this.sandbox.stub(axios, 'delete')
     };
   });
 
@@ -91,6 +102,58 @@ describe('GitHubHelper', function() {
       const helper = new GitHubHelper({});
       expect(helper.userAgent).to.equal('github-coverage-reporter');
     });
+
+    it('should accept the sha, pullRequestNumber and baseBranch passed by cli-run', function() {
+      const helper = new GitHubHelper({ sha: 'cli-sha', pullRequestNumber: '15', baseBranch: 'develop' });
+
+      expect(helper.commitSha).to.equal('cli-sha');
+      expect(helper.pullRequestNumber).to.equal('15');
+      expect(helper.targetBranch).to.equal('develop');
+    });
+
+    it('should take the head commit and refs from the event payload', function() {
+      const eventDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-event-'));
+      const eventPath = path.join(eventDir, 'event.json');
+      fs.writeFileSync(eventPath, JSON.stringify({
+        pull_request: {
+          number: 21,
+          head: { sha: 'head-sha', ref: 'feature', repo: { full_name: 'contributor/test-repo' } },
+          base: { ref: 'develop', repo: { full_name: 'test-owner/test-repo' } }
+        }
+      }));
+      process.env.GITHUB_EVENT_PATH = eventPath;
+      process.env.GITHUB_SHA = 'merge-sha';
+
+      try {
+        const helper = new GitHubHelper({ sha: 'merge-sha' });
+
+        expect(helper.commitSha).to.equal('head-sha');
+        expect(helper.currentBranch).to.equal('feature');
+        expect(helper.targetBranch).to.equal('develop');
+        expect(helper.isFork).to.be.true;
+        expect(new GitHubHelper({ commitSha: 'explicit-sha', targetBranch: 'main' })).to.include({ commitSha: 'explicit-sha', targetBranch: 'main' });
+      } finally {
+        fs.rmSync(eventDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report on the PR head with the options of the generated coverage script', function() {
+      const eventDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-event-'));
+      const eventPath = path.join(eventDir, 'event.json');
+      fs.writeFileSync(eventPath, JSON.stringify({ pull_request: { number: 21, head: { sha: 'head-sha', ref: 'feature' }, base: { ref: 'main' } } }));
+      process.env.GITHUB_EVENT_PATH = eventPath;
+      process.env.GITHUB_SHA = 'merge-sha';
+
+      try {
+        const script = fs.readFileSync(path.join(__dirname, '../templates/scripts/coverage-report.js'), 'utf8');
+        const githubOptions = script.match(/github: (\{[\s\S]*?\n {6}\})/)[1];
+        const helper = new GitHubHelper(new Function('process', `return ${githubOptions};`)(process));
+
+        expect(helper.commitSha).to.equal('head-sha');
+      } finally {
+        fs.rmSync(eventDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('prepareHeaders', function() {
@@ -105,6 +168,273 @@ describe('GitHubHelper', function() {
     });
   });
 
+  describe('GitHub Enterprise Server', function() {
+    it('should send requests to the configured API and GraphQL URLs', async function() {
+      const enterpriseHelper = new GitHubHelper({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        token: 'test-token',
+        commitSha: 'abc123',
+        apiUrl: 'https://github.example.com/api/v3/'
+      });
+      axiosStub.post.resolves({ data: {} });
+
+      await enterpriseHelper.setGitStatus({ pass: true, description: 'ok', context: 'code-coverage-backend' });
+      await enterpriseHelper.minimizeComment('IC_1');
+
+      expect(axiosStub.post.firstCall.args[0]).to.equal('https://github.example.com/api/v3/repos/test-owner/test-repo/statuses/abc123');
+      expect(axiosStub.post.secondCall.args[0]).to.equal('https://github.example.com/api/graphql');
+    });
+
+    it('should read the URLs from environment variables', function() {
+      process.env.GITHUB_API_URL = 'https://github.example.com/api/v3';
+      process.env.GITHUB_GRAPHQL_URL = 'https://graphql.github.example.com';
+
+      const enterpriseHelper = new GitHubHelper({});
+
+      expect(enterpriseHelper.apiUrl).to.equal('https://github.example.com/api/v3');
+      expect(enterpriseHelper.graphqlUrl).to.equal('https://graphql.github.example.com');
+    });
+
+    it('should default to github.com', function() {
+      expect(githubHelper.apiUrl).to.equal('https://api.github.com');
+      expect(githubHelper.graphqlUrl).to.equal('https://api.github.com/graphql');
+      expect(githubHelper.httpsAgent).to.be.undefined;
+    });
+
+    it('should trust custom CA certificates next to the public ones', function() {
+      const certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-ca-'));
+      const certPath = path.join(certDir, 'corp-ca.pem');
+      fs.writeFileSync(certPath, '-----BEGIN CERTIFICATE-----\ncorp\n-----END CERTIFICATE-----\n');
+
+      try {
+        const enterpriseHelper = new GitHubHelper({ caCertPath: certPath });
+
+        expect(enterpriseHelper.httpsAgent.options.ca).to.include(fs.readFileSync(certPath, 'utf8'));
+        expect(enterpriseHelper.httpsAgent.options.ca.length).to.be.above(1);
+      } finally {
+        fs.rmSync(certDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should explain a missing CA certificate', function() {
+      expect(() => new GitHubHelper({ caCertPath: '/missing/corp-ca.pem' }))
+        .to.throw('Could not read CA certificate /missing/corp-ca.pem');
+    });
+  });
+
+  describe('getHeaders', function() {
+    it('should use the token when no GitHub App is configured', async function() {
+      expect(githubHelper.appAuth).to.be.null;
+      expect((await githubHelper.getHeaders()).Authorization).to.equal('Bearer test-token');
+    });
+
+    it('should authenticate with a GitHub App installation token', async function() {
+      const appHelper = new GitHubHelper({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        token: 'test-token',
+        appId: 12345,
+        installationId: 678,
+        privateKeyPath: './app.pem'
+      });
+      this.sandbox.stub(appHelper.appAuth, 'getToken').resolves('ghs_installation');
+
+      const headers = await appHelper.getHeaders();
+
+      expect(headers.Authorization).to.equal('Bearer ghs_installation');
+    });
+
+    it('should read the GitHub App credentials from environment variables', function() {
+      process.env.GITHUB_APP_ID = '12345';
+      process.env.GITHUB_APP_INSTALLATION_ID = '678';
+      process.env.GITHUB_APP_PRIVATE_KEY_PATH = './app.pem';
+
+      try {
+        const appHelper = new GitHubHelper({ owner: 'test-owner', repo: 'test-repo' });
+        expect(appHelper.appAuth).to.include({ appId: '12345', installationId: '678', privateKeyPath: './app.pem' });
+      } finally {
+        delete process.env.GITHUB_APP_ID;
+        delete process.env.GITHUB_APP_INSTALLATION_ID;
+        delete process.env.GITHUB_APP_PRIVATE_KEY_PATH;
+      }
+    });
+  });
+
+  describe('request', function() {
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers, data: {} };
+      return error;
+    };
+
+    beforeEach(function() {
+      this.sandbox.stub(GitHubHelper, 'sleep').resolves();
+      this.sandbox.stub(console, 'log');
+    });
+
+    it('should send the per-request timeout', async function() {
+      const helper = new GitHubHelper({ token: 'test-token', timeout: 5000 });
+      axiosStub.get.resolves({ data: [] });
+
+      await helper.request('get', 'https://api.github.com/user');
+
+      expect(axiosStub.get.firstCall.args[1].timeout).to.equal(5000);
+      expect(githubHelper.timeout).to.equal(30000);
+    });
+
+    it('should retry server errors with exponential backoff', async function() {
+      this.sandbox.stub(Math, 'random').returns(1);
+      axiosStub.get.onFirstCall().rejects(httpError(502));
+      axiosStub.get.onSecondCall().rejects(httpError(503));
+      axiosStub.get.onThirdCall().resolves({ data: [{ filename: 'src/app.js' }] });
+
+      const result = await githubHelper.fetchPRFiles(123);
+
+      expect(result).to.deep.equal([{ filename: 'src/app.js' }]);
+      expect(axiosStub.get.calledThrice).to.be.true;
+      expect(GitHubHelper.sleep.args.map(args => args[0])).to.deep.equal([1000, 2000]);
+    });
+
+    it('should not resend a POST answered with a server error', async function() {
+      axiosStub.post.rejects(httpError(502));
+
+      const result = await githubHelper.addPRComment('Test comment', 123);
+
+      expect(result).to.be.null;
+      expect(axiosStub.post.calledOnce).to.be.true;
+      expect(GitHubHelper.sleep.called).to.be.false;
+    });
+
+    const networkError = (code) => {
+      const error = new Error(`network error ${code}`);
+      error.code = code;
+      return error;
+    };
+
+    it('should retry network errors', async function() {
+      axiosStub.get.onFirstCall().rejects(networkError('ECONNRESET'));
+      axiosStub.get.onSecondCall().resolves({ data: [{ filename: 'src/app.js' }] });
+
+      const result = await githubHelper.fetchPRFiles(123);
+
+      expect(result).to.deep.equal([{ filename: 'src/app.js' }]);
+    });
+
+    it('should not resend a POST that may have reached GitHub', async function() {
+      axiosStub.post.rejects(networkError('ECONNABORTED'));
+
+      const result = await githubHelper.addPRComment('Test comment', 123);
+
+      expect(result).to.be.null;
+      expect(axiosStub.post.calledOnce).to.be.true;
+    });
+
+    it('should retry a POST that could not connect', async function() {
+      axiosStub.post.onFirstCall().rejects(networkError('ECONNREFUSED'));
+      axiosStub.post.onSecondCall().resolves({ data: { id: 456 } });
+
+      const result = await githubHelper.addPRComment('Test comment', 123);
+
+      expect(result).to.deep.equal({ id: 456 });
+    });
+
+    it('should send the GitHub App token exchange with the timeout and retries', async function() {
+      const appHelper = new GitHubHelper({ owner: 'test-owner', repo: 'test-repo', appId: 12345, installationId: 678, privateKeyPath: './app.pem' });
+      this.sandbox.stub(appHelper.appAuth, 'createJwt').returns('app-jwt');
+      axiosStub.post.onFirstCall().rejects(httpError(502));
+      axiosStub.post.onSecondCall().resolves({ data: { token: 'ghs_installation', expires_at: '2099-01-01T00:00:00Z' } });
+
+      const headers = await appHelper.getHeaders();
+
+      expect(headers.Authorization).to.equal('Bearer ghs_installation');
+      expect(axiosStub.post.calledTwice).to.be.true;
+      expect(axiosStub.post.secondCall.args[0]).to.equal('https://api.github.com/app/installations/678/access_tokens');
+      expect(axiosStub.post.secondCall.args[2]).to.include({ timeout: 30000 });
+      expect(axiosStub.post.secondCall.args[2].headers.Authorization).to.equal('Bearer app-jwt');
+    });
+
+    it('should wait as long as Retry-After asks on secondary rate limits', async function() {
+      axiosStub.post.onFirstCall().rejects(httpError(403, { 'retry-after': '7' }));
+      axiosStub.post.onSecondCall().resolves({ data: { id: 1 } });
+
+      await githubHelper.setGitStatus({ pass: true, description: 'Test', context: 'test' });
+
+      expect(GitHubHelper.sleep.calledOnceWith(7000)).to.be.true;
+    });
+
+    it('should wait for the rate limit to reset', async function() {
+      this.sandbox.useFakeTimers(Date.UTC(2024, 0, 1, 12));
+      const reset = Date.UTC(2024, 0, 1, 12, 0, 20) / 1000;
+      axiosStub.get.onFirstCall().rejects(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }));
+      axiosStub.get.onSecondCall().resolves({ data: [] });
+
+      await githubHelper.fetchPRFiles(123);
+
+      expect(GitHubHelper.sleep.calledOnceWith(21000)).to.be.true;
+    });
+
+    it('should give up when the rate limit resets later than the maximum delay', async function() {
+      const error = httpError(429, { 'retry-after': '3600' });
+      axiosStub.post.rejects(error);
+
+      try {
+        await githubHelper.setGitStatus({ pass: true, description: 'Test', context: 'test' });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+      expect(axiosStub.post.calledOnce).to.be.true;
+    });
+
+    it('should not retry client errors', async function() {
+      axiosStub.post.rejects(httpError(404));
+
+      const result = await githubHelper.addPRComment('Test comment', 123);
+
+      expect(result).to.be.null;
+      expect(axiosStub.post.calledOnce).to.be.true;
+      expect(GitHubHelper.sleep.called).to.be.false;
+    });
+
+    it('should record writes instead of sending them in a dry run', async function() {
+      const helper = new GitHubHelper({ token: 'test-token', owner: 'test-owner', repo: 'test-repo', commitSha: 'abc123', dryRun: new DryRun() });
+      this.sandbox.stub(helper.dryRun, 'record');
+      axiosStub.get.resolves({ data: [] });
+
+      await helper.setGitStatus({ pass: true, description: 'Test', context: 'test' });
+      await helper.deletePRComment(5);
+      await helper.fetchPRComments(12);
+
+      expect(axiosStub.post.called).to.be.false;
+      expect(axiosStub.delete.called).to.be.false;
+      expect(axiosStub.get.calledOnce).to.be.true;
+      expect(helper.dryRun.record.args.map(args => args[0])).to.deep.equal([
+        {
+          type: 'github',
+          method: 'post',
+          url: 'https://api.github.com/repos/test-owner/test-repo/statuses/abc123',
+          payload: { state: 'success', description: 'Test', context: 'test' }
+        },
+        { type: 'github', method: 'delete', url: 'https://api.github.com/repos/test-owner/test-repo/issues/comments/5', payload: null }
+      ]);
+    });
+
+    it('should throw the last error once the retries are used up', async function() {
+      const helper = new GitHubHelper({ token: 'test-token', commitSha: 'abc123', retries: 2 });
+      const error = httpError(500);
+      axiosStub.patch.rejects(error);
+
+      try {
+        await helper.request('patch', 'https://api.github.com/repos/test-owner/test-repo/issues/comments/1', { body: 'Test' });
+        expect.fail('Should have thrown an error');
+      } catch (err) {
+        expect(err).to.equal(error);
+      }
+      expect(axiosStub.patch.calledThrice).to.be.true;
+    });
+  });
+
   describe('setGitStatus', function() {
     it('should make successful API call for passing status', async function() {
       const mockResponse = { data: { id: 123, state: 'success' } };
@@ -185,24 +515,53 @@ describe('GitHubHelper', function() {
     });
   });
 
+  describe('addCommitComment', function() {
+    it('should comment on the current commit', async function() {
+      axiosStub.post.resolves({ data: { id: 789 } });
+
+      const result = await githubHelper.addCommitComment('Coverage table');
+
+      expect(axiosStub.post.firstCall.args[0]).to.equal('https://api.github.com/repos/test-owner/test-repo/commits/abc123/comments');
+      expect(axiosStub.post.firstCall.args[1]).to.deep.equal({ body: 'Coverage table' });
+      expect(result).to.deep.equal({ id: 789 });
+    });
+
+    it('should return null when API call fails', async function() {
+      axiosStub.post.rejects(new Error('API Error'));
+
+      expect(await githubHelper.addCommitComment('Coverage table')).to.be.null;
+    });
+  });
+
+  describe('getParentSha', function() {
+    it('should take the branch tip before the push from the event payload', function() {
+      githubHelper.event = { beforeSha: 'before123' };
+
+      expect(githubHelper.getParentSha()).to.equal('before123');
+    });
+
+    it('should return null when git does not know the commit', function() {
+      githubHelper.commitSha = '0123456789abcdef0123456789abcdef01234567';
+
+      expect(githubHelper.getParentSha()).to.be.null;
+    });
+  });
+
   describe('fetchPR', function() {
-    it('should return PR data when PR exists', async function() {
-      const mockPR = { number: 123, title: 'Test PR', base: { ref: 'main' } };
-      const mockResponse = { data: [mockPR] };
-      axiosStub.get.resolves(mockResponse);
+    it('should return the open PR associated with the commit', async function() {
+      const mockPR = { number: 123, state: 'open', base: { ref: 'main' } };
+      axiosStub.get.resolves({ data: [{ number: 100, state: 'closed' }, mockPR] });
 
       const result = await githubHelper.fetchPR();
 
-      expect(axiosStub.get.calledOnce).to.be.true;
       expect(axiosStub.get.firstCall.args[0]).to.equal(
-        'https://api.github.com/repos/test-owner/test-repo/pulls?head=test-owner:feature-branch'
+        'https://api.github.com/repos/test-owner/test-repo/commits/abc123/pulls'
       );
       expect(result).to.equal(mockPR);
     });
 
     it('should return null when no PR found', async function() {
-      const mockResponse = { data: [] };
-      axiosStub.get.resolves(mockResponse);
+      axiosStub.get.resolves({ data: [] });
 
       const result = await githubHelper.fetchPR();
       expect(result).to.be.null;
@@ -222,6 +581,242 @@ describe('GitHubHelper', function() {
       const result = await githubHelper.fetchPR();
       expect(result).to.be.null;
     });
+
+    it('should fetch an explicit PR number first', async function() {
+      const helper = new GitHubHelper({ owner: 'test-owner', repo: 'test-repo', token: 'test-token', pullRequestNumber: '42' });
+      axiosStub.get.resolves({ data: { number: 42 } });
+
+      const result = await helper.fetchPR();
+
+      expect(axiosStub.get.calledOnce).to.be.true;
+      expect(axiosStub.get.firstCall.args[0]).to.equal('https://api.github.com/repos/test-owner/test-repo/pulls/42');
+      expect(result).to.deep.equal({ number: 42 });
+    });
+  });
+
+  describe('fetchPRFiles', function() {
+    it('should follow pagination until a short page', async function() {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ filename: `src/file${i}.js` }));
+      axiosStub.get.onFirstCall().resolves({ data: firstPage });
+      axiosStub.get.onSecondCall().resolves({ data: [{ filename: 'src/last.js' }] });
+
+      const result = await githubHelper.fetchPRFiles(7);
+
+      expect(result).to.have.lengthOf(101);
+      expect(axiosStub.get.firstCall.args[0]).to.equal(
+        'https://api.github.com/repos/test-owner/test-repo/pulls/7/files?per_page=100&page=1'
+      );
+      expect(axiosStub.get.secondCall.args[0]).to.include('page=2');
+    });
+
+    it('should return null when API call fails', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.get.rejects(new Error('API Error'));
+
+      expect(await githubHelper.fetchPRFiles(7)).to.be.null;
+    });
+  });
+
+  describe('createCheckRun', function() {
+    const annotation = line => ({ path: 'src/app.js', start_line: line, end_line: line, annotation_level: 'warning', message: 'Uncovered' });
+
+    it('should create a completed check run on the commit', async function() {
+      axiosStub.post.resolves({ data: { id: 99 } });
+
+      const result = await githubHelper.createCheckRun({
+        name: 'code-coverage-backend',
+        conclusion: 'success',
+        title: 'threshold: 80% - current: 85%',
+        summary: 'Summary'
+      });
+
+      expect(axiosStub.post.firstCall.args[0]).to.equal('https://api.github.com/repos/test-owner/test-repo/check-runs');
+      expect(axiosStub.post.firstCall.args[1]).to.deep.equal({
+        name: 'code-coverage-backend',
+        head_sha: 'abc123',
+        status: 'completed',
+        conclusion: 'success',
+        output: { title: 'threshold: 80% - current: 85%', summary: 'Summary', annotations: [] }
+      });
+      expect(axiosStub.patch.called).to.be.false;
+      expect(result).to.deep.equal({ id: 99 });
+    });
+
+    it('should send annotations in batches of 50', async function() {
+      axiosStub.post.resolves({ data: { id: 99 } });
+      axiosStub.patch.resolves({ data: { id: 99 } });
+      const annotations = Array.from({ length: 120 }, (_, i) => annotation(i + 1));
+
+      await githubHelper.createCheckRun({ name: 'code-coverage-backend', conclusion: 'failure', title: 'Title', summary: 'Summary', annotations });
+
+      expect(axiosStub.post.firstCall.args[1].output.annotations).to.have.lengthOf(50);
+      expect(axiosStub.patch.callCount).to.equal(2);
+      expect(axiosStub.patch.firstCall.args[0]).to.equal('https://api.github.com/repos/test-owner/test-repo/check-runs/99');
+      expect(axiosStub.patch.firstCall.args[1].output.annotations[0].start_line).to.equal(51);
+      expect(axiosStub.patch.secondCall.args[1].output.annotations).to.have.lengthOf(20);
+    });
+
+    it('should record one check run with every annotation in a dry run', async function() {
+      const helper = new GitHubHelper({ token: 'test-token', owner: 'test-owner', repo: 'test-repo', commitSha: 'abc123', dryRun: new DryRun() });
+      this.sandbox.stub(helper.dryRun, 'record');
+      const annotations = Array.from({ length: 120 }, (_, i) => annotation(i + 1));
+
+      await helper.createCheckRun({ name: 'code-coverage-backend', conclusion: 'failure', title: 'Title', summary: 'Summary', annotations });
+
+      expect(helper.dryRun.record.calledOnce).to.be.true;
+      expect(helper.dryRun.record.firstCall.args[0]).to.include({ method: 'post', url: 'https://api.github.com/repos/test-owner/test-repo/check-runs' });
+      expect(helper.dryRun.record.firstCall.args[0].payload.output.annotations).to.deep.equal(annotations);
+      expect(axiosStub.post.called || axiosStub.patch.called).to.be.false;
+    });
+
+    it('should throw error when API call fails', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.post.rejects(new Error('Resource not accessible by personal access token'));
+
+      try {
+        await githubHelper.createCheckRun({ name: 'code-coverage-backend', conclusion: 'success', title: 'Title', summary: 'Summary' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Resource not accessible by personal access token');
+      }
+    });
+  });
+
+  describe('upsertPRComment', function() {
+    const marker = '<!-- github-coverage-reporter: backend -->';
+    const comments = [
+      { id: 1, body: 'LGTM' },
+      { id: 2, body: `${marker}\n## Code Coverage Report` },
+      { id: 3, body: '<!-- github-coverage-reporter: frontend -->\n## Code Coverage Report' }
+    ];
+
+    it('should update the earlier comment for the same key', async function() {
+      axiosStub.get.resolves({ data: comments });
+      axiosStub.patch.resolves({ data: { id: 2 } });
+
+      const result = await githubHelper.upsertPRComment('New report', 123, { mode: 'update', key: 'backend' });
+
+      expect(axiosStub.get.firstCall.args[0]).to.equal(
+        'https://api.github.com/repos/test-owner/test-repo/issues/123/comments?per_page=100&page=1'
+      );
+      expect(axiosStub.patch.calledOnce).to.be.true;
+      expect(axiosStub.patch.firstCall.args[0]).to.equal('https://api.github.com/repos/test-owner/test-repo/issues/comments/2');
+      expect(axiosStub.patch.firstCall.args[1]).to.deep.equal({ body: `${marker}\nNew report` });
+      expect(axiosStub.post.called).to.be.false;
+      expect(result).to.deep.equal({ id: 2 });
+    });
+
+    it('should post a new comment when there is none to update', async function() {
+      axiosStub.get.resolves({ data: [comments[0]] });
+      axiosStub.post.resolves({ data: { id: 4 } });
+
+      await githubHelper.upsertPRComment('New report', 123, { key: 'backend' });
+
+      expect(axiosStub.patch.called).to.be.false;
+      expect(axiosStub.post.firstCall.args[1]).to.deep.equal({ body: `${marker}\nNew report` });
+    });
+
+    it('should post a new comment when the update fails', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.get.resolves({ data: comments });
+      axiosStub.patch.rejects(new Error('Not Found'));
+      axiosStub.post.resolves({ data: { id: 4 } });
+
+      const result = await githubHelper.upsertPRComment('New report', 123, { mode: 'update', key: 'backend' });
+
+      expect(axiosStub.post.calledOnce).to.be.true;
+      expect(result).to.deep.equal({ id: 4 });
+    });
+
+    it('should delete the earlier comments and post a new one in recreate mode', async function() {
+      axiosStub.get.resolves({ data: [...comments, { id: 5, body: `${marker}\nOlder duplicate` }] });
+      axiosStub.delete.resolves({});
+      axiosStub.post.resolves({ data: { id: 6 } });
+
+      await githubHelper.upsertPRComment('New report', 123, { mode: 'recreate', key: 'backend' });
+
+      expect(axiosStub.delete.getCalls().map(call => call.args[0])).to.deep.equal([
+        'https://api.github.com/repos/test-owner/test-repo/issues/comments/2',
+        'https://api.github.com/repos/test-owner/test-repo/issues/comments/5'
+      ]);
+      expect(axiosStub.post.calledOnce).to.be.true;
+    });
+
+    it('should always post in append mode', async function() {
+      axiosStub.post.resolves({ data: { id: 7 } });
+
+      await githubHelper.upsertPRComment('New report', 123, { mode: 'append' });
+
+      expect(axiosStub.get.called).to.be.false;
+      expect(axiosStub.post.firstCall.args[1]).to.deep.equal({ body: '<!-- github-coverage-reporter -->\nNew report' });
+    });
+  });
+
+  describe('upsertPRComment - minimizing outdated comments', function() {
+    const marker = '<!-- github-coverage-reporter: backend -->';
+
+    beforeEach(function() {
+      axiosStub.get.resolves({ data: [
+        { id: 1, node_id: 'IC_1', body: `${marker}\nOld report` },
+        { id: 2, node_id: 'IC_2', body: 'Unrelated comment' }
+      ] });
+    });
+
+    it('should post a new comment and minimize the earlier ones as outdated', async function() {
+      axiosStub.post.onFirstCall().resolves({ data: { id: 3 } });
+      axiosStub.post.onSecondCall().resolves({ data: { data: { minimizeComment: { minimizedComment: { isMinimized: true } } } } });
+
+      const result = await githubHelper.upsertPRComment('New report', 123, { mode: 'append', key: 'backend', minimizeOutdated: true });
+
+      expect(result).to.deep.equal({ id: 3 });
+      expect(axiosStub.post.callCount).to.equal(2);
+      expect(axiosStub.post.secondCall.args[0]).to.equal('https://api.github.com/graphql');
+      expect(axiosStub.post.secondCall.args[1].query).to.include('minimizeComment');
+      expect(axiosStub.post.secondCall.args[1].variables).to.deep.equal({ subjectId: 'IC_1', classifier: 'OUTDATED' });
+    });
+
+    it('should only minimize the comment the new one replaces', async function() {
+      axiosStub.get.resolves({ data: [
+        { id: 1, node_id: 'IC_1', body: `${marker}\nFirst report` },
+        { id: 4, node_id: 'IC_4', body: `${marker}\nSecond report` }
+      ] });
+      axiosStub.post.onFirstCall().resolves({ data: { id: 5 } });
+      axiosStub.post.onSecondCall().resolves({ data: { data: { minimizeComment: { minimizedComment: { isMinimized: true } } } } });
+
+      await githubHelper.upsertPRComment('New report', 123, { mode: 'append', key: 'backend', minimizeOutdated: true });
+
+      expect(axiosStub.post.callCount).to.equal(2);
+      expect(axiosStub.post.secondCall.args[1].variables.subjectId).to.equal('IC_4');
+    });
+
+    it('should not minimize anything when the new comment could not be posted', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.post.rejects(new Error('API Error'));
+
+      const result = await githubHelper.upsertPRComment('New report', 123, { mode: 'append', key: 'backend', minimizeOutdated: true });
+
+      expect(result).to.be.null;
+      expect(axiosStub.post.calledOnce).to.be.true;
+    });
+  });
+
+  describe('minimizeComment', function() {
+    it('should report GraphQL errors as a failure', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.post.resolves({ data: { errors: [{ message: 'Resource not accessible by integration' }] } });
+
+      expect(await githubHelper.minimizeComment('IC_1')).to.be.false;
+      expect(console.log.calledWith('Error minimizing PR comment:', 'Resource not accessible by integration')).to.be.true;
+    });
+  });
+
+  describe('fetchPRComments', function() {
+    it('should return null when API call fails', async function() {
+      this.sandbox.stub(console, 'log');
+      axiosStub.get.rejects(new Error('API Error'));
+
+      expect(await githubHelper.fetchPRComments(123)).to.be.null;
+    });
   });
 
   describe('getBaseBranch', function() {
@@ -0,0 +1,182 @@
+const childProcess = require('child_process');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const PatchCoverage = require('../src/PatchCoverage');
+const LcovParser = require('../src/parsers/LcovParser');
+
+describe('PatchCoverage', function() {
+  describe('parsePatch', function() {
+    it('should return the added lines of every hunk in new-file numbering', function() {
+      const patch = [
+        '@@ -1,4 +1,5 @@',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        '+const c = 4;',
+        ' ',
+        ' module.exports = a;',
+        '@@ -20 +21,2 @@ function main() {',
+        '+  return b;',
+        '+}',
+        '\\ No newline at end of file'
+      ].join('\n');
+
+      expect(PatchCoverage.parsePatch(patch)).to.deep.equal([2, 3, 21, 22]);
+    });
+
+    it('should handle missing patches', function() {
+      expect(PatchCoverage.parsePatch(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('parseDiff', function() {
+    it('should map every changed file to its added lines', function() {
+      const diff = [
+        'diff --git a/src/app.js b/src/app.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -3,0 +4,2 @@',
+        '+++counter;',
+        '+--other;',
+        'diff --git a/src/old.js b/src/old.js',
+        'deleted file mode 100644',
+        '--- a/src/old.js',
+        '+++ /dev/null',
+        '@@ -1,2 +0,0 @@',
+        '-gone',
+        '-gone',
+        'diff --git a/src/new.js b/src/new.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1 @@',
+        '+module.exports = 1;'
+      ].join('\n');
+
+      expect(PatchCoverage.parseDiff(diff)).to.deep.equal({
+        'src/app.js': [4, 5],
+        'src/new.js': [1]
+      });
+    });
+  });
+
+  describe('fromPullRequestFiles', function() {
+    it('should skip removed files and files without a patch', function() {
+      const changedLines = PatchCoverage.fromPullRequestFiles([
+        { filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n-old\n+new' },
+        { filename: 'src/b.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-old' },
+        { filename: 'logo.png', status: 'added' }
+      ]);
+
+      expect(changedLines).to.deep.equal({ 'src/a.js': [1] });
+    });
+  });
+
+  describe('getLocalChangedLines', function() {
+    let sandbox;
+
+    beforeEach(function() {
+      sandbox = sinon.createSandbox();
+      sandbox.stub(console, 'log');
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('should diff HEAD against the merge base with the base branch', function() {
+      const exec = sandbox.stub(childProcess, 'execFileSync');
+      exec.withArgs('git', ['merge-base', 'origin/main', 'HEAD']).returns('abc123\n');
+      exec.withArgs('git', sinon.match(args => args[0] === 'diff')).returns(
+        'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-x\n+y\n'
+      );
+
+      expect(PatchCoverage.getLocalChangedLines('main', '/repo')).to.deep.equal({ 'a.js': [1] });
+      expect(exec.secondCall.args[1]).to.deep.equal(['diff', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', 'abc123', 'HEAD']);
+      expect(exec.firstCall.args[2]).to.include({ cwd: '/repo' });
+    });
+
+    it('should fall back to the local branch and give up when git fails', function() {
+      const exec = sandbox.stub(childProcess, 'execFileSync').throws(new Error('fatal: Not a valid object name'));
+
+      expect(PatchCoverage.getLocalChangedLines('main')).to.be.null;
+      expect(exec.secondCall.args[1]).to.deep.equal(['merge-base', 'main', 'HEAD']);
+    });
+
+    it('should return null without a base branch', function() {
+      expect(PatchCoverage.getLocalChangedLines(undefined)).to.be.null;
+    });
+
+    it('should find the repository root the changed paths are relative to', function() {
+      const exec = sandbox.stub(childProcess, 'execFileSync');
+      exec.onFirstCall().returns('/repo\n');
+      exec.onSecondCall().throws(new Error('fatal: not a git repository'));
+
+      expect(PatchCoverage.getRepoRoot('/repo/web')).to.equal('/repo');
+      expect(exec.firstCall.args.slice(0, 2)).to.deep.equal(['git', ['rev-parse', '--show-toplevel']]);
+      expect(PatchCoverage.getRepoRoot('/tmp/build')).to.equal('/tmp/build');
+    });
+  });
+
+  describe('calculate', function() {
+    const report = LcovParser.parse([
+      'SF:/home/runner/work/app/app/src/app.js',
+      'DA:1,1', 'DA:2,0', 'DA:3,5', 'DA:4,0',
+      'end_of_record',
+      'SF:/home/runner/work/app/app/src/util.js',
+      'DA:1,1',
+      'end_of_record'
+    ].join('\n'));
+
+    it('should count the changed lines that have hit data', function() {
+      const result = PatchCoverage.calculate(report, {
+        'src/app.js': [2, 3, 4, 10],
+        'README.md': [1]
+      }, { cwd: '/home/runner/work/app/app' });
+
+      expect(result).to.deep.equal({
+        total: 3,
+        covered: 1,
+        pct: 33.33,
+        files: { 'src/app.js': { total: 3, covered: 1, uncovered: [2, 4] } }
+      });
+    });
+
+    it('should report 100% when no coverable line changed', function() {
+      expect(PatchCoverage.calculate(report, { 'docs/a.md': [1] })).to.deep.equal({ total: 0, covered: 0, pct: 100, files: {} });
+    });
+  });
+
+  describe('findReportFile', function() {
+    const options = { cwd: '/ci/repo/web', root: '/ci/repo' };
+
+    it('should match absolute and sub-directory report paths', function() {
+      const report = { files: { '/ci/repo/web/src/a.js': {}, 'src/b.js': {}, 'b.js': {} } };
+
+      expect(PatchCoverage.findReportFile(report, 'web/src/a.js', options)).to.equal('/ci/repo/web/src/a.js');
+      expect(PatchCoverage.findReportFile(report, 'web/src/b.js', options)).to.equal('src/b.js');
+      expect(PatchCoverage.findReportFile(report, 'src/c.js', options)).to.be.undefined;
+    });
+
+    it('should match report paths relative to the report sources', function() {
+      const report = { sources: ['/ci/repo/web/lib'], files: { 'index.js': {} } };
+
+      expect(PatchCoverage.findReportFile(report, 'web/lib/index.js', options)).to.equal('index.js');
+    });
+
+    it('should not match another file with the same name', function() {
+      const report = { files: { 'src/utils/index.js': {} } };
+
+      expect(PatchCoverage.findReportFile(report, 'index.js', { cwd: '/ci/repo' })).to.be.undefined;
+    });
+  });
+
+  describe('hasLineHits', function() {
+    it('should require per-line hits', function() {
+      expect(PatchCoverage.hasLineHits({ files: { 'a.js': { hits: { lines: {} } } } })).to.be.true;
+      expect(PatchCoverage.hasLineHits({ files: { 'a.js': { lines: { pct: 1 } } } })).to.be.false;
+      expect(PatchCoverage.hasLineHits(null)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GitHubEvent = require('../src/GitHubEvent');
+const GitHubHelper = require('../src/GitHubHelper');
+const PullRequestResolver = require('../src/PullRequestResolver');
+
+describe('PullRequestResolver', function() {
+  const repoUrl = 'https://api.github.com/repos/test-owner/test-repo';
+  let sandbox;
+  let githubHelper;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(axios, 'get');
+    sandbox.stub(console, 'log');
+    delete process.env.GITHUB_EVENT_PATH;
+
+    githubHelper = new GitHubHelper({
+      owner: 'test-owner',
+      repo: 'test-repo',
+      token: 'test-token',
+      currentBranch: 'feature-branch',
+      commitSha: 'abc123'
+    });
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should use the pull request of a pull_request event', async function() {
+    const event = GitHubEvent.fromPayload({ pull_request: { number: 7, state: 'open' } }, 'pull_request');
+
+    const pr = await new PullRequestResolver(githubHelper, { event }).resolve();
+
+    expect(pr.number).to.equal(7);
+    expect(axios.get.called).to.be.false;
+  });
+
+  it('should fetch the first pull request of a workflow_run event', async function() {
+    const event = GitHubEvent.fromPayload({ workflow_run: { head_sha: 'def456', pull_requests: [{ number: 9 }] } });
+    axios.get.resolves({ data: { number: 9, state: 'open' } });
+
+    const pr = await new PullRequestResolver(githubHelper, { event }).resolve();
+
+    expect(pr.number).to.equal(9);
+    expect(axios.get.firstCall.args[0]).to.equal(`${repoUrl}/pulls/9`);
+  });
+
+  it('should fall back to the commit when the event has no pull request', async function() {
+    const event = GitHubEvent.fromPayload({ ref: 'refs/heads/feature-branch', after: 'abc123' }, 'push');
+    axios.get.resolves({ data: [{ number: 3, state: 'open' }] });
+
+    const pr = await new PullRequestResolver(githubHelper, { event }).resolve();
+
+    expect(pr.number).to.equal(3);
+    expect(axios.get.firstCall.args[0]).to.equal(`${repoUrl}/commits/abc123/pulls`);
+  });
+
+  it('should not report on the merged PR of a push to the base branch', async function() {
+    githubHelper.currentBranch = 'main';
+    axios.get.onFirstCall().resolves({ data: [{ number: 4, state: 'closed', merged_at: '2024-01-01T12:00:00Z' }] });
+    axios.get.resolves({ data: [] });
+
+    const pr = await new PullRequestResolver(githubHelper).resolve();
+
+    expect(pr).to.be.null;
+  });
+
+  it('should move on to the next lookup when one fails', async function() {
+    axios.get.onFirstCall().rejects(new Error('Not Found'));
+    axios.get.onSecondCall().resolves({ data: [{ number: 5, state: 'open' }] });
+
+    const pr = await new PullRequestResolver(githubHelper, { prNumber: 99 }).resolve();
+
+    expect(pr.number).to.equal(5);
+    expect(axios.get.secondCall.args[0]).to.equal(`${repoUrl}/commits/abc123/pulls`);
+  });
+
+  describe('head branch search', function() {
+    beforeEach(function() {
+      githubHelper.commitSha = undefined;
+    });
+
+    it('should search the open pull requests of the branch', async function() {
+      axios.get.resolves({ data: [{ number: 2, state: 'open' }] });
+
+      const pr = await new PullRequestResolver(githubHelper).resolve();
+
+      expect(pr.number).to.equal(2);
+      expect(axios.get.firstCall.args[0]).to.equal(`${repoUrl}/pulls?state=open&head=test-owner:feature-branch&per_page=100&page=1`);
+    });
+
+    it('should find pull requests from forks whose head is the current commit', async function() {
+      githubHelper.commitSha = 'abc123';
+      const otherPRs = Array.from({ length: 100 }, (_, i) => ({ number: 100 + i, state: 'open', head: { ref: `branch-${i}` } }));
+      const forkHead = { ref: 'feature-branch', sha: 'abc123', repo: { full_name: 'contributor/test-repo' } };
+      axios.get.onCall(0).resolves({ data: [] });
+      axios.get.onCall(1).resolves({ data: [] });
+      axios.get.onCall(2).resolves({ data: otherPRs });
+      axios.get.onCall(3).resolves({ data: [{ number: 8, state: 'open', head: forkHead }] });
+
+      const pr = await new PullRequestResolver(githubHelper).resolve();
+
+      expect(pr.number).to.equal(8);
+      expect(axios.get.getCall(3).args[0]).to.equal(`${repoUrl}/pulls?state=open&per_page=100&page=2`);
+    });
+
+    it('should not take a fork pull request that only shares the branch name', async function() {
+      githubHelper.currentBranch = 'main';
+      githubHelper.commitSha = 'push123';
+      const forkHead = { ref: 'main', sha: 'fork456', repo: { full_name: 'contributor/test-repo' } };
+      axios.get.resolves({ data: [] });
+      axios.get.withArgs(`${repoUrl}/pulls?state=open&per_page=100&page=1`).resolves({ data: [{ number: 42, state: 'open', head: forkHead }] });
+
+      const pr = await new PullRequestResolver(githubHelper).resolve();
+
+      expect(pr).to.be.null;
+    });
+
+    it('should return null when no pull request matches', async function() {
+      axios.get.resolves({ data: [] });
+
+      const pr = await new PullRequestResolver(githubHelper).resolve();
+
+      expect(pr).to.be.null;
+    });
+  });
+});
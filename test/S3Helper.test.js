@@ -1,4 +1,5 @@
 const { GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const DryRun = require('../src/DryRun');
 const S3Helper = require('../src/S3Helper');
 
 describe('S3Helper', function() {
@@ -135,6 +136,30 @@ describe('S3Helper', function() {
       expect(command.input.Body).to.equal('{"test":"data"}');
       expect(result).to.equal(mockResponse);
     });
+
+    it('should record the upload instead of sending it in a dry run', async function() {
+      const dryRun = new DryRun();
+      this.sandbox.stub(dryRun, 'record');
+      s3Helper.dryRun = dryRun;
+
+      await s3Helper.upload('coverage.json', '{"main":{}}');
+
+      expect(mockS3Client.send.called).to.be.false;
+      expect(dryRun.record.calledOnceWith({ type: 's3', bucket: 'test-bucket', key: 'test-folder/coverage.json', body: '{"main":{}}' })).to.be.true;
+    });
+  });
+
+  describe('getFilesFileName', function() {
+    it('should name the per-file baselines after the totals file', function() {
+      expect(S3Helper.getFilesFileName('coverage.json')).to.equal('coverage-files.json');
+      expect(S3Helper.getFilesFileName('coverage')).to.equal('coverage-files.json');
+    });
+  });
+
+  describe('getCommitsFileName', function() {
+    it('should name the commit records after the totals file', function() {
+      expect(S3Helper.getCommitsFileName('coverage.json')).to.equal('coverage-commits.json');
+    });
   });
 
   describe('getCoverageJsonFile', function() {
@@ -45,6 +45,8 @@ describe('CLI Run Script', function() {
     expect(content).to.include('--no-comments');
     expect(content).to.include('--no-status');
     expect(content).to.include('--no-s3');
+    expect(content).to.include('--dry-run');
+    expect(content).to.include('--fail-on');
   });
 
   it('should parse command line arguments correctly', function() {
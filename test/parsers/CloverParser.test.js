@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const CloverParser = require('../../src/parsers/CloverParser');
+
+describe('CloverParser', function() {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<coverage generated="1700000000">
+  <project timestamp="1700000000" name="All files">
+    <metrics statements="6" coveredstatements="4" conditionals="2" coveredconditionals="1" methods="2" coveredmethods="1"/>
+    <package name="src">
+      <metrics statements="4" coveredstatements="3"/>
+      <file name="Service.php" path="/app/src/Service.php">
+        <class name="Service" namespace="App">
+          <metrics methods="2" coveredmethods="1" statements="4" coveredstatements="3"/>
+        </class>
+        <line num="3" type="method" name="handle" visibility="public" complexity="1" count="2"/>
+        <line num="4" type="stmt" count="2"/>
+        <line num="5" type="cond" truecount="1" falsecount="0" count="2"/>
+        <line num="6" type="stmt" count="1"/>
+        <line num="9" type="method" name="unused" visibility="public" complexity="1" count="0"/>
+        <line num="10" type="stmt" count="0"/>
+        <metrics loc="12" ncloc="10" classes="1" methods="2" coveredmethods="1" conditionals="2" coveredconditionals="1" statements="4" coveredstatements="3" elements="8" coveredelements="5"/>
+      </file>
+    </package>
+    <file name="helper.js" path="/app/helper.js">
+      <line num="1" count="1" type="stmt"/>
+      <line num="2" count="0" type="stmt"/>
+    </file>
+  </project>
+</coverage>`;
+
+  describe('parse', function() {
+    it('should read file metrics', function() {
+      const report = CloverParser.parse(xml);
+      const file = report.files['/app/src/Service.php'];
+
+      expect(report.format).to.equal('clover');
+      expect(file.statements).to.deep.equal({ total: 4, covered: 3, skipped: 0, pct: 75 });
+      expect(file.branches).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(file.functions).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(file.lines).to.deep.equal({ total: 4, covered: 3, skipped: 0, pct: 75 });
+      expect(file.hits.lines).to.deep.equal({ 4: 2, 5: 2, 6: 1, 10: 0 });
+      expect(file.hits.branches).to.deep.equal({ '5:0': 1, '5:1': 0 });
+      expect(file.hits.statements).to.deep.equal({ 4: 2, 5: 2, 6: 1, 10: 0 });
+    });
+
+    it('should count line elements when metrics are missing and compute totals', function() {
+      const report = CloverParser.parse(xml);
+
+      expect(report.files['/app/helper.js'].statements.pct).to.equal(50);
+      expect(report.total.statements).to.deep.equal({ total: 6, covered: 4, skipped: 0, pct: 66.66 });
+      expect(report.total.lines.total).to.equal(6);
+    });
+
+    it('should reject XML without a project element', function() {
+      expect(() => CloverParser.parse('<coverage line-rate="1"><packages/></coverage>')).to.throw('<project> element not found');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const CoberturaParser = require('../../src/parsers/CoberturaParser');
+
+describe('CoberturaParser', function() {
+  const xml = `<?xml version="1.0" ?>
+<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">
+<coverage line-rate="0.6" branch-rate="0.5" lines-covered="3" lines-valid="5" branches-covered="1" branches-valid="2" version="7.4" timestamp="1700000000">
+  <!-- Generated by coverage.py -->
+  <sources>
+    <source>/home/ci/project</source>
+  </sources>
+  <packages>
+    <package name="app" line-rate="0.6" branch-rate="0.5" complexity="0">
+      <classes>
+        <class name="main.py" filename="app/main.py" line-rate="0.6667" branch-rate="0.5" complexity="0">
+          <methods>
+            <method name="run" signature="()V" line-rate="1">
+              <lines><line number="1" hits="2"/></lines>
+            </method>
+            <method name="stop" signature="()V" line-rate="0">
+              <lines><line number="3" hits="0"/></lines>
+            </method>
+          </methods>
+          <lines>
+            <line number="1" hits="2"/>
+            <line number="2" hits="1" branch="true" condition-coverage="50% (1/2)"/>
+            <line number="3" hits="0"/>
+          </lines>
+        </class>
+        <class name="util.py" filename="app/util.py" line-rate="0.5" branch-rate="1" complexity="0">
+          <methods/>
+          <lines>
+            <line number="1" hits="0"/>
+            <line number="2" hits="5"/>
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+  describe('parse', function() {
+    it('should read overall rates and counters', function() {
+      const report = CoberturaParser.parse(xml);
+
+      expect(report.format).to.equal('cobertura');
+      expect(report.lineRate).to.equal(60);
+      expect(report.branchRate).to.equal(50);
+      expect(report.total.lines).to.deep.equal({ total: 5, covered: 3, skipped: 0, pct: 60 });
+      expect(report.total.branches).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(report.sources).to.deep.equal(['/home/ci/project']);
+    });
+
+    it('should build per-file numbers from line hits', function() {
+      const report = CoberturaParser.parse(xml);
+
+      expect(report.files['app/main.py'].lines).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+      expect(report.files['app/main.py'].branches).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(report.files['app/main.py'].functions).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(report.files['app/main.py'].hits.lines).to.deep.equal({ 1: 2, 2: 1, 3: 0 });
+      expect(report.files['app/util.py'].functions).to.be.undefined;
+    });
+
+    it('should expose package and class numbers', function() {
+      const report = CoberturaParser.parse(xml);
+      const pkg = report.packages.app;
+
+      expect(pkg.lineRate).to.equal(60);
+      expect(pkg.lines).to.deep.equal({ total: 5, covered: 3, skipped: 0, pct: 60 });
+      expect(pkg.classes['main.py'].lineRate).to.equal(66.67);
+      expect(pkg.classes['util.py'].filename).to.equal('app/util.py');
+    });
+
+    it('should merge classes that share a source file', function() {
+      const report = CoberturaParser.parse(`<coverage line-rate="1"><packages><package name="p"><classes>
+        <class name="A" filename="A.java"><lines><line number="1" hits="0"/></lines></class>
+        <class name="A$Inner" filename="A.java"><lines><line number="1" hits="3"/><line number="2" hits="1"/></lines></class>
+      </classes></package></packages></coverage>`);
+
+      expect(report.files['A.java'].hits.lines).to.deep.equal({ 1: 3, 2: 1 });
+      expect(report.total.lines.pct).to.equal(100);
+    });
+
+    it('should reject XML that is not a Cobertura report', function() {
+      expect(() => CoberturaParser.parse('<report name="x"></report>')).to.throw('Not a Cobertura report');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const CoveragePyParser = require('../../src/parsers/CoveragePyParser');
+
+describe('CoveragePyParser', function() {
+  const report = {
+    meta: { version: '7.4.0', branch_coverage: true },
+    files: {
+      'app/main.py': {
+        executed_lines: [1, 2, 4],
+        missing_lines: [5],
+        excluded_lines: [],
+        executed_branches: [[2, 4]],
+        missing_branches: [[2, 5]],
+        summary: { covered_lines: 3, num_statements: 4, missing_lines: 1, excluded_lines: 0, num_branches: 2, covered_branches: 1 }
+      }
+    },
+    totals: { covered_lines: 3, num_statements: 4, missing_lines: 1, excluded_lines: 0, num_branches: 2, covered_branches: 1 }
+  };
+
+  describe('parse', function() {
+    it('should read totals and per-file numbers', function() {
+      const result = CoveragePyParser.parse(JSON.stringify(report));
+
+      expect(result.format).to.equal('coveragepy');
+      expect(result.total.lines).to.deep.equal({ total: 4, covered: 3, skipped: 0, pct: 75 });
+      expect(result.total.branches.pct).to.equal(50);
+      expect(result.files['app/main.py'].lines.pct).to.equal(75);
+      expect(result.files['app/main.py'].hits.lines).to.deep.equal({ 1: 1, 2: 1, 4: 1, 5: 0 });
+      expect(result.files['app/main.py'].hits.branches).to.deep.equal({ '2:4': 1, '2:5': 0 });
+    });
+
+    it('should omit branches when not measured', function() {
+      const result = CoveragePyParser.parse(JSON.stringify({
+        meta: {},
+        files: {},
+        totals: { covered_lines: 1, num_statements: 2 }
+      }));
+
+      expect(result.total.lines.pct).to.equal(50);
+      expect(result.total.branches).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const CoverageSummary = require('../../src/parsers/CoverageSummary');
+const LcovParser = require('../../src/parsers/LcovParser');
+const IstanbulFinalParser = require('../../src/parsers/IstanbulFinalParser');
+const GoCoverParser = require('../../src/parsers/GoCoverParser');
+const CloverParser = require('../../src/parsers/CloverParser');
+
+describe('CoverageSummary', function() {
+  describe('percent', function() {
+    it('should truncate to two decimals like istanbul', function() {
+      expect(CoverageSummary.percent(2, 3)).to.equal(66.66);
+      expect(CoverageSummary.percent(0, 0)).to.equal(100);
+    });
+  });
+
+  describe('mergeReports', function() {
+    it('should merge LCOV shards by summing hits', function() {
+      const shard1 = LcovParser.parse([
+        'SF:src/app.js', 'BRDA:4,0,0,1', 'BRDA:4,0,1,-', 'DA:1,1', 'DA:2,0', 'DA:3,0', 'end_of_record',
+        'SF:src/only-one.js', 'DA:1,1', 'end_of_record'
+      ].join('\n'));
+      const shard2 = LcovParser.parse([
+        'SF:src/app.js', 'BRDA:4,0,0,-', 'BRDA:4,0,1,2', 'DA:1,0', 'DA:2,4', 'DA:3,0', 'end_of_record'
+      ].join('\n'));
+
+      const report = CoverageSummary.mergeReports([shard1, shard2]);
+
+      expect(report.format).to.equal('lcov');
+      expect(report.files['src/app.js'].lines).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+      expect(report.files['src/app.js'].branches).to.deep.equal({ total: 2, covered: 2, skipped: 0, pct: 100 });
+      expect(report.files['src/app.js'].hits.lines).to.deep.equal({ 1: 1, 2: 4, 3: 0 });
+      expect(report.files['src/only-one.js'].lines.covered).to.equal(1);
+      // Not the average of the shard percentages (33.33% and 33.33% for lines)
+      expect(report.total.lines).to.deep.equal({ total: 4, covered: 3, skipped: 0, pct: 75 });
+    });
+
+    it('should merge Istanbul coverage-final.json shards', function() {
+      const fileCoverage = (s) => ({
+        '/app/a.js': {
+          path: '/app/a.js',
+          statementMap: {
+            0: { start: { line: 1, column: 0 }, end: { line: 1, column: 10 } },
+            1: { start: { line: 2, column: 0 }, end: { line: 2, column: 10 } }
+          },
+          s,
+          fnMap: {},
+          f: {},
+          branchMap: {},
+          b: {}
+        }
+      });
+
+      const report = CoverageSummary.mergeReports([
+        IstanbulFinalParser.parse(JSON.stringify(fileCoverage({ 0: 1, 1: 0 }))),
+        IstanbulFinalParser.parse(JSON.stringify(fileCoverage({ 0: 0, 1: 3 })))
+      ]);
+
+      expect(report.total.statements.pct).to.equal(100);
+      expect(report.total.lines.pct).to.equal(100);
+    });
+
+    it('should merge Go shards by the statement count of their blocks', function() {
+      const shard = (counts) => GoCoverParser.parse([
+        'mode: set',
+        `example.com/app/main.go:3.10,8.2 10 ${counts[0]}`,
+        `example.com/app/main.go:10.5,11.2 1 ${counts[1]}`
+      ].join('\n'));
+
+      const report = CoverageSummary.mergeReports([shard([1, 0]), shard([1, 1])]);
+
+      // Not 1/2 from counting the blocks
+      expect(report.files['example.com/app/main.go'].statements).to.deep.equal({ total: 11, covered: 11, skipped: 0, pct: 100 });
+    });
+
+    it('should merge the statements of Clover shards', function() {
+      const shard = (counts) => CloverParser.parse([
+        '<coverage><project><file path="src/a.php">',
+        `<line num="1" type="stmt" count="${counts[0]}"/>`,
+        `<line num="2" type="stmt" count="${counts[1]}"/>`,
+        '<metrics statements="2" coveredstatements="1"/>',
+        '</file></project></coverage>'
+      ].join('\n'));
+
+      const report = CoverageSummary.mergeReports([shard([1, 0]), shard([0, 3])]);
+
+      expect(report.total.statements).to.deep.equal({ total: 2, covered: 2, skipped: 0, pct: 100 });
+    });
+
+    it('should keep the most covered summary when the hits do not count the items', function() {
+      const summary = (covered, hit) => ({
+        format: 'custom',
+        total: {},
+        files: { 'a.js': { statements: CoverageSummary.createMetric(10, covered), hits: { statements: { block: hit } } } }
+      });
+
+      const report = CoverageSummary.mergeReports([summary(4, 1), summary(7, 1)]);
+
+      expect(report.total.statements).to.deep.equal({ total: 10, covered: 7, skipped: 0, pct: 70 });
+    });
+
+    it('should keep the most covered summary for files without hits', function() {
+      const summary = (covered) => ({
+        format: 'istanbul',
+        total: {},
+        files: { 'a.js': { statements: CoverageSummary.createMetric(10, covered) } }
+      });
+
+      const report = CoverageSummary.mergeReports([summary(4), summary(7)]);
+
+      expect(report.total.statements).to.deep.equal({ total: 10, covered: 7, skipped: 0, pct: 70 });
+      expect(report.files['a.js']).to.not.have.property('hits');
+    });
+
+    it('should return a single report unchanged', function() {
+      const report = { format: 'simplecov', total: { lines: { pct: 90 } }, files: {} };
+
+      expect(CoverageSummary.mergeReports([report])).to.equal(report);
+    });
+
+    it('should reject reports without per-file data', function() {
+      const report = { format: 'simplecov', total: { lines: { pct: 90 } }, files: {} };
+
+      expect(() => CoverageSummary.mergeReports([report, report]))
+        .to.throw('Cannot merge simplecov coverage reports: they have no per-file data');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const CustomParser = require('../../src/parsers/CustomParser');
+
+describe('CustomParser', function() {
+  let root;
+
+  const writeModule = (name, source) => {
+    const modulePath = path.join(root, name);
+    fs.writeFileSync(modulePath, source);
+    return modulePath;
+  };
+
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-parser-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('isModulePath', function() {
+    it('should tell module paths from format names', function() {
+      expect(CustomParser.isModulePath('./tools/my-parser.js')).to.be.true;
+      expect(CustomParser.isModulePath('../parsers/llvm')).to.be.true;
+      expect(CustomParser.isModulePath('/opt/parsers/perl.cjs')).to.be.true;
+      expect(CustomParser.isModulePath('lcov')).to.be.false;
+      expect(CustomParser.isModulePath(undefined)).to.be.false;
+    });
+  });
+
+  describe('load', function() {
+    it('should wrap a module exporting parse()', function() {
+      const modulePath = writeModule('llvm-parser.js', `
+        module.exports = {
+          format: 'llvm-cov',
+          defaultMetric: 'regions',
+          parse(content, context) {
+            const data = JSON.parse(content);
+            return {
+              total: { regions: { total: data.count, covered: data.covered, skipped: 0, pct: 50 } },
+              files: { [context.filePath]: { regions: { total: data.count, covered: data.covered, skipped: 0, pct: 50 } } }
+            };
+          }
+        };
+      `);
+
+      const parser = CustomParser.load(modulePath);
+      const report = parser.parse('{"count": 4, "covered": 2}', { filePath: 'src/lib.rs' });
+
+      expect(parser.format).to.equal('llvm-cov');
+      expect(parser.defaultMetric).to.equal('regions');
+      expect(report.format).to.equal('llvm-cov');
+      expect(report.total.regions.pct).to.equal(50);
+      expect(report.files['src/lib.rs'].regions.covered).to.equal(2);
+    });
+
+    it('should accept a module that is the parse function and default the files', function() {
+      const modulePath = writeModule('perl-parser.js', `
+        module.exports = (content) => ({ total: { lines: { pct: Number(content) } } });
+      `);
+
+      const parser = CustomParser.load(modulePath);
+
+      expect(parser.format).to.equal('perl-parser');
+      expect(parser.defaultMetric).to.equal('lines');
+      expect(parser.parse('72.5')).to.deep.equal({ format: 'perl-parser', files: {}, total: { lines: { pct: 72.5 } } });
+    });
+
+    it('should resolve relative paths from the working directory', function() {
+      writeModule('relative.js', 'module.exports = () => ({ total: { lines: { pct: 1 } } });');
+
+      expect(CustomParser.load('./relative.js', root).format).to.equal('relative');
+    });
+
+    it('should fail for missing modules', function() {
+      expect(() => CustomParser.load('./missing-parser.js', root))
+        .to.throw('Could not load coverage parser ./missing-parser.js: Cannot find module');
+    });
+
+    it('should fail for modules without a parse function', function() {
+      const modulePath = writeModule('no-parse.js', 'module.exports = { format: \'x\' };');
+
+      expect(() => CustomParser.load(modulePath)).to.throw(`Coverage parser ${modulePath} must export a parse(content) function`);
+    });
+
+    it('should reject output that is not a normalized report', function() {
+      const modulePath = writeModule('broken.js', `
+        module.exports = () => ({
+          total: { lines: { total: 2, covered: 3, pct: 150 }, branches: 80 },
+          files: { 'a.pl': { lines: { pct: 'high' }, hits: { lines: { 1: 'yes' } } } }
+        });
+      `);
+
+      expect(() => CustomParser.load(modulePath).parse('')).to.throw(
+        `Invalid report from coverage parser ${modulePath}: ` +
+        'total.lines.pct must be a number between 0 and 100; ' +
+        'total.lines.covered must not be greater than total; ' +
+        'total.branches must be an object ({ total, covered, skipped, pct }); ' +
+        'files["a.pl"].lines.pct must be a number between 0 and 100; ' +
+        'files["a.pl"].hits.lines must map items to hit counts'
+      );
+    });
+
+    it('should accept per-item weights and check them like hits', function() {
+      const valid = writeModule('weighted.js', `
+        module.exports = () => ({
+          total: { statements: { total: 3, covered: 2, pct: 66.66 } },
+          files: { 'a.go': { statements: { total: 3, covered: 2, pct: 66.66 }, hits: { statements: { b1: 1, b2: 0 } }, weights: { statements: { b1: 2, b2: 1 } } } }
+        });
+      `);
+      const invalid = writeModule('bad-weights.js', `
+        module.exports = () => ({ total: { lines: { pct: 1 } }, files: { 'a.go': { weights: { statements: { b1: 'two' } } } } });
+      `);
+
+      expect(CustomParser.load(valid).parse('').files['a.go'].weights).to.deep.equal({ statements: { b1: 2, b2: 1 } });
+      expect(() => CustomParser.load(invalid).parse('')).to.throw('files["a.go"].weights.statements must map items to weight counts');
+    });
+
+    it('should reject asynchronous parsers', function() {
+      const modulePath = writeModule('async.js', 'module.exports = async () => ({ total: {} });');
+
+      expect(() => CustomParser.load(modulePath).parse('')).to.throw('parse() must return the report, not a promise');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const FormatDetector = require('../../src/parsers/FormatDetector');
+
+describe('FormatDetector', function() {
+  describe('detect', function() {
+    it('should detect Istanbul summaries', function() {
+      expect(FormatDetector.detect(JSON.stringify({ total: { lines: { pct: 80 } } }))).to.equal('istanbul');
+    });
+
+    it('should detect Istanbul coverage-final.json', function() {
+      const final = { '/app/a.js': { path: '/app/a.js', statementMap: {}, fnMap: {}, branchMap: {}, s: {}, f: {}, b: {} } };
+      expect(FormatDetector.detect(JSON.stringify(final))).to.equal('istanbul-final');
+    });
+
+    it('should detect coverage.py and SimpleCov JSON', function() {
+      expect(FormatDetector.detect(JSON.stringify({ meta: {}, files: {}, totals: {} }))).to.equal('coveragepy');
+      expect(FormatDetector.detect(JSON.stringify({ result: { line: 91.2 } }))).to.equal('simplecov');
+      expect(FormatDetector.detect(JSON.stringify({ result: { covered_percent: 91.2 } }))).to.equal('simplecov');
+    });
+
+    it('should treat unknown or invalid JSON as Istanbul for custom key paths', function() {
+      expect(FormatDetector.detect('{"custom": {"coverage": 80}}')).to.equal('istanbul');
+      expect(FormatDetector.detect('{ invalid')).to.equal('istanbul');
+    });
+
+    it('should detect LCOV and Go profiles', function() {
+      expect(FormatDetector.detect('TN:\nSF:src/a.js\nDA:1,1\nend_of_record')).to.equal('lcov');
+      expect(FormatDetector.detect('SF:src/a.js\nend_of_record')).to.equal('lcov');
+      expect(FormatDetector.detect('mode: atomic\nexample.com/a.go:1.1,2.2 1 1')).to.equal('go');
+    });
+
+    it('should detect XML formats from the root element', function() {
+      const prolog = '<?xml version="1.0"?>\n<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">\n';
+      expect(FormatDetector.detect(`${prolog}<report name="x"></report>`)).to.equal('jacoco');
+      expect(FormatDetector.detect('<?xml version="1.0"?>\n<!-- coverage.py --><coverage line-rate="1"><packages/></coverage>')).to.equal('cobertura');
+      expect(FormatDetector.detect('<coverage generated="1"><project timestamp="1"></project></coverage>')).to.equal('clover');
+    });
+
+    it('should throw a descriptive error for unknown content', function() {
+      expect(() => FormatDetector.detect('hello world')).to.throw('Could not detect the coverage format');
+      expect(() => FormatDetector.detect('<html></html>')).to.throw('unknown XML root element <html>');
+    });
+  });
+});
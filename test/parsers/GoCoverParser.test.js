@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+const GoCoverParser = require('../../src/parsers/GoCoverParser');
+
+describe('GoCoverParser', function() {
+  describe('parse', function() {
+    it('should compute statement and line coverage per file', function() {
+      const report = GoCoverParser.parse([
+        'mode: set',
+        'example.com/app/main.go:5.13,7.2 2 1',
+        'example.com/app/main.go:9.20,11.2 1 0',
+        'example.com/app/util/util.go:3.10,4.2 3 1'
+      ].join('\n'));
+      const file = report.files['example.com/app/main.go'];
+
+      expect(report.format).to.equal('go');
+      expect(file.statements).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+      expect(file.lines).to.deep.equal({ total: 6, covered: 3, skipped: 0, pct: 50 });
+      expect(file.hits.lines[5]).to.equal(1);
+      expect(file.hits.lines[10]).to.equal(0);
+      expect(report.total.statements).to.deep.equal({ total: 6, covered: 5, skipped: 0, pct: 83.33 });
+    });
+
+    it('should merge repeated blocks according to the mode', function() {
+      const profile = (mode) => [
+        `mode: ${mode}`,
+        'example.com/app/main.go:5.13,7.2 2 0',
+        'example.com/app/main.go:5.13,7.2 2 3',
+        'example.com/app/main.go:5.13,7.2 2 2'
+      ].join('\n');
+
+      expect(GoCoverParser.parse(profile('set')).files['example.com/app/main.go'].hits.statements['5.13,7.2']).to.equal(3);
+      expect(GoCoverParser.parse(profile('count')).files['example.com/app/main.go'].hits.statements['5.13,7.2']).to.equal(5);
+      expect(GoCoverParser.parse(profile('atomic')).total.statements.pct).to.equal(100);
+    });
+
+    it('should reject content without a mode line', function() {
+      expect(() => GoCoverParser.parse('SF:src/a.js\nend_of_record')).to.throw('Not a Go coverage profile');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const IstanbulFinalParser = require('../../src/parsers/IstanbulFinalParser');
+
+describe('IstanbulFinalParser', function() {
+  const location = (line, column = 0) => ({ start: { line, column }, end: { line, column: column + 5 } });
+  const coverage = {
+    '/app/src/a.js': {
+      path: '/app/src/a.js',
+      statementMap: {
+        0: location(1),
+        1: location(2),
+        2: location(2, 10),
+        3: location(5)
+      },
+      s: { 0: 1, 1: 0, 2: 4, 3: 0 },
+      fnMap: {
+        0: { name: 'main', decl: location(1), loc: location(1), line: 1 },
+        1: { name: 'unused', decl: location(4), loc: location(4), line: 4 }
+      },
+      f: { 0: 1, 1: 0 },
+      branchMap: {
+        0: { loc: location(2), type: 'if', locations: [location(2), location(3)], line: 2 }
+      },
+      b: { 0: [4, 0] }
+    }
+  };
+
+  describe('parse', function() {
+    it('should compute totals from the hit maps', function() {
+      const report = IstanbulFinalParser.parse(JSON.stringify(coverage));
+      const file = report.files['/app/src/a.js'];
+
+      expect(report.format).to.equal('istanbul-final');
+      expect(file.statements).to.deep.equal({ total: 4, covered: 2, skipped: 0, pct: 50 });
+      expect(file.functions).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(file.branches).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(report.total.statements.pct).to.equal(50);
+    });
+
+    it('should derive line hits from the statements starting on each line', function() {
+      const report = IstanbulFinalParser.parse(JSON.stringify(coverage));
+      const file = report.files['/app/src/a.js'];
+
+      expect(file.hits.lines).to.deep.equal({ 1: 1, 2: 4, 5: 0 });
+      expect(file.lines).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+      expect(file.hits.branches).to.deep.equal({ '0:0': 4, '0:1': 0 });
+    });
+
+    it('should reject entries without a statement map', function() {
+      expect(() => IstanbulFinalParser.parse(JSON.stringify({ total: { lines: {} } })))
+        .to.throw('Not an Istanbul coverage-final.json');
+    });
+  });
+});
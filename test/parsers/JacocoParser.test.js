@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const JacocoParser = require('../../src/parsers/JacocoParser');
+
+describe('JacocoParser', function() {
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<report name="backend">
+  <sessioninfo id="ci" start="1700000000000" dump="1700000001000"/>
+  <package name="com/example">
+    <class name="com/example/Service" sourcefilename="Service.kt">
+      <method name="run" desc="()V" line="3">
+        <counter type="INSTRUCTION" missed="0" covered="4"/>
+      </method>
+      <counter type="INSTRUCTION" missed="2" covered="8"/>
+    </class>
+    <sourcefile name="Service.kt">
+      <line nr="3" mi="0" ci="4" mb="0" cb="0"/>
+      <line nr="4" mi="0" ci="4" mb="1" cb="1"/>
+      <line nr="5" mi="2" ci="0" mb="0" cb="0"/>
+      <counter type="INSTRUCTION" missed="2" covered="8"/>
+      <counter type="BRANCH" missed="1" covered="1"/>
+      <counter type="LINE" missed="1" covered="2"/>
+      <counter type="COMPLEXITY" missed="1" covered="2"/>
+      <counter type="METHOD" missed="0" covered="2"/>
+      <counter type="CLASS" missed="0" covered="1"/>
+    </sourcefile>
+    <counter type="INSTRUCTION" missed="2" covered="8"/>
+    <counter type="LINE" missed="1" covered="2"/>
+  </package>
+  <counter type="INSTRUCTION" missed="5" covered="15"/>
+  <counter type="BRANCH" missed="1" covered="3"/>
+  <counter type="LINE" missed="2" covered="6"/>
+  <counter type="COMPLEXITY" missed="2" covered="4"/>
+  <counter type="METHOD" missed="1" covered="3"/>
+  <counter type="CLASS" missed="0" covered="2"/>
+</report>`;
+
+  describe('parse', function() {
+    it('should read report-level counters as totals', function() {
+      const report = JacocoParser.parse(xml);
+
+      expect(report.format).to.equal('jacoco');
+      expect(report.total.instructions).to.deep.equal({ total: 20, covered: 15, skipped: 0, pct: 75 });
+      expect(report.total.branches.pct).to.equal(75);
+      expect(report.total.lines.pct).to.equal(75);
+      expect(report.total.functions.pct).to.equal(75);
+      expect(report.total.complexity).to.deep.equal({ total: 6, covered: 4, skipped: 0, pct: 66.66 });
+    });
+
+    it('should read package counters', function() {
+      const report = JacocoParser.parse(xml);
+
+      expect(report.packages['com/example'].instructions.pct).to.equal(80);
+      expect(report.packages['com/example'].lines).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+    });
+
+    it('should read sourcefile counters and line hits', function() {
+      const report = JacocoParser.parse(xml);
+      const file = report.files['com/example/Service.kt'];
+
+      expect(file.lines).to.deep.equal({ total: 3, covered: 2, skipped: 0, pct: 66.66 });
+      expect(file.branches.pct).to.equal(50);
+      expect(file.hits.lines).to.deep.equal({ 3: 4, 4: 4, 5: 0 });
+      expect(file.hits.branches).to.deep.equal({ '4:0': 1, '4:1': 0 });
+    });
+
+    it('should read packages nested in groups', function() {
+      const report = JacocoParser.parse(`<report name="all"><group name="module">
+        <package name="a"><sourcefile name="A.java"><counter type="LINE" missed="1" covered="1"/></sourcefile></package>
+      </group></report>`);
+
+      expect(report.files['a/A.java'].lines.pct).to.equal(50);
+      expect(report.total.lines.pct).to.equal(50);
+    });
+  });
+
+  describe('metricForCounter', function() {
+    it('should map counters to metric names case-insensitively', function() {
+      expect(JacocoParser.metricForCounter('INSTRUCTION')).to.equal('instructions');
+      expect(JacocoParser.metricForCounter('method')).to.equal('functions');
+    });
+
+    it('should throw for unknown counters', function() {
+      expect(() => JacocoParser.metricForCounter('STATEMENT')).to.throw('Unknown coverage counter: STATEMENT');
+    });
+  });
+});
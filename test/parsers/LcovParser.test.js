@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const LcovParser = require('../../src/parsers/LcovParser');
+
+describe('LcovParser', function() {
+  const lcov = [
+    'TN:',
+    'SF:src/app.js',
+    'FN:1,main',
+    'FN:10,helper',
+    'FNDA:3,main',
+    'FNDA:0,helper',
+    'FNF:2',
+    'FNH:1',
+    'BRDA:4,0,0,2',
+    'BRDA:4,0,1,-',
+    'BRF:2',
+    'BRH:1',
+    'DA:1,3',
+    'DA:2,3',
+    'DA:10,0',
+    'DA:11,0',
+    'LF:4',
+    'LH:2',
+    'end_of_record',
+    'SF:src/util.js',
+    'DA:1,1',
+    'DA:2,1',
+    'end_of_record'
+  ].join('\n');
+
+  describe('parse', function() {
+    it('should build per-file metrics from summary records', function() {
+      const report = LcovParser.parse(lcov);
+
+      expect(report.format).to.equal('lcov');
+      expect(report.files['src/app.js'].lines).to.deep.equal({ total: 4, covered: 2, skipped: 0, pct: 50 });
+      expect(report.files['src/app.js'].branches).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+      expect(report.files['src/app.js'].functions).to.deep.equal({ total: 2, covered: 1, skipped: 0, pct: 50 });
+    });
+
+    it('should count detail records when summary records are missing', function() {
+      const report = LcovParser.parse(lcov);
+
+      expect(report.files['src/util.js'].lines).to.deep.equal({ total: 2, covered: 2, skipped: 0, pct: 100 });
+      // No FN/FNF or BRDA/BRF records: the file has no function or branch data
+      expect(report.files['src/util.js']).to.not.have.property('functions');
+      expect(report.files['src/util.js']).to.not.have.property('branches');
+    });
+
+    it('should leave out metrics no record reports', function() {
+      const report = LcovParser.parse('SF:src/a.js\nDA:1,1\nDA:2,0\nLF:2\nLH:1\nend_of_record\nSF:src/a.js\nDA:2,1\nend_of_record');
+
+      expect(report.total.lines.pct).to.equal(100);
+      expect(report.total).to.not.have.any.keys('branches', 'functions');
+    });
+
+    it('should compute totals across files', function() {
+      const report = LcovParser.parse(lcov);
+
+      expect(report.total.lines).to.deep.equal({ total: 6, covered: 4, skipped: 0, pct: 66.66 });
+      expect(report.total.branches.pct).to.equal(50);
+      expect(report.total.statements).to.be.undefined;
+    });
+
+    it('should keep per-line hit data', function() {
+      const report = LcovParser.parse(lcov);
+
+      expect(report.files['src/app.js'].hits.lines).to.deep.equal({ 1: 3, 2: 3, 10: 0, 11: 0 });
+      expect(report.files['src/app.js'].hits.branches).to.deep.equal({ '4:0:0': 2, '4:0:1': 0 });
+      expect(report.files['src/app.js'].hits.functions).to.deep.equal({ main: 3, helper: 0 });
+    });
+
+    it('should sum hits when a file appears in several records', function() {
+      const report = LcovParser.parse([
+        'SF:src/a.js', 'DA:1,1', 'DA:2,0', 'LF:2', 'LH:1', 'end_of_record',
+        'SF:src/a.js', 'DA:1,0', 'DA:2,4', 'LF:2', 'LH:1', 'end_of_record'
+      ].join('\n'));
+
+      expect(report.files['src/a.js'].hits.lines).to.deep.equal({ 1: 1, 2: 4 });
+      expect(report.files['src/a.js'].lines.pct).to.equal(100);
+    });
+
+    it('should handle CRLF line endings and a missing end_of_record', function() {
+      const report = LcovParser.parse('SF:src/a.js\r\nDA:1,1\r\nDA:2,0\r\n');
+
+      expect(report.files['src/a.js'].lines.pct).to.equal(50);
+    });
+  });
+});
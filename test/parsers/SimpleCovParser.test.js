@@ -0,0 +1,20 @@
+const { expect } = require('chai');
+const SimpleCovParser = require('../../src/parsers/SimpleCovParser');
+
+describe('SimpleCovParser', function() {
+  describe('parse', function() {
+    it('should read line and branch percentages', function() {
+      const report = SimpleCovParser.parse(JSON.stringify({ result: { line: 92.5, branch: 81.3 } }));
+
+      expect(report.format).to.equal('simplecov');
+      expect(report.total).to.deep.equal({ lines: { pct: 92.5 }, branches: { pct: 81.3 } });
+      expect(report.files).to.deep.equal({});
+    });
+
+    it('should read the legacy covered_percent field', function() {
+      const report = SimpleCovParser.parse(JSON.stringify({ result: { covered_percent: 88.1 } }));
+
+      expect(report.total.lines.pct).to.equal(88.1);
+    });
+  });
+});
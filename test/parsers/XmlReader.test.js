@@ -0,0 +1,33 @@
+const { expect } = require('chai');
+const XmlReader = require('../../src/parsers/XmlReader');
+
+describe('XmlReader', function() {
+  describe('parse', function() {
+    it('should build an element tree with attributes and text', function() {
+      const root = XmlReader.parse('<?xml version="1.0"?><a x="1" y=\'two &amp; three\'><b>hello &lt;world&gt;</b><c/></a>');
+
+      expect(root.name).to.equal('a');
+      expect(root.attributes).to.deep.equal({ x: '1', y: 'two & three' });
+      expect(XmlReader.child(root, 'b').text).to.equal('hello <world>');
+      expect(XmlReader.children(root, 'c')).to.have.length(1);
+    });
+
+    it('should skip comments, doctypes and CDATA markup', function() {
+      const root = XmlReader.parse('<!DOCTYPE r [<!ENTITY e "x">]><r><!-- <x/> --><![CDATA[<y/>]]></r>');
+
+      expect(root.children).to.have.length(0);
+      expect(root.text).to.equal('<y/>');
+    });
+
+    it('should allow ">" inside attribute values', function() {
+      const root = XmlReader.parse('<r cond="a > b"/>');
+
+      expect(root.attributes.cond).to.equal('a > b');
+    });
+
+    it('should throw on mismatched tags', function() {
+      expect(() => XmlReader.parse('<a><b></a>')).to.throw('Malformed XML');
+      expect(() => XmlReader.parse('<a>')).to.throw('unclosed tag');
+    });
+  });
+});